@@ -0,0 +1,402 @@
+
+var path = require('path'),
+    _ = require('underscore'),
+    logger = require('../logger'),
+    child = require('child_process');
+
+/**
+ * @namespace gammu-json:
+ *   The default modem backend. Each operation starts the `gammu-json`
+ *   utility as a subprocess, waits for it to exit, and then yields the
+ *   parsed JSON that it wrote to `stdout`. See the `backend` option of
+ *   `create` (in `main.js`) for a description of the backend interface.
+ */
+exports.prototype = {
+
+    /**
+     * @name _module_name:
+     */
+    _module_name: 'node-gammu-json:gammu-json',
+
+    /**
+     * @name _log:
+     */
+    _log: logger.log,
+
+    /**
+     * @name _duration_metric:
+     *   The histogram of subprocess durations, labelled with the
+     *   `gammu-json` command and its result (`success`, or the `code`
+     *   of the error that the subprocess produced; see `_error_codes`).
+     */
+    _duration_metric: 'node_gammu_json_subprocess_duration_seconds',
+
+    /**
+     * @name _default_timeouts:
+     *   The number of seconds that each `gammu-json` command may run
+     *   before it's killed. Sending may legitimately take a while, since
+     *   each segment is a separate round trip to the network.
+     */
+    _default_timeouts: {
+      retrieve: 120, send: 600, delete: 120
+    },
+
+    /**
+     * @name _error_codes:
+     *   The `code` of each kind of error that `_subprocess` yields:
+     *   the subprocess couldn't be started at all (e.g. the executable
+     *   doesn't exist); it ran for longer than its timeout, and was killed;
+     *   it exited with a non-zero status, or was killed by someone else;
+     *   or it exited successfully, but didn't write valid JSON.
+     */
+    _error_codes: {
+      spawn: 'SUBPROCESS_SPAWN_FAILED', timeout: 'SUBPROCESS_TIMEOUT',
+      exit: 'SUBPROCESS_FAILED', output: 'SUBPROCESS_INVALID_OUTPUT'
+    },
+
+    /**
+     * @name _max_stderr_length:
+     *   The number of characters of `stderr` that are kept; if the
+     *   subprocess writes more, only the last part is kept.
+     */
+    _max_stderr_length: 8192,
+
+    /**
+     * @name capabilities:
+     *   The optional backend features that we support; see `create`
+     *   in `main.js`. The `gammu-json send` command accepts only phone
+     *   number and message pairs, so delivery reports can't be requested,
+     *   and a multi-part message can't be resent in part.
+     */
+    capabilities: {
+      delivery_reports: false, partial_send: false
+    },
+
+    /**
+     * @name initialize:
+     *   Valid options are `command` (the name or path of the `gammu-json`
+     *   executable; defaults to `gammu-json`), `prefix` (if provided, the
+     *   command is run from `$PREFIX/bin`), `env` (an object containing
+     *   environment variables for the subprocess, e.g. a `HOME` in which
+     *   a modem-specific `.gammurc` can be found), `timeouts` (an object
+     *   mapping `retrieve`, `send` and `delete` to the number of seconds
+     *   each may run; see `_default_timeouts`, and zero for no timeout),
+     *   `kill_delay` (the number of seconds between asking a timed-out
+     *   subprocess to terminate and killing it; defaults to five),
+     *   `metrics` (a registry from `metrics.js`, in which the duration of
+     *   each subprocess is recorded), and `logger` or `debug` (see
+     *   `from_options` in `logger.js`). When several modems are attached
+     *   to one host, the `prefix` and `env` options allow each backend to
+     *   use its own configuration.
+     */
+    initialize: function (_options) {
+
+      var options = (_options || {});
+
+      this._options = options;
+      this._logger = logger.from_options(options);
+      this._command = (options.command || 'gammu-json');
+
+      if (options.prefix) {
+        this._command = path.resolve(options.prefix, 'bin', this._command);
+      }
+
+      this._env = (
+        options.env ? _.extend({}, process.env, options.env) : process.env
+      );
+
+      this._timeouts = _.extend({}, this._default_timeouts, options.timeouts);
+
+      var is_valid_timeout = function (_t) {
+        return (_.isNumber(_t) && _t >= 0);
+      };
+
+      if (!_.every(this._timeouts, is_valid_timeout)) {
+        throw new Error('Timeouts must be non-negative numbers of seconds');
+      }
+
+      this._kill_delay = (
+        _.isNumber(options.kill_delay) ? options.kill_delay * 1000 : 5000
+      );
+
+      this._metrics = (options.metrics || null);
+
+      if (this._metrics) {
+        this._metrics.histogram(
+          this._duration_metric, 'Duration of each gammu-json subprocess'
+        );
+      }
+
+      return this;
+    },
+
+    /**
+     * @name retrieve:
+     *   Read all messages from the modem's storage. Yields an array
+     *   of message objects, one for each occupied storage location.
+     */
+    retrieve: function (_callback) {
+
+      this._subprocess(this._command, [ 'retrieve' ], _callback);
+    },
+
+    /**
+     * @name send:
+     *   Transmit messages. The `_args` argument is an array of
+     *   interleaved phone numbers and message bodies; yields an array of
+     *   result objects, each with a one-based `index` into those pairs.
+     *   Delivery reports and partial sends aren't supported (see
+     *   `capabilities`); if `_options.delivery_reports` or `_options.partial`
+     *   lists any messages, nothing is sent, and we yield an error with a
+     *   `code` of `UNSUPPORTED_OPTION`.
+     */
+    send: function (_args, _options, _callback) {
+
+      var argv = [ 'send' ];
+
+      /* Fix up arguments:
+          This allows `_options` to be optionally omitted. */
+
+      if (!_callback) {
+        _callback = _options;
+        _options = {};
+      }
+
+      /* Unsupported options:
+          The command would read any additional argument as a phone
+          number or message, so these are refused rather than passed on. */
+
+      var unsupported = (
+        !_.isEmpty(_options.delivery_reports) ? 'delivery reports' : (
+          !_.isEmpty(_options.partial) ? 'partial sends' : null
+        )
+      );
+
+      if (unsupported) {
+        var e = new Error(
+          'The gammu-json backend does not support ' + unsupported
+        );
+
+        e.code = 'UNSUPPORTED_OPTION';
+
+        return setImmediate(function () {
+          _callback(e);
+        });
+      }
+
+      this._subprocess(this._command, argv.concat(_args), _callback);
+    },
+
+    /**
+     * @name delete:
+     *   Delete messages. The `_locations` argument is an array of storage
+     *   location numbers; yields an object whose `detail` property maps
+     *   each location to `ok` on success, or another string on failure.
+     */
+    delete: function (_locations, _callback) {
+
+      this._subprocess(
+        this._command, [ 'delete' ].concat(_locations), _callback
+      );
+    },
+
+    /**
+     * @name _subprocess:
+     *   Start a JSON-generating subprocess, wait for it to finish,
+     *   and then return process's (parsed) output as an object. If the
+     *   command in `_argv[0]` has a timeout (see `_timeouts`), and the
+     *   subprocess is still running when it expires, it's sent `SIGTERM`,
+     *   followed by `SIGKILL` after `_kill_delay`. Errors have a `code`
+     *   from `_error_codes`, along with `command`, `exit_code`, `signal`
+     *   and `stderr` properties; the latter two may be null.
+     */
+    _subprocess: function (_path, _argv, _options, _callback) {
+
+      var self = this;
+      var json = '', errors = '';
+      var is_finished = false, is_timed_out = false;
+      var timeout_timer = null, kill_timer = null;
+      var exit_status = { exit_code: null, signal: null };
+
+      /* Fix up arguments:
+          This allows `_options` to be optionally omitted. */
+
+      if (!_callback) {
+        _callback = _options;
+        _options = {};
+      }
+
+      var command = _argv[0];
+      var timeout = (self._timeouts[command] || 0) * 1000; /* Milliseconds */
+
+      /* Arguments:
+          These include the content of outbound messages, and so
+          aren't logged; only the command name and argument count are. */
+
+      self._log('debug', 'subprocess.exec', {
+        path: _path, command: command, arguments: _argv.length - 1
+      });
+
+      var finish_timer = (
+        self._metrics ? self._metrics.start_timer(
+          self._duration_metric, { command: command }
+        ) : function () {}
+      );
+
+      /* Completion:
+          A subprocess that fails to start may emit both `error` and
+          `close`; whichever comes first determines the result. */
+
+      var finish = function (_err, _rv) {
+
+        if (is_finished) {
+          return;
+        }
+
+        is_finished = true;
+        clearTimeout(timeout_timer);
+        clearTimeout(kill_timer);
+
+        finish_timer({ result: (_err ? _err.code : 'success') });
+
+        if (_err) {
+          self._log('warn', 'subprocess.failed', { error: _err });
+          return _callback(_err);
+        }
+
+        if (errors) {
+          self._log('debug', 'subprocess.stderr', { stderr: errors });
+        }
+
+        self._log('debug', 'subprocess.result', { result: _rv });
+        return _callback(null, _rv);
+      };
+
+      var create_error = function (_kind, _message, _properties) {
+
+        var rv = new Error(_message);
+
+        return _.extend(rv, {
+          code: self._error_codes[_kind], command: command,
+          exit_code: null, signal: null, stderr: (errors || null)
+        }, _properties);
+      };
+
+      var subprocess = child.spawn(_path, _argv, {
+        stdio: 'pipe', env: this._env
+      });
+
+      subprocess.on('error', function (_e) {
+
+        /* Spawn failure:
+            Any other `error` (e.g. a failure to kill the subprocess)
+            is followed by `close`, which reports the outcome. */
+
+        if (subprocess.pid != null) {
+          return;
+        }
+
+        finish(create_error(
+          'spawn', 'Unable to start `' + _path + '`: ' + _e.message,
+            { system_code: (_e.code || null) }
+        ));
+      });
+
+      subprocess.stdout.on('data', function (_buffer) {
+        json += _buffer.toString();
+      });
+
+      subprocess.stderr.on('data', function (_buffer) {
+        errors = (errors + _buffer.toString()).slice(-self._max_stderr_length);
+      });
+
+      subprocess.on('exit', function (_code, _signal) {
+        exit_status = { exit_code: _code, signal: _signal };
+      });
+
+      subprocess.stdin.on('error', function () {
+        /* Ignored; the subprocess doesn't read its input */
+      });
+
+      subprocess.on('close', function (_code, _signal) {
+
+        var rv = false;
+        var status = { exit_code: _code, signal: _signal };
+
+        if (is_timed_out) {
+          return finish(create_error(
+            'timeout', 'Subprocess `' + command + '` timed out after ' +
+              (timeout / 1000) + ' seconds', status
+          ));
+        }
+
+        if (_code !== 0) {
+          return finish(create_error(
+            'exit', 'Subprocess `' + command + '` ' + (
+              _signal ? 'was killed by ' + _signal :
+                'exited with status ' + _code
+            ), status
+          ));
+        }
+
+        try {
+          rv = JSON.parse(json);
+        } catch (_e) {
+          return finish(create_error(
+            'output', 'Subprocess `' + command + '` produced ' +
+              'invalid or incomplete JSON: ' + _e.message, status
+          ));
+        }
+
+        return finish(null, rv);
+      });
+
+      /* Timeout:
+          Ask the subprocess to terminate; if it hasn't exited after
+          `_kill_delay`, kill it. Its `close` event reports the timeout,
+          unless its output remains open (e.g. because it's inherited by
+          a process of its own); in that case, we stop waiting for it. */
+
+      if (timeout > 0) {
+        timeout_timer = setTimeout(function () {
+
+          is_timed_out = true;
+          self._log('warn', 'subprocess.timeout', { command: command });
+
+          subprocess.kill('SIGTERM');
+
+          kill_timer = setTimeout(function () {
+
+            subprocess.kill('SIGKILL');
+
+            kill_timer = setTimeout(function () {
+              finish(create_error(
+                'timeout', 'Subprocess `' + command + '` timed out after ' +
+                  (timeout / 1000) + ' seconds, and its output remained open',
+                  exit_status
+              ));
+            }, self._kill_delay);
+
+          }, self._kill_delay);
+
+        }, timeout);
+      }
+
+      subprocess.stdin.end();
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,481 @@
+
+var _ = require('underscore'),
+    logger = require('../logger'),
+    encoding = require('../encoding');
+
+/**
+ * @namespace simulator:
+ *   An in-process simulated modem backend. Received messages live in
+ *   an in-memory model of SIM storage, and are placed there by calling
+ *   `inject` or `inject_segment`; transmitted messages are recorded,
+ *   and can be inspected using `transmitted`. Output has the same
+ *   shape as the output of the `gammu-json` utility, which allows the
+ *   full polling cycle to run without any modem hardware attached.
+ */
+exports.prototype = {
+
+    /**
+     * @name _module_name:
+     */
+    _module_name: 'node-gammu-json:simulator',
+
+    /**
+     * @name _log:
+     */
+    _log: logger.log,
+
+    /**
+     * @name capabilities:
+     *   The optional backend features that we support; see `create`
+     *   in `main.js`. Delivery reports are stored in simulated SIM storage
+     *   with a `type` of `status_report` (see `inject_status_report`), and
+     *   partial sends reuse the original concatenation reference.
+     */
+    capabilities: {
+      delivery_reports: true, partial_send: true
+    },
+
+    /**
+     * @name initialize:
+     *   Valid options are `capacity` (the number of storage locations
+     *   available; zero, the default, means "no limit"), `first_location`
+     *   (the lowest storage location number; defaults to one), `send_failure`
+     *   (a function that is called with the destination and content of each
+     *   outbound message, and returns true if transmission should fail),
+     *   `segment_failure` (a function that is called with the destination,
+     *   content, and one-based segment number of each outbound segment, and
+     *   returns true if only that segment should fail), `delivery_status`
+     *   (a function that is called with the destination and content of each
+     *   message, and returns the status -- `delivered`, `failed`, or
+     *   `expired` -- of its simulated delivery reports; defaults to
+     *   `delivered`), and `logger` or `debug` (see `from_options` in
+     *   `logger.js`).
+     */
+    initialize: function (_options) {
+
+      var options = (_options || {});
+
+      if (options.send_failure && !_.isFunction(options.send_failure)) {
+        throw new Error('Send failure option must be a function');
+      }
+
+      if (options.segment_failure && !_.isFunction(options.segment_failure)) {
+        throw new Error('Segment failure option must be a function');
+      }
+
+      if (options.delivery_status && !_.isFunction(options.delivery_status)) {
+        throw new Error('Delivery status option must be a function');
+      }
+
+      this._options = options;
+      this._logger = logger.from_options(options);
+
+      this._storage = {};
+      this._transmitted = [];
+      this._forced_failures = 0;
+      this._forced_segment_failures = 0;
+      this._next_reference = 0;
+
+      this._capacity = (options.capacity || 0);
+      this._send_failure = options.send_failure;
+      this._segment_failure = options.segment_failure;
+      this._delivery_status = options.delivery_status;
+
+      this._first_location = (
+        _.isNumber(options.first_location) ? options.first_location : 1
+      );
+
+      return this;
+    },
+
+    /**
+     * @name inject:
+     *   Place an inbound message in simulated SIM storage, as if it had
+     *   just been received from `_from`. Content that doesn't fit in a
+     *   single-part message is split in to concatenated segments. Valid
+     *   options are `timestamp` (a `Date`; defaults to now), `reference`
+     *   (the concatenation reference number; one is allocated if omitted),
+     *   and `omit` (an array of one-based segment numbers that should be
+     *   "lost in transit" and never stored). Returns an array of the
+     *   storage locations that were used.
+     */
+    inject: function (_from, _content, _options) {
+
+      var options = (_options || {});
+      var omit = (options.omit || []);
+      var segments = this._split_content(_content);
+
+      var rv = [];
+      var total = segments.length;
+
+      var reference = (
+        _.isNumber(options.reference) ?
+          options.reference : this._allocate_reference()
+      );
+
+      for (var i = 0; i < total; ++i) {
+
+        if (_.contains(omit, i + 1)) {
+          continue;
+        }
+
+        rv.push(this.inject_segment(
+          _from, segments[i], i + 1, total, _.extend({}, options, {
+            reference: reference
+          })
+        ));
+      }
+
+      return rv;
+    },
+
+    /**
+     * @name inject_segment:
+     *   Place a single message segment in simulated SIM storage. This
+     *   allows tests to deliver segments out of order, deliver duplicates,
+     *   or interleave segments of several messages. The `_segment` and
+     *   `_total` arguments are one-based; options are the same as for
+     *   `inject`, plus `udh` (a raw user data header, as a string of
+     *   hexadecimal digits, to supply in place of the concatenation
+     *   reference). Returns the storage location that was used.
+     */
+    inject_segment: function (_from, _content, _segment, _total, _options) {
+
+      var options = (_options || {});
+      var location = this._allocate_location();
+      var timestamp = (options.timestamp || new Date()).toISOString();
+
+      var message = {
+        from: _from, content: _content, location: location,
+        segment: _segment, total_segments: _total,
+        timestamp: timestamp, smsc_timestamp: timestamp
+      };
+
+      if (options.udh != null) {
+        message.udh = options.udh;
+      } else if (_total > 1) {
+        message.udh = (
+          _.isNumber(options.reference) ?
+            options.reference : this._allocate_reference()
+        );
+      }
+
+      this._storage[location] = message;
+      this._log('debug', 'simulator.stored', { location: location });
+
+      return location;
+    },
+
+    /**
+     * @name inject_status_report:
+     *   Place a delivery report in simulated SIM storage, as if the
+     *   network had just reported on the message sent to `_to` with the
+     *   message reference `_reference`. The `_status` argument is one of
+     *   `delivered`, `failed`, or `expired`. Valid options are the same
+     *   as for `inject`. Returns the storage location that was used.
+     */
+    inject_status_report: function (_to, _reference, _status, _options) {
+
+      var options = (_options || {});
+      var location = this._allocate_location();
+      var timestamp = (options.timestamp || new Date()).toISOString();
+
+      this._storage[location] = {
+        type: 'status_report', from: _to, content: '',
+        location: location, segment: 1, total_segments: 1,
+        reference: _reference, status: _status,
+        timestamp: timestamp, smsc_timestamp: timestamp
+      };
+
+      this._log('debug', 'simulator.stored_report', { location: location });
+      return location;
+    },
+
+    /**
+     * @name fail_next_sends:
+     *   Cause the next `_count` outbound messages to fail, regardless
+     *   of what the `send_failure` option (if any) would decide.
+     */
+    fail_next_sends: function (_count) {
+
+      this._forced_failures += (_.isNumber(_count) ? _count : 1);
+      return this;
+    },
+
+    /**
+     * @name fail_next_segments:
+     *   Cause the next `_count` outbound message segments to fail. Other
+     *   segments of the same message are unaffected, so this can be used
+     *   to simulate the partial transmission of a multi-part message.
+     */
+    fail_next_segments: function (_count) {
+
+      this._forced_segment_failures += (_.isNumber(_count) ? _count : 1);
+      return this;
+    },
+
+    /**
+     * @name transmitted:
+     *   Return an array of all messages that have been transmitted (at
+     *   least in part), in order. Each item has `to`, `content`, `parts`
+     *   (an array of the one-based segment numbers that were transmitted),
+     *   `parts_total`, `udh` and `timestamp` properties.
+     */
+    transmitted: function () {
+
+      return _.clone(this._transmitted);
+    },
+
+    /**
+     * @name stored:
+     *   Return a sorted array of occupied storage location numbers.
+     */
+    stored: function () {
+
+      return _.sortBy(_.map(_.keys(this._storage), Number), _.identity);
+    },
+
+    /**
+     * @name retrieve:
+     *   Backend interface; see `gammu_json.js`.
+     */
+    retrieve: function (_callback) {
+
+      var self = this;
+
+      var rv = _.map(self.stored(), function (_location) {
+        return _.clone(self._storage[_location]);
+      });
+
+      setImmediate(function () {
+        _callback(null, rv);
+      });
+    },
+
+    /**
+     * @name send:
+     *   Backend interface; see `gammu_json.js`.
+     */
+    send: function (_args, _options, _callback) {
+
+      var rv = [];
+
+      /* Fix up arguments:
+          This allows `_options` to be optionally omitted. */
+
+      if (!_callback) {
+        _callback = _options;
+        _options = {};
+      }
+
+      var partial = (_options.partial || {});
+      var reports = (_options.delivery_reports || []);
+
+      if (_args.length % 2 != 0) {
+        return setImmediate(function () {
+          _callback(new Error('Send requires destination/content pairs'));
+        });
+      }
+
+      for (var i = 0, len = _args.length; i < len; i += 2) {
+        var index = i / 2 + 1;
+
+        rv.push(this._transmit(
+          index, _args[i], _args[i + 1],
+            _.contains(reports, index), partial[index]
+        ));
+      }
+
+      setImmediate(function () {
+        _callback(null, rv);
+      });
+    },
+
+    /**
+     * @name delete:
+     *   Backend interface; see `gammu_json.js`.
+     */
+    delete: function (_locations, _callback) {
+
+      var detail = {};
+
+      for (var i = 0, len = _locations.length; i < len; ++i) {
+
+        var location = _locations[i];
+
+        if (this._storage[location]) {
+          delete this._storage[location];
+          detail[location] = 'ok';
+        } else {
+          detail[location] = 'notfound';
+        }
+      }
+
+      setImmediate(function () {
+        _callback(null, { detail: detail });
+      });
+    },
+
+    /**
+     * @name _transmit:
+     *   Simulate the transmission of a single message, and return
+     *   a result object for it. The `_index` argument is one-based. If
+     *   `_wants_report` is true, a delivery report is stored for each
+     *   successfully-transmitted segment. If `_partial` is provided, only
+     *   the segments listed in `_partial.parts` are transmitted, using the
+     *   concatenation reference `_partial.udh`.
+     */
+    _transmit: function (_index, _to, _content, _wants_report, _partial) {
+
+      var failed = false;
+      var segments = this._split_content(_content);
+      var total = segments.length;
+
+      var numbers = (
+        _partial ? _partial.parts : _.range(1, total + 1)
+      );
+
+      var udh = (
+        total <= 1 ? undefined : (
+          _partial && _.isNumber(_partial.udh) ?
+            _partial.udh : this._allocate_reference()
+        )
+      );
+
+      if (this._forced_failures > 0) {
+        this._forced_failures--;
+        failed = true;
+      } else if (this._send_failure) {
+        failed = !!this._send_failure.call(this, _to, _content);
+      }
+
+      var parts = _.map(numbers, function (_n) {
+
+        var part_failed = (
+          failed || this._is_segment_failure(_to, _content, _n)
+        );
+
+        return {
+          index: _n, result: (part_failed ? 'failure' : 'success'),
+          reference: (part_failed ? null : this._allocate_reference())
+        };
+      }, this);
+
+      var sent = _.where(parts, { result: 'success' });
+
+      if (sent.length > 0) {
+        this._transmitted.push({
+          to: _to, content: _content, parts: _.pluck(sent, 'index'),
+          parts_total: total, udh: udh, timestamp: new Date()
+        });
+      }
+
+      if (_wants_report) {
+        this._store_status_reports(_to, _content, sent);
+      }
+
+      return {
+        index: _index, udh: udh, parts: parts,
+        parts_sent: sent.length, parts_total: total,
+        result: (sent.length == parts.length ? 'success' : 'failure')
+      };
+    },
+
+    /**
+     * @name _is_segment_failure:
+     *   Return true if transmission of the one-based segment `_n` of
+     *   a message should fail, according to `fail_next_segments` and
+     *   the `segment_failure` option.
+     */
+    _is_segment_failure: function (_to, _content, _n) {
+
+      if (this._forced_segment_failures > 0) {
+        this._forced_segment_failures--;
+        return true;
+      }
+
+      if (this._segment_failure) {
+        return !!this._segment_failure.call(this, _to, _content, _n);
+      }
+
+      return false;
+    },
+
+    /**
+     * @name _store_status_reports:
+     *   Store one delivery report for each item in `_parts`, using the
+     *   status chosen by the `delivery_status` option. Like a real modem,
+     *   we silently drop any reports that don't fit in storage.
+     */
+    _store_status_reports: function (_to, _content, _parts) {
+
+      var status = (
+        this._delivery_status ?
+          this._delivery_status.call(this, _to, _content) : 'delivered'
+      );
+
+      for (var i = 0, len = _parts.length; i < len; ++i) {
+        try {
+          this.inject_status_report(_to, _parts[i].reference, status);
+        } catch (_e) {
+          this._log('debug', 'simulator.report_dropped', { error: _e });
+        }
+      }
+    },
+
+    /**
+     * @name _split_content:
+     *   Split `_content` in to an array of message segments, using
+     *   the same encoding rules as a real modem; see `encoding.js`.
+     */
+    _split_content: function (_content) {
+
+      return encoding.split(_content);
+    },
+
+    /**
+     * @name _allocate_location:
+     *   Return the lowest unoccupied storage location number. Throws
+     *   an exception if the `capacity` option is set and the simulated
+     *   storage is already full.
+     */
+    _allocate_location: function () {
+
+      if (this._capacity && _.size(this._storage) >= this._capacity) {
+        throw new Error('Simulated modem storage is full');
+      }
+
+      for (var i = this._first_location; ; ++i) {
+        if (!this._storage[i]) {
+          return i;
+        }
+      }
+    },
+
+    /**
+     * @name _allocate_reference:
+     *   Return the next eight-bit message reference number.
+     */
+    _allocate_reference: function () {
+
+      var rv = this._next_reference;
+
+      this._next_reference = (rv + 1) % 256;
+      return rv;
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
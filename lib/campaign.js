@@ -0,0 +1,152 @@
+
+var _ = require('underscore'),
+    events = require('events');
+
+/**
+ * @namespace campaign:
+ *   Tracks the progress of a single bulk send (see `send_bulk` in
+ *   `main.js`). A `recipient` event fires as each recipient's message
+ *   is transmitted or fails permanently; once every recipient has an
+ *   outcome, the `complete` event fires with a summary of the campaign.
+ */
+exports.prototype = {
+
+    /**
+     * @name initialize:
+     *   The `_id` argument uniquely identifies the campaign; `_total`
+     *   is the number of recipients; and `_callback`, if provided, is
+     *   invoked with a null error argument and this campaign once the
+     *   campaign is complete.
+     */
+    initialize: function (_id, _total, _callback) {
+
+      events.EventEmitter.call(this);
+
+      this.id = _id;
+      this.total = _total;
+      this.succeeded = 0;
+      this.failed = 0;
+      this.results = [];
+
+      this._callback = _callback;
+      this._is_sealed = false;
+      this._is_complete = false;
+
+      return this;
+    },
+
+    /**
+     * @name pending:
+     *   Return the number of recipients that don't yet have an outcome.
+     */
+    pending: function () {
+
+      return this.total - this.succeeded - this.failed;
+    },
+
+    /**
+     * @name is_complete:
+     */
+    is_complete: function () {
+
+      return this._is_complete;
+    },
+
+    /**
+     * @name summary:
+     *   Return an object describing the campaign's aggregate progress.
+     */
+    summary: function () {
+
+      return {
+        id: this.id, total: this.total, pending: this.pending(),
+        succeeded: this.succeeded, failed: this.failed
+      };
+    },
+
+    /**
+     * @name _record:
+     *   Record the outcome for the recipient at the (zero-based) position
+     *   `_index`. A non-null `_error` means that the message could not be
+     *   queued, or exhausted its transmission attempts; otherwise `_result`
+     *   is the transmission result. Each recipient is recorded only once.
+     */
+    _record: function (_index, _to, _error, _result) {
+
+      if (this.results[_index]) {
+        return;
+      }
+
+      var entry = {
+        index: _index, to: _to,
+        status: (_error ? 'failed' : 'sent'),
+        error: (_error || null), result: (_result || null)
+      };
+
+      this.results[_index] = entry;
+
+      if (_error) {
+        this.failed++;
+      } else {
+        this.succeeded++;
+      }
+
+      this.emit('recipient', entry);
+      this._check_complete();
+    },
+
+    /**
+     * @name _seal:
+     *   Indicate that every recipient's message has been queued (or
+     *   has failed to queue); until then, the campaign can't complete.
+     */
+    _seal: function () {
+
+      this._is_sealed = true;
+      this._check_complete();
+    },
+
+    /**
+     * @name _check_complete:
+     *   If every recipient has an outcome, fire the `complete` event and
+     *   invoke the campaign's callback. This is always done asynchronously,
+     *   so that listeners can be added after `send_bulk` returns.
+     */
+    _check_complete: function () {
+
+      var self = this;
+
+      if (!self._is_sealed || self._is_complete || self.pending() > 0) {
+        return;
+      }
+
+      self._is_complete = true;
+
+      setImmediate(function () {
+
+        self.emit('complete', self.summary());
+
+        if (self._callback) {
+          self._callback.call(self, null, self);
+        }
+      });
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend(
+    {}, events.EventEmitter.prototype, exports.prototype
+  );
+
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,701 @@
+
+var http = require('http'),
+    _ = require('underscore'),
+    errors = require('./errors'),
+    gateway = require('./main'),
+    outbound_journal = require('./stores/outbound_journal');
+
+/**
+ * @namespace cli:
+ *   The `node-gammu-json` command-line tool. Each subcommand creates
+ *   a gateway instance (see `create` in `main.js`), using the options in
+ *   the JSON file named by `--config`, if provided, and in the environment
+ *   (see `load_environment` in `config.js`). Output is meant for
+ *   humans unless `--json` is given, in which case a single JSON value
+ *   is written (or, for `daemon`, one JSON object per line).
+ */
+exports.prototype = {
+
+    /**
+     * @name _commands:
+     *   Each subcommand's handler method, minimum number of positional
+     *   arguments, and usage synopsis.
+     */
+    _commands: {
+      send: {
+        handler: '_send', min_args: 2,
+        usage: 'send <to> <text> [--priority <p>] [--validity <seconds>]' +
+          ' [--max-segments <n>] [--transliterate]'
+      },
+      list: {
+        handler: '_list', min_args: 0,
+        usage: 'list [--delete]'
+      },
+      retrieve: {
+        handler: '_list', min_args: 0,
+        usage: 'retrieve [--delete]'
+      },
+      delete: {
+        handler: '_delete', min_args: 1,
+        usage: 'delete <location> [<location> ...]'
+      },
+      queue: {
+        handler: '_queue', min_args: 0,
+        usage: 'queue'
+      },
+      daemon: {
+        handler: '_daemon', min_args: 0,
+        usage: 'daemon --config <file>'
+      },
+      config: {
+        handler: '_config', min_args: 0,
+        usage: 'config'
+      }
+    },
+
+    /**
+     * @name _flags:
+     *   Flags that never take a value; every other flag takes one.
+     */
+    _flags: {
+      json: 1, debug: 1, delete: 1, transliterate: 1, help: 1
+    },
+
+    /**
+     * @name _daemon_options:
+     *   Options that belong to the long-lived `daemon` process, and are
+     *   removed from the configuration of every other command: the HTTP
+     *   API and webhook, and the persistent stores. A one-off command must
+     *   neither replay (nor compact) the daemon's outbound journal while
+     *   the daemon is appending to it, nor take its segments or ledger.
+     */
+    _daemon_options: [
+      'http_api', 'webhook', 'outbound_store', 'outbound_journal',
+      'segment_store', 'segment_directory', 'delivered_store',
+      'delivered_journal'
+    ],
+
+    /**
+     * @name initialize:
+     *   Valid options are `stdout` and `stderr` (writable streams;
+     *   these default to those of the current process).
+     */
+    initialize: function (_options) {
+
+      var options = (_options || {});
+
+      this._stdout = (options.stdout || process.stdout);
+      this._stderr = (options.stderr || process.stderr);
+
+      return this;
+    },
+
+    /**
+     * @name run:
+     *   Run the command described by the array of command-line arguments
+     *   `_argv` (not including the interpreter or script), then invoke
+     *   `_callback` with the process exit status: zero on success, one
+     *   if the command failed, or two if the arguments were invalid.
+     */
+    run: function (_argv, _callback) {
+
+      var parsed, command;
+
+      try {
+        parsed = this._parse_arguments(_argv);
+      } catch (_e) {
+        return this._usage(_e.message, _callback);
+      }
+
+      command = this._commands[parsed.command];
+
+      if (parsed.flags.help || !parsed.command) {
+        return this._usage(null, _callback);
+      }
+
+      if (!command) {
+        return this._usage(
+          'Unknown command `' + parsed.command + '`', _callback
+        );
+      }
+
+      if (parsed.args.length < command.min_args) {
+        return this._usage('Usage: ' + command.usage, _callback);
+      }
+
+      this._is_json = !!parsed.flags.json;
+
+      try {
+        this[command.handler](parsed.args, parsed.flags, _callback);
+      } catch (_e) {
+        this._fail(_e, _callback);
+      }
+    },
+
+    /**
+     * @name _send:
+     *   Queue a single message, transmit it, and report the result.
+     *   Received messages are left on the device. If the backend fails
+     *   (e.g. because `gammu-json` can't be started), we give up after
+     *   the first queue run, rather than retrying.
+     */
+    _send: function (_args, _flags, _callback) {
+
+      var self = this;
+      var is_finished = false;
+
+      var instance = self._create_gateway(_flags, {
+        receive: false, interval: 1
+      });
+
+      var options = {
+        priority: _flags.priority,
+        transliterate: (_flags.transliterate ? true : undefined),
+        validity: self._parse_number(_flags, 'validity'),
+        max_segments: self._parse_number(_flags, 'max-segments')
+      };
+
+      var finish = function (_err, _m, _r) {
+
+        if (is_finished) {
+          return;
+        }
+
+        is_finished = true;
+
+        instance.stop(function () {
+
+          if (_err) {
+            return self._fail(_err, _callback);
+          }
+
+          self._output(_.extend({ queue_id: _m.queue_id }, _r), function () {
+            return [
+              'Sent message ' + _m.queue_id + ' to ' + _m.to +
+                ' (' + self._format_segments(_m, _r) + ')'
+            ];
+          });
+
+          _callback(0);
+        });
+      };
+
+      instance.on('queue_run', function (_run) {
+        if (_run.errors.length > 0) {
+          finish(_run.errors[0]);
+        }
+      });
+
+      instance.send(_args[0], _args[1], options, finish);
+      instance.start();
+    },
+
+    /**
+     * @name _list:
+     *   Retrieve and reassemble every message on the device, and print
+     *   them. Unless `--delete` is given, nothing is removed from the
+     *   device: not messages, incomplete segments, or delivery reports
+     *   (which are otherwise consumed as usual, since they aren't messages).
+     */
+    _list: function (_args, _flags, _callback) {
+
+      var self = this;
+      var messages = [];
+      var overrides = {};
+
+      if (!_flags.delete) {
+        overrides = {
+          reassembly_timeout: 0,
+          backend: self._create_read_only_backend(self._load_config(_flags))
+        };
+      }
+
+      var instance = self._create_gateway(_flags, overrides);
+
+      instance.on('receive', function (_message, _fn) {
+
+        messages.push(_message);
+
+        return _fn(
+          _flags.delete ? null : new Error('Message retained on device')
+        );
+      });
+
+      instance.once('queue_run', function (_run) {
+        instance.stop(function () {
+
+          if (_run.errors.length > 0) {
+            return self._fail(_run.errors[0], _callback);
+          }
+
+          self._output(messages, function () {
+            return (
+              messages.length > 0 ?
+                _.map(messages, self._format_message, self) : [ 'No messages' ]
+            );
+          });
+
+          _callback(0);
+        });
+      });
+
+      instance.start();
+    },
+
+    /**
+     * @name _delete:
+     *   Delete the messages at each of the storage locations in `_args`.
+     */
+    _delete: function (_args, _flags, _callback) {
+
+      var self = this;
+      var instance = self._create_gateway(_flags, {});
+
+      instance.delete(_args, function (_err, _detail) {
+
+        if (_err) {
+          return self._fail(_err, _callback);
+        }
+
+        self._output(_detail, function () {
+          return _.map(_detail, function (_status, _location) {
+            return _location + ': ' + _status;
+          });
+        });
+
+        _callback(_.every(_detail, function (_s) {
+          return (_s == 'ok');
+        }) ? 0 : 1);
+      });
+    },
+
+    /**
+     * @name _queue:
+     *   Show the outbound and deletion queues. If the configuration
+     *   enables the HTTP API, the queues of the running daemon are
+     *   fetched from it; otherwise, the outbound journal (if any) is read,
+     *   without being modified, and the deletion queue is empty.
+     */
+    _queue: function (_args, _flags, _callback) {
+
+      var self = this;
+      var config = self._load_config(_flags);
+
+      var print = function (_state) {
+
+        self._output(_state, function () {
+          return [ 'Outbound queue: ' + _state.outbound.length ].concat(
+            _.map(_state.outbound, function (_m) {
+              return '  ' + _m.queue_id + ' -> ' + _m.to + ' (' +
+                (_m.priority || 'normal') + ', ' + _m.tx_attempts +
+                ' attempts): ' + _m.content;
+            }),
+            [ 'Deletion queue: ' + _state.deletion.join(', ') ]
+          );
+        });
+
+        _callback(0);
+      };
+
+      if (!config.http_api) {
+        return print({
+          outbound: (
+            config.outbound_journal ?
+              outbound_journal.create(config.outbound_journal).read() : []
+          ),
+          deletion: []
+        });
+      }
+
+      self._request(config.http_api, '/queues/outbound', function (_e, _o) {
+
+        if (_e) {
+          return self._fail(_e, _callback);
+        }
+
+        self._request(config.http_api, '/queues/deletion', function (_e, _d) {
+
+          if (_e) {
+            return self._fail(_e, _callback);
+          }
+
+          print({ outbound: _o.messages, deletion: _d.locations });
+        });
+      });
+    },
+
+    /**
+     * @name _daemon:
+     *   Run a gateway until the process receives `SIGINT` or `SIGTERM`.
+     *   If the configuration doesn't include a webhook, received messages
+     *   are printed, then deleted; events are printed as they happen.
+     */
+    _daemon: function (_args, _flags, _callback) {
+
+      var self = this;
+      var instance = self._create_gateway(_flags, {}, true);
+      var config = self._load_config(_flags);
+
+      if (!config.webhook) {
+        instance.on('receive', function (_message, _fn) {
+          self._event('receive', _message, self._format_message(_message));
+          _fn();
+        });
+      }
+
+      instance.on({
+        transmit: function (_message, _result) {
+          self._event('transmit', { message: _message, result: _result },
+            'Sent ' + _message.queue_id + ' to ' + _message.to);
+        },
+        delivery_report: function (_message, _report) {
+          self._event('delivery_report', _report,
+            'Delivery report for ' + (_message ? _message.queue_id : '?') +
+              ': ' + _report.status);
+        },
+        error: function (_error) {
+          self._event('error', _error,
+            'Error (' + (_error.scope || 'unknown') + '): ' + _error.message);
+        }
+      });
+
+      var shutdown = function () {
+        process.removeListener('SIGINT', shutdown);
+        process.removeListener('SIGTERM', shutdown);
+
+        instance.stop(function () {
+          _callback(0);
+        });
+      };
+
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+
+      instance.start();
+    },
+
+    /**
+     * @name _parse_arguments:
+     *   Split `_argv` into a command name, an array of positional
+     *   arguments, and an object of flags. Flags may be written as
+     *   `--name value` or `--name=value`; `--` ends the flags.
+     */
+    _parse_arguments: function (_argv) {
+
+      var rv = { command: null, args: [], flags: {} };
+
+      for (var i = 0, len = _argv.length; i < len; ++i) {
+
+        var arg = _argv[i];
+        var match = arg.match(/^--([a-z][a-z0-9\-]*)(?:=(.*))?$/);
+
+        if (arg == '--') {
+          rv.args = rv.args.concat(_argv.slice(i + 1));
+          break;
+        }
+
+        if (!match) {
+          rv.args.push(arg);
+          continue;
+        }
+
+        if (this._flags[match[1]]) {
+          rv.flags[match[1]] = true;
+        } else if (match[2] != null) {
+          rv.flags[match[1]] = match[2];
+        } else if (i + 1 < len) {
+          rv.flags[match[1]] = _argv[++i];
+        } else {
+          throw new Error('Option `--' + match[1] + '` requires a value');
+        }
+      }
+
+      rv.command = (rv.args.shift() || null);
+      return rv;
+    },
+
+    /**
+     * @name _parse_number:
+     *   Return the flag `_name` as a number, or undefined if it's
+     *   absent. Throws if it's present, but isn't a number.
+     */
+    _parse_number: function (_flags, _name) {
+
+      if (_flags[_name] == null) {
+        return undefined;
+      }
+
+      var rv = Number(_flags[_name]);
+
+      if (_flags[_name] === '' || isNaN(rv)) {
+        throw new Error('Option `--' + _name + '` must be a number');
+      }
+
+      return rv;
+    },
+
+    /**
+     * @name _config:
+     *   Validate the configuration, and print the effective options,
+     *   including defaults, without creating a gateway instance.
+     */
+    _config: function (_args, _flags, _callback) {
+
+      var options = _.extend(this._load_config(_flags), {
+        debug: (_flags.debug ? true : undefined)
+      });
+
+      var effective = gateway.validate_config(options);
+
+      this._output(effective, function () {
+        return _.map(effective, function (_v, _k) {
+          return _k + ': ' + JSON.stringify(_v);
+        });
+      });
+
+      _callback(0);
+    },
+
+    /**
+     * @name _load_config:
+     *   Return the options in the JSON file named by `--config` (if
+     *   any), overridden by those set in the environment. These are
+     *   validated when the gateway instance is created.
+     */
+    _load_config: function (_flags) {
+
+      return gateway.load_config(_flags.config);
+    },
+
+    /**
+     * @name _create_gateway:
+     *   Create a gateway instance using the configuration file, with
+     *   the options in `_overrides` taking precedence. Unless `_is_daemon`
+     *   is true, the options in `_daemon_options` are omitted, since they
+     *   belong to the long-lived process, rather than to a one-off command.
+     */
+    _create_gateway: function (_flags, _overrides, _is_daemon) {
+
+      var options = _.extend(this._load_config(_flags), _overrides);
+
+      if (_flags.debug) {
+        options.debug = true;
+      }
+
+      if (!_is_daemon) {
+        options = _.omit(options, this._daemon_options);
+      }
+
+      return gateway.create(options);
+    },
+
+    /**
+     * @name _create_read_only_backend:
+     *   Return the modem backend described by the configuration
+     *   `_config`, modified so that it never deletes anything: each
+     *   location is reported as `retained`, which the gateway treats as
+     *   a deletion that failed, and leaves on the device.
+     */
+    _create_read_only_backend: function (_config) {
+
+      var backend = (_config.backend || 'gammu-json');
+
+      if (_.isString(backend)) {
+
+        if (!gateway.backends[backend]) {
+          throw new Error('Unknown backend specified');
+        }
+
+        backend = gateway.backends[backend].create(_.extend(
+          { debug: _config.debug }, _config.backend_options
+        ));
+      }
+
+      return _.extend(Object.create(backend), {
+        delete: function (_locations, _callback) {
+
+          var detail = _.object(_locations, _.map(_locations, function () {
+            return 'retained';
+          }));
+
+          setImmediate(function () {
+            _callback(null, { detail: detail });
+          });
+        }
+      });
+    },
+
+    /**
+     * @name _request:
+     *   Fetch `_path` from the HTTP API described by the options
+     *   `_api`, and invoke `_callback` with the parsed response.
+     */
+    _request: function (_api, _path, _callback) {
+
+      var headers = (
+        _api.token ? { Authorization: 'Bearer ' + _api.token } : {}
+      );
+
+      var req = http.get({
+        host: (_api.host || '127.0.0.1'), port: (_api.port || 8080),
+        path: _path, headers: headers
+      }, function (_res) {
+
+        var body = '';
+
+        _res.setEncoding('utf8');
+
+        _res.on('data', function (_chunk) {
+          body += _chunk;
+        });
+
+        _res.on('end', function () {
+
+          var rv;
+
+          try {
+            rv = JSON.parse(body);
+          } catch (_e) {
+            return _callback(new Error('Invalid response from HTTP API'));
+          }
+
+          if (_res.statusCode != 200) {
+            return _callback(new Error(
+              (rv.error && rv.error.message) || 'HTTP API request failed'
+            ));
+          }
+
+          return _callback(null, rv);
+        });
+      });
+
+      req.on('error', _callback);
+    },
+
+    /**
+     * @name _format_segments:
+     *   Describe the number of segments in the transmitted message `_m`,
+     *   given its transmission result `_r`. Only some backends report on
+     *   each segment; for the others, we use the message's own count.
+     */
+    _format_segments: function (_m, _r) {
+
+      if (_.isNumber(_r.parts_total)) {
+        return _r.parts_sent + ' of ' + _r.parts_total + ' segments';
+      }
+
+      return _m.segments + (_m.segments == 1 ? ' segment' : ' segments');
+    },
+
+    /**
+     * @name _format_message:
+     *   Return a single line describing the received message `_m`.
+     */
+    _format_message: function (_m) {
+
+      var locations = (
+        _.isArray(_m.location) ? _m.location.join(',') : _m.location
+      );
+
+      return '[' + (_m.timestamp ? _m.timestamp.format() : '?') + '] ' +
+        _m.from + (locations ? ' (' + locations + ')' : '') + ': ' +
+        _m.content;
+    },
+
+    /**
+     * @name _output:
+     *   Write `_data` as JSON if `--json` was given; otherwise, write
+     *   each of the lines in the array returned by `_format_fn`.
+     */
+    _output: function (_data, _format_fn) {
+
+      if (this._is_json) {
+        return this._stdout.write(JSON.stringify(_data, null, 2) + '\n');
+      }
+
+      var lines = _format_fn();
+
+      if (lines.length > 0) {
+        this._stdout.write(lines.join('\n') + '\n');
+      }
+    },
+
+    /**
+     * @name _event:
+     *   Write a single event, as a line of JSON if `--json` was given,
+     *   or as the human-readable line `_line` otherwise.
+     */
+    _event: function (_name, _data, _line) {
+
+      if (this._is_json) {
+        return this._stdout.write(JSON.stringify({
+          event: _name, time: new Date().toISOString(),
+          data: (_data instanceof Error ? errors.serialize(_data) : _data)
+        }) + '\n');
+      }
+
+      this._stdout.write(new Date().toISOString() + ' ' + _line + '\n');
+    },
+
+    /**
+     * @name _fail:
+     *   Report the error `_e`, then invoke `_callback` with a
+     *   non-zero exit status.
+     */
+    _fail: function (_e, _callback) {
+
+      if (this._is_json) {
+        this._stdout.write(JSON.stringify({
+          error: errors.serialize(_e)
+        }, null, 2) + '\n');
+      } else {
+        this._stderr.write('Error: ' + _e.message + '\n');
+      }
+
+      return _callback(1);
+    },
+
+    /**
+     * @name _usage:
+     *   Print `_message` (if provided) and a usage summary, then
+     *   invoke `_callback` with the appropriate exit status.
+     */
+    _usage: function (_message, _callback) {
+
+      var lines = _.map(this._commands, function (_c) {
+        return '  node-gammu-json ' + _c.usage;
+      });
+
+      if (_message) {
+        this._stderr.write(_message + '\n\n');
+      }
+
+      this._stderr.write([
+        'Usage:'
+      ].concat(lines, [
+        '',
+        'Options for every command:',
+        '  --config <file>  Read options for `create` from a JSON file;',
+        '                   NODE_GAMMU_JSON_<OPTION> variables override it',
+        '  --json           Write output as JSON',
+        '  --debug          Print debugging information'
+      ]).join('\n') + '\n');
+
+      return _callback(_message ? 2 : 0);
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,454 @@
+
+var fs = require('fs'),
+    _ = require('underscore');
+
+/**
+ * @name environment_prefix:
+ *   The prefix of every environment variable that `load_environment`
+ *   reads; the remainder of the name is an option, in upper case.
+ */
+var environment_prefix = 'NODE_GAMMU_JSON_';
+
+/**
+ * @name types:
+ *   Maps the name of each type used in `schema` to a predicate,
+ *   and a description of the type for use in error messages.
+ */
+var types = {
+
+  number: {
+    description: 'a number',
+    test: function (_v) {
+      return (_.isNumber(_v) && isFinite(_v));
+    }
+  },
+
+  integer: {
+    description: 'an integer',
+    test: function (_v) {
+      return (_.isNumber(_v) && isFinite(_v) && Math.floor(_v) === _v);
+    }
+  },
+
+  boolean: {
+    description: 'a boolean',
+    test: _.isBoolean
+  },
+
+  string: {
+    description: 'a string',
+    test: _.isString
+  },
+
+  object: {
+    description: 'an object',
+    test: function (_v) {
+      return (_.isObject(_v) && !_.isArray(_v) && !_.isFunction(_v));
+    }
+  }
+};
+
+/**
+ * @name schema:
+ *   Every option accepted by `create` (in `main.js`). Each has a `type`
+ *   (a name from `types`, or an array of them), and optionally a `min`
+ *   (inclusive) or `above` (exclusive) bound for numbers, an array of
+ *   the permitted `values` for strings, and a `default` (a value, or a
+ *   function of the other options that returns one). Options marked
+ *   `is_programmatic` hold objects with methods, and can't be loaded from
+ *   a file or the environment. Options with an object type are checked in
+ *   more detail by the code that uses them.
+ */
+var schema = {
+  interval: { type: 'number', above: 0, default: 5 },
+  backend: { type: [ 'string', 'object' ], default: 'gammu-json' },
+  backend_options: { type: 'object' },
+  outbound_store: { type: 'object', is_programmatic: true },
+  outbound_journal: { type: 'string' },
+  rate_limits: { type: 'object' },
+  phone_numbers: { type: [ 'boolean', 'object' ] },
+  max_segments: { type: 'integer', min: 1 },
+  transliterate: { type: 'boolean', default: false },
+  priority_aging: { type: 'number', min: 0, default: 60 },
+  transmit_batch_size: { type: 'integer', min: 1, default: 64 },
+  delete_batch_size: { type: 'integer', min: 1, default: 1024 },
+  max_transmit_attempts: { type: 'integer', min: 0, default: 2 },
+  prefix: { type: 'string' },
+  debug: { type: 'boolean', default: false },
+  logger: { type: 'object', is_programmatic: true },
+  log_level: {
+    type: 'string', values: [ 'debug', 'info', 'warn', 'error', 'none' ],
+    default: function (_options) {
+      return (
+        _options.debug ? 'debug' : (_options.logger ? 'info' : 'none')
+      );
+    }
+  },
+  log_format: { type: 'string', values: [ 'json', 'text' ], default: 'json' },
+  redact: { type: [ 'boolean', 'object' ], default: true },
+  receive: { type: 'boolean', default: true },
+  reassembly_timeout: { type: 'number', min: 0, default: 0 },
+  delivery_report_timeout: { type: 'number', above: 0, default: 172800 },
+  segment_store: { type: 'object', is_programmatic: true },
+  segment_directory: { type: 'string' },
+  delivered_store: { type: 'object', is_programmatic: true },
+  delivered_journal: { type: 'string' },
+  delivered_retention: { type: 'number', min: 0, default: 604800 },
+  status_history: { type: 'integer', min: 0, default: 1000 },
+  inbound_history: {
+    type: 'integer', min: 0,
+    default: function (_options) {
+      return (_options.http_api ? 100 : 0);
+    }
+  },
+  http_api: { type: 'object' },
+  webhook: { type: 'object' }
+};
+
+/**
+ * @name distance:
+ *   Return the Levenshtein distance between the strings `_a` and `_b`;
+ *   this is used to suggest the option that a misspelled key meant.
+ */
+var distance = function (_a, _b) {
+
+  var previous = _.range(_b.length + 1);
+
+  for (var i = 1; i <= _a.length; ++i) {
+
+    var current = [ i ];
+
+    for (var j = 1; j <= _b.length; ++j) {
+      current[j] = Math.min(
+        previous[j] + 1, current[j - 1] + 1,
+          previous[j - 1] + (_a[i - 1] == _b[j - 1] ? 0 : 1)
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[_b.length];
+};
+
+/**
+ * @name suggest:
+ *   Return the name of the option that is closest to `_key`, or
+ *   null if no option is close enough to be a plausible misspelling.
+ */
+var suggest = function (_key) {
+
+  var best = null, best_distance = Math.max(2, _key.length / 3);
+
+  for (var k in schema) {
+    var d = distance(_key, k);
+    if (d <= best_distance) {
+      best = k;
+      best_distance = d;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * @name describe_value:
+ */
+var describe_value = function (_v) {
+
+  var type = (
+    _.isArray(_v) ? 'an array' :
+      (_.isString(_v) ? 'a string' : 'a ' + typeof _v)
+  );
+
+  var json = JSON.stringify(_v);
+
+  if (json != null && json.length <= 32) {
+    return json + ' (' + type + ')';
+  }
+
+  return type;
+};
+
+/**
+ * @name check_value:
+ *   Return a description of the problem with the value `_v` of
+ *   option `_key`, or null if there isn't one.
+ */
+var check_value = function (_key, _v) {
+
+  var entry = schema[_key];
+  var names = [].concat(entry.type);
+
+  var is_valid_type = _.some(names, function (_name) {
+    return types[_name].test(_v);
+  });
+
+  var expected = _.map(names, function (_name) {
+    return types[_name].description;
+  }).join(' or ');
+
+  if (entry.min != null) {
+    expected += ' no less than ' + entry.min;
+  } else if (entry.above != null) {
+    expected += ' greater than ' + entry.above;
+  } else if (entry.values) {
+    expected = 'one of `' + entry.values.join('`, `') + '`';
+  }
+
+  var is_in_range = (
+    !_.isNumber(_v) ||
+      ((entry.min == null || _v >= entry.min) &&
+        (entry.above == null || _v > entry.above))
+  );
+
+  if (entry.values && !_.contains(entry.values, _v)) {
+    is_in_range = false;
+  }
+
+  if (is_valid_type && is_in_range) {
+    return null;
+  }
+
+  return 'must be ' + expected + ', not ' + describe_value(_v);
+};
+
+/**
+ * @name check:
+ *   Return an array of problems with `_options`; each is an object
+ *   with a `key` and a `message`. The `_name_fn` argument maps an option
+ *   to the name that the user gave it (e.g. an environment variable). If
+ *   `_is_serialized` is true, programmatic options are also rejected.
+ */
+var check = function (_options, _name_fn, _is_serialized) {
+
+  var rv = [];
+
+  var add = function (_key, _message) {
+    rv.push({ key: _key, message: '`' + _name_fn(_key) + '` ' + _message });
+  };
+
+  for (var k in _options) {
+
+    if (_options[k] == null) {
+      continue;
+    }
+
+    if (!_.has(schema, k)) {
+      var suggestion = suggest(k);
+      add(k, 'is not a valid option' + (
+        suggestion ? ' (did you mean `' + _name_fn(suggestion) + '`?)' : ''
+      ));
+      continue;
+    }
+
+    if (_is_serialized && schema[k].is_programmatic) {
+      add(k, 'can only be supplied to `create` as an object');
+      continue;
+    }
+
+    var problem = check_value(k, _options[k]);
+
+    if (problem) {
+      add(k, problem);
+    }
+  }
+
+  return rv;
+};
+
+/**
+ * @name create_error:
+ */
+var create_error = function (_problems, _source) {
+
+  var rv = new Error(
+    'Invalid configuration' + (_source ? ' in ' + _source : '') + ': ' +
+      _.pluck(_problems, 'message').join('; ')
+  );
+
+  rv.code = 'INVALID_CONFIG';
+  rv.problems = _problems;
+
+  return rv;
+};
+
+/**
+ * @name parse_environment_value:
+ *   Convert the string `_value` of the environment variable `_name`
+ *   to the type of option `_key`. Booleans are written as `true` or
+ *   `false` (or `1` or `0`), and objects as JSON.
+ */
+var parse_environment_value = function (_name, _key, _value) {
+
+  var names = [].concat(schema[_key].type);
+
+  var fail = function (_message) {
+    throw create_error([
+      { key: _key, message: '`' + _name + '` ' + _message }
+    ], 'the environment');
+  };
+
+  if (_.contains(names, 'boolean') && /^(true|false|1|0)$/i.test(_value)) {
+    return /^(true|1)$/i.test(_value);
+  }
+
+  var is_numeric = (
+    _.contains(names, 'number') || _.contains(names, 'integer')
+  );
+
+  if (is_numeric) {
+    if (!/^-?([0-9]+\.?[0-9]*|\.[0-9]+)(e[+\-]?[0-9]+)?$/i.test(_value)) {
+      fail('must be a number, not ' + JSON.stringify(_value));
+    }
+    return Number(_value);
+  }
+
+  if (_.contains(names, 'object') && /^\s*\{/.test(_value)) {
+    try {
+      return JSON.parse(_value);
+    } catch (_e) {
+      fail('is not valid JSON: ' + _e.message);
+    }
+  }
+
+  if (_.contains(names, 'string')) {
+    return _value;
+  }
+
+  return fail(
+    'must be ' + (_.contains(names, 'boolean') ?
+      '`true`, `false` or a JSON object' : 'a JSON object')
+  );
+};
+
+/**
+ * @name validate:
+ *   Check `_options` against the schema, and return the effective
+ *   configuration: a copy of `_options`, with defaults supplied for every
+ *   option that was omitted. Options that are null or undefined are
+ *   treated as omitted. If any option is unknown, or has an invalid type
+ *   or value, an exception with a `code` of `INVALID_CONFIG` is thrown;
+ *   its `problems` property is an array describing each of them.
+ */
+exports.validate = function (_options) {
+
+  var options = _.omit(_options || {}, function (_v) {
+    return (_v == null);
+  });
+
+  var problems = check(options, _.identity, false);
+
+  if (problems.length > 0) {
+    throw create_error(problems);
+  }
+
+  var rv = _.clone(options);
+
+  _.each(schema, function (_entry, _key) {
+    if (rv[_key] == null && _entry.default !== undefined) {
+      rv[_key] = (
+        _.isFunction(_entry.default) ?
+          _entry.default(options) : _entry.default
+      );
+    }
+  });
+
+  return rv;
+};
+
+/**
+ * @name load_file:
+ *   Read options from the JSON file at `_path`, which must contain
+ *   a single object. The options are checked as in `validate`, but no
+ *   defaults are supplied, so that they can be combined with others.
+ */
+exports.load_file = function (_path) {
+
+  var rv;
+
+  try {
+    rv = JSON.parse(fs.readFileSync(_path, 'utf8'));
+  } catch (_e) {
+    throw create_error([
+      { key: null, message: 'unable to read file: ' + _e.message }
+    ], '`' + _path + '`');
+  }
+
+  if (!types.object.test(rv)) {
+    throw create_error([
+      { key: null, message: 'file must contain a JSON object' }
+    ], '`' + _path + '`');
+  }
+
+  var problems = check(rv, _.identity, true);
+
+  if (problems.length > 0) {
+    throw create_error(problems, '`' + _path + '`');
+  }
+
+  return rv;
+};
+
+/**
+ * @name load_environment:
+ *   Read options from the environment variables in `_env` (which
+ *   defaults to `process.env`). Each option is named by prefixing it with
+ *   `NODE_GAMMU_JSON_` and converting it to upper case, e.g.
+ *   `NODE_GAMMU_JSON_INTERVAL`. Unknown variables with this prefix
+ *   are treated as errors, since they're probably misspelled.
+ */
+exports.load_environment = function (_env) {
+
+  var rv = {};
+  var env = (_env || process.env);
+
+  var to_name = function (_key) {
+    return environment_prefix + _key.toUpperCase();
+  };
+
+  for (var name in env) {
+
+    if (name.indexOf(environment_prefix) != 0) {
+      continue;
+    }
+
+    var key = name.substr(environment_prefix.length).toLowerCase();
+
+    if (!_.has(schema, key)) {
+      rv[key] = env[name];
+      continue;
+    }
+
+    rv[key] = parse_environment_value(name, key, env[name]);
+  }
+
+  var problems = check(rv, to_name, true);
+
+  if (problems.length > 0) {
+    throw create_error(problems, 'the environment');
+  }
+
+  return rv;
+};
+
+/**
+ * @name load:
+ *   Return the options in the JSON file at `_path` (if provided),
+ *   overridden by any that are set in the environment `_env` (see
+ *   `load_environment`). Pass the result to `create`, or to `validate`
+ *   to obtain the effective configuration.
+ */
+exports.load = function (_path, _env) {
+
+  return _.extend(
+    (_path ? exports.load_file(_path) : {}), exports.load_environment(_env)
+  );
+};
+
+/**
+ * @name schema:
+ */
+exports.schema = schema;
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,270 @@
+
+var _ = require('underscore');
+
+/**
+ * @name gsm_basic_characters:
+ *   The GSM 03.38 default alphabet. Each of these characters is
+ *   encoded as a single seven-bit septet. (The escape character, which
+ *   introduces an entry in the extension table, is omitted.)
+ */
+var gsm_basic_characters = (
+  '@£$¥èéùìòÇ\nØø\r' +
+  'ÅåΔ_ΦΓΛΩΠΨΣΘ' +
+  'ΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿' +
+  'abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+/**
+ * @name gsm_extension_characters:
+ *   The GSM 03.38 extension table. Each of these characters is
+ *   encoded as two septets: an escape, followed by the character.
+ */
+var gsm_extension_characters = '\f^{}\\[~]|€';
+
+/**
+ * @name limits:
+ *   The number of encoding units (septets for GSM, UTF-16 code units
+ *   for UCS-2) that fit in a single-part message, and in each segment
+ *   of a multi-part message, whose concatenation header uses space.
+ */
+var limits = {
+  gsm: { single: 160, multi: 153 },
+  ucs2: { single: 70, multi: 67 }
+};
+
+/**
+ * @name transliterations:
+ *   Maps characters outside of the GSM 03.38 alphabet to their closest
+ *   GSM equivalents. Characters with diacritics that aren't listed here
+ *   are handled by `transliterate_character`, which removes diacritics.
+ */
+var transliterations = {
+  '\u2018': "'", '\u2019': "'", '\u201a': "'", '\u201b': "'",
+  '\u2032': "'", '\u00b4': "'", '`': "'",
+  '\u201c': '"', '\u201d': '"', '\u201e': '"', '\u201f': '"',
+  '\u2033': '"', '\u00ab': '"', '\u00bb': '"',
+  '\u2010': '-', '\u2011': '-', '\u2012': '-', '\u2013': '-',
+  '\u2014': '-', '\u2015': '-', '\u2212': '-',
+  '\u2026': '...', '\u2022': '*', '\u00b7': '.',
+  '\u00a0': ' ', '\u2002': ' ', '\u2003': ' ', '\u2009': ' ',
+  '\u200b': '', '\ufeff': '',
+  '\u2039': '<', '\u203a': '>', '\u00d7': 'x', '\u00f7': '/',
+  '\u00a9': '(c)', '\u00ae': '(R)', '\u2122': 'TM',
+  '\u00e7': '\u00c7', '\u00b0': 'o', '\u00b2': '2', '\u00b3': '3',
+  '\u00bd': '1/2', '\u00bc': '1/4', '\u00be': '3/4',
+  '\u0153': 'oe', '\u0152': 'OE', '\u00f0': 'd', '\u00fe': 'th',
+  '\u0131': 'i', '\u0142': 'l', '\u0141': 'L'
+};
+
+/**
+ * @name gsm_index:
+ *   Maps each GSM character to its length in septets.
+ */
+var gsm_index = _.extend(
+  _.object(_.map(gsm_basic_characters.split(''), function (_c) {
+    return [ _c, 1 ];
+  })),
+  _.object(_.map(gsm_extension_characters.split(''), function (_c) {
+    return [ _c, 2 ];
+  }))
+);
+
+/**
+ * @name characters:
+ *   Split `_text` into an array of characters, keeping each UTF-16
+ *   surrogate pair (e.g. an emoji) together as a single character.
+ */
+var characters = function (_text) {
+
+  return (_text.match(/[\ud800-\udbff][\udc00-\udfff]|[\s\S]/g) || []);
+};
+
+/**
+ * @name measure:
+ *   Return the total length of the array of units `_units`.
+ */
+var measure = function (_units) {
+
+  return _.reduce(_units, function (_n, _u) {
+    return _n + _u.length;
+  }, 0);
+};
+
+/**
+ * @name is_gsm_character:
+ *   Return true if the character `_c` can be encoded using the
+ *   GSM 03.38 default alphabet or its extension table.
+ */
+exports.is_gsm_character = function (_c) {
+
+  return _.has(gsm_index, _c);
+};
+
+/**
+ * @name units:
+ *   Split `_text` into an array of indivisible units for `_encoding`.
+ *   Each unit is an object with a `text` property and a `length`, in
+ *   the encoding's units. A GSM extension character (two septets) and
+ *   a UTF-16 surrogate pair (two code units) can't be split across
+ *   message segments, so each is represented by a single unit.
+ */
+var units = function (_text, _encoding) {
+
+  return _.map(characters(_text), function (_c) {
+    return {
+      text: _c, length: (_encoding == 'gsm' ? gsm_index[_c] : _c.length)
+    };
+  });
+};
+
+/**
+ * @name transliterate_character:
+ *   Return the closest GSM 03.38 equivalent of the non-GSM character
+ *   `_c`, or null if there isn't one. We first consult the table of
+ *   `transliterations`; failing that, we try removing diacritics.
+ */
+var transliterate_character = function (_c) {
+
+  if (_.has(transliterations, _c)) {
+    return transliterations[_c];
+  }
+
+  if (!String.prototype.normalize) {
+    return null;
+  }
+
+  var rv = _c.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+  if (rv.length > 0 && rv != _c && exports.encoding_for(rv) == 'gsm') {
+    return rv;
+  }
+
+  return null;
+};
+
+/**
+ * @name transliterate:
+ *   Replace characters in `_text` that are outside of the GSM 03.38
+ *   alphabet (and its extension table) with their closest GSM equivalents.
+ *   Returns an object with the properties `text` (the transliterated
+ *   text), `substitutions` (an array of objects, each with `character`,
+ *   `replacement`, and `count` properties), and `unmapped` (an array of
+ *   the distinct non-GSM characters that have no equivalent, and so
+ *   remain in `text`; if this isn't empty, UCS-2 will still be used).
+ */
+exports.transliterate = function (_text) {
+
+  var substitutions = {}, unmapped = {};
+
+  var text = _.map(characters(_text), function (_c) {
+
+    if (exports.is_gsm_character(_c)) {
+      return _c;
+    }
+
+    var replacement = transliterate_character(_c);
+
+    if (replacement == null) {
+      unmapped[_c] = true;
+      return _c;
+    }
+
+    if (!substitutions[_c]) {
+      substitutions[_c] = {
+        character: _c, replacement: replacement, count: 0
+      };
+    }
+
+    substitutions[_c].count++;
+    return replacement;
+
+  }).join('');
+
+  return {
+    text: text, substitutions: _.values(substitutions),
+    unmapped: _.keys(unmapped)
+  };
+};
+
+/**
+ * @name split:
+ *   Split `_text` into the array of strings that will be transmitted
+ *   as the segments of a (possibly multi-part) message. The `_encoding`
+ *   argument may be omitted, in which case it's chosen automatically.
+ */
+exports.split = function (_text, _encoding) {
+
+  var text = (_text || '');
+  var encoding = (_encoding || exports.encoding_for(text));
+  var limit = limits[encoding];
+  var parts = units(text, encoding);
+
+  if (measure(parts) <= limit.single) {
+    return [ text ];
+  }
+
+  var rv = [], segment = '', length = 0;
+
+  for (var i = 0, len = parts.length; i < len; ++i) {
+
+    if (length + parts[i].length > limit.multi) {
+      rv.push(segment);
+      segment = '';
+      length = 0;
+    }
+
+    segment += parts[i].text;
+    length += parts[i].length;
+  }
+
+  rv.push(segment);
+  return rv;
+};
+
+/**
+ * @name encoding_for:
+ *   Return `gsm` if every character in `_text` can be encoded using
+ *   GSM 03.38; otherwise, return `ucs2`.
+ */
+exports.encoding_for = function (_text) {
+
+  return (
+    _.every(characters(_text), exports.is_gsm_character) ? 'gsm' : 'ucs2'
+  );
+};
+
+/**
+ * @name analyze:
+ *   Determine how `_text` will be encoded and transmitted. Returns an
+ *   object with the properties `encoding` (`gsm` or `ucs2`), `length`
+ *   (the number of septets or UTF-16 code units), `segments` (the
+ *   number of message segments), `per_segment` (the number of units that
+ *   fit in each segment), `remaining` (the number of units still unused
+ *   in the final segment), and `non_gsm_characters` (an array of the
+ *   distinct characters that require UCS-2 encoding).
+ */
+exports.analyze = function (_text) {
+
+  if (!_.isString(_text)) {
+    throw new Error('Message text must be supplied as a string');
+  }
+
+  var encoding = exports.encoding_for(_text);
+  var limit = limits[encoding];
+  var segments = exports.split(_text, encoding);
+
+  var per_segment = (segments.length > 1 ? limit.multi : limit.single);
+
+  return {
+    encoding: encoding,
+    length: measure(units(_text, encoding)),
+    segments: segments.length, per_segment: per_segment,
+    remaining: per_segment - measure(units(_.last(segments), encoding)),
+    non_gsm_characters: _.uniq(_.reject(
+      characters(_text), exports.is_gsm_character
+    ))
+  };
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,20 @@
+
+var _ = require('underscore');
+
+/**
+ * @name serialize:
+ *   Return a plain object describing the error `_e`, suitable for
+ *   inclusion in JSON (e.g. a webhook payload, an HTTP API response,
+ *   or the output of the command-line tool). Every enumerable property
+ *   is kept, except `stack`; `message`, `code` and `scope` are always
+ *   present, with null for a missing `code` or `scope`.
+ */
+exports.serialize = function (_e) {
+
+  return _.extend(_.omit(_e, 'stack'), {
+    message: _e.message, code: (_e.code || null),
+    scope: (_e.scope || null)
+  });
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,528 @@
+
+var http = require('http'),
+    crypto = require('crypto'),
+    _ = require('underscore'),
+    errors = require('./errors'),
+    logger = require('./logger');
+
+/**
+ * @namespace http-api:
+ *   An optional HTTP server that allows processes written in other
+ *   languages to use a gateway instance (see `main.js`). It can submit
+ *   outbound messages, report the status of a message, list the outbound
+ *   and deletion queues, and list recently-received messages. Requests
+ *   and responses are JSON; errors are reported as an object with an
+ *   `error` property, which has `message`, `code` and `scope` properties.
+ *
+ *   Endpoints are `POST /messages` (with a body containing `to`,
+ *   `content` and, optionally, any of the options in `_send_options`),
+ *   `GET /messages/:id`, `GET /queues/outbound`, `GET /queues/deletion`,
+ *   and `GET /inbound` (which accepts a `limit` query parameter). If the
+ *   `metrics` option is set, `GET /metrics` serves the gateway's metrics
+ *   in the Prometheus text format, rather than as JSON.
+ */
+exports.prototype = {
+
+    /**
+     * @name _module_name:
+     */
+    _module_name: 'node-gammu-json:http-api',
+
+    /**
+     * @name _log:
+     */
+    _log: logger.log,
+
+    /**
+     * @name _scope_status_codes:
+     *   Maps the `scope` of an error to the HTTP status code of the
+     *   response that reports it. Errors that originate in the gateway use
+     *   the same scopes as the `error` event; the other scopes are ours.
+     */
+    _scope_status_codes: {
+      request: 400, auth: 401, not_found: 404, method: 405, conflict: 409,
+      size: 413, internal: 500, transmit: 502, receive: 502, global: 503
+    },
+
+    /**
+     * @name _request_error_codes:
+     *   The `code` of each error thrown by `send` that's caused by the
+     *   request itself, and so is reported with the `request` scope. Any
+     *   other error (e.g. a failure of the outbound store) is the server's
+     *   fault, and is reported with the `internal` scope.
+     */
+    _request_error_codes: {
+      INVALID_ARGUMENT: 1, INVALID_PHONE_NUMBER: 2,
+      TOO_MANY_SEGMENTS: 3, UNSUPPORTED_OPTION: 4
+    },
+
+    /**
+     * @name _send_options:
+     *   The options of `send` that may be supplied in the body of a
+     *   `POST /messages` request. Times may be numbers (of milliseconds
+     *   since the epoch) or strings in any format understood by `Date`.
+     */
+    _send_options: [
+      'queue_id', 'priority', 'send_at', 'expires_at', 'validity',
+      'delivery_report', 'max_segments', 'transliterate'
+    ],
+
+    /**
+     * @name _routes:
+     *   Each route has an HTTP method, a pattern that matches the path
+     *   (whose captures are passed to the handler), and the name of the
+     *   handler method.
+     */
+    _routes: [
+      { method: 'POST', pattern: /^\/messages\/?$/, handler: '_submit' },
+      { method: 'GET', pattern: /^\/messages\/([^\/]+)$/, handler: '_status' },
+      { method: 'GET', pattern: /^\/queues\/outbound$/, handler: '_outbound' },
+      { method: 'GET', pattern: /^\/queues\/deletion$/, handler: '_deletion' },
+      { method: 'GET', pattern: /^\/inbound$/, handler: '_inbound' },
+      { method: 'GET', pattern: /^\/metrics$/, handler: '_metrics' }
+    ],
+
+    /**
+     * @name _max_body_size:
+     *   The largest request body that we'll accept, in bytes.
+     */
+    _max_body_size: 65536,
+
+    /**
+     * @name initialize:
+     *   The `_gateway` argument is the gateway instance to expose. Valid
+     *   options are `port` (defaults to 8080), `host` (defaults to
+     *   `127.0.0.1`, which only accepts local connections), `token` (if
+     *   provided, every request must include an `Authorization` header of
+     *   `Bearer <token>`), `metrics` (a boolean; if true, metrics are
+     *   served at `/metrics`), and `logger` or `debug` (see `from_options`
+     *   in `logger.js`).
+     */
+    initialize: function (_gateway, _options) {
+
+      var options = (_options || {});
+
+      if (options.token != null) {
+        if (!_.isString(options.token) || !options.token) {
+          throw new Error('HTTP API token must be a non-empty string');
+        }
+      }
+
+      this._gateway = _gateway;
+      this._port = (options.port != null ? options.port : 8080);
+      this._host = (options.host || '127.0.0.1');
+      this._token = options.token;
+      this._is_metrics_enabled = !!options.metrics;
+      this._server = null;
+
+      this._logger = logger.from_options(options);
+      return this;
+    },
+
+    /**
+     * @name listen:
+     *   Start accepting requests. The `_callback` argument, if provided,
+     *   is invoked with a node-style error argument once the server is
+     *   listening (or has failed to start).
+     */
+    listen: function (_callback) {
+
+      var self = this;
+      var callback = (_callback || function () {});
+
+      if (self._server) {
+        return setImmediate(callback);
+      }
+
+      var server = http.createServer(_.bind(self._handle_request, self));
+
+      var on_error = function (_err) {
+        self._server = null;
+        callback(_err);
+      };
+
+      server.once('error', on_error);
+
+      server.listen(self._port, self._host, function () {
+        server.removeListener('error', on_error);
+        self._log('info', 'http_api.listening', { address: self.address() });
+        callback();
+      });
+
+      self._server = server;
+    },
+
+    /**
+     * @name close:
+     *   Stop accepting requests, and close idle connections. The
+     *   `_callback` argument, if provided, is invoked once the server
+     *   has closed.
+     */
+    close: function (_callback) {
+
+      var server = this._server;
+      var callback = (_callback || function () {});
+
+      if (!server) {
+        return setImmediate(callback);
+      }
+
+      this._server = null;
+
+      server.close(function () {
+        callback();
+      });
+
+      if (server.closeIdleConnections) {
+        server.closeIdleConnections();
+      }
+    },
+
+    /**
+     * @name address:
+     *   Return the address that the server is listening on (an object
+     *   with `address` and `port` properties), or null if it isn't.
+     */
+    address: function () {
+
+      return (this._server ? this._server.address() : null);
+    },
+
+    /**
+     * @name _handle_request:
+     */
+    _handle_request: function (_req, _res) {
+
+      var url;
+
+      /* Malformed URLs:
+          These are rejected before anything else happens, since
+          the `URL` constructor throws; this must not stop the server. */
+
+      try {
+        url = new URL(_req.url, 'http://localhost');
+      } catch (_e) {
+        return this._respond_error(_res, this._create_error(
+          'Request URL is invalid', 'request'
+        ));
+      }
+
+      if (!this._is_authorized(_req)) {
+        return this._respond_error(_res, this._create_error(
+          'A valid bearer token is required', 'auth'
+        ));
+      }
+
+      var is_path_known = false;
+
+      for (var i = 0, len = this._routes.length; i < len; ++i) {
+
+        var route = this._routes[i];
+        var match = url.pathname.match(route.pattern);
+
+        if (!match) {
+          continue;
+        }
+
+        is_path_known = true;
+
+        if (route.method != _req.method) {
+          continue;
+        }
+
+        try {
+          var args = _.map(match.slice(1), function (_s) {
+            return decodeURIComponent(_s);
+          });
+        } catch (_e) {
+          return this._respond_error(_res, this._create_error(
+            'Request path is not properly encoded', 'request'
+          ));
+        }
+
+        return this[route.handler](_req, _res, url, args);
+      }
+
+      return this._respond_error(_res, (
+        is_path_known ?
+          this._create_error('Method not allowed', 'method') :
+          this._create_error('Resource not found', 'not_found')
+      ));
+    },
+
+    /**
+     * @name _submit:
+     *   Handle `POST /messages`. The message is queued, and we respond
+     *   with its status (see `message_status` in `main.js`), including
+     *   the `queue_id` that's used to check on its progress.
+     */
+    _submit: function (_req, _res) {
+
+      var self = this;
+
+      self._read_body(_req, function (_err, _body) {
+
+        if (_err) {
+          return self._respond_error(_res, _err);
+        }
+
+        var options = _.pick(_body, self._send_options);
+
+        try {
+          for (var k in { send_at: 0, expires_at: 1 }) {
+            if (_.isString(options[k])) {
+              options[k] = new Date(options[k]);
+            }
+          }
+
+          options.queue_id = (
+            options.queue_id || crypto.randomBytes(8).toString('hex')
+          );
+
+          if (self._gateway.message_status(options.queue_id)) {
+            throw self._create_error(
+              'Message `' + options.queue_id + '` already exists', 'conflict'
+            );
+          }
+
+          self._gateway.send(_body.to, _body.content, options, function () {});
+
+        } catch (_e) {
+
+          if (!_e.scope) {
+            _e.scope = (
+              self._request_error_codes[_e.code] ? 'request' : 'internal'
+            );
+          }
+
+          return self._respond_error(_res, _e);
+        }
+
+        self._respond(
+          _res, 202, self._gateway.message_status(options.queue_id)
+        );
+      });
+    },
+
+    /**
+     * @name _status:
+     *   Handle `GET /messages/:id`.
+     */
+    _status: function (_req, _res, _url, _args) {
+
+      var rv = this._gateway.message_status(_args[0]);
+
+      if (!rv) {
+        return this._respond_error(_res, this._create_error(
+          'No message with identifier `' + _args[0] + '`', 'not_found'
+        ));
+      }
+
+      this._respond(_res, 200, rv);
+    },
+
+    /**
+     * @name _outbound:
+     *   Handle `GET /queues/outbound`.
+     */
+    _outbound: function (_req, _res) {
+
+      this._respond(_res, 200, { messages: this._gateway.outbound_queue() });
+    },
+
+    /**
+     * @name _deletion:
+     *   Handle `GET /queues/deletion`.
+     */
+    _deletion: function (_req, _res) {
+
+      this._respond(_res, 200, { locations: this._gateway.deletion_queue() });
+    },
+
+    /**
+     * @name _inbound:
+     *   Handle `GET /inbound`.
+     */
+    _inbound: function (_req, _res, _url) {
+
+      var limit = _url.searchParams.get('limit');
+
+      if (limit != null && !/^[0-9]+$/.test(limit)) {
+        return this._respond_error(_res, this._create_error(
+          'Limit must be a non-negative integer', 'request'
+        ));
+      }
+
+      this._respond(_res, 200, {
+        messages: this._gateway.recent_inbound(
+          limit != null ? parseInt(limit, 10) : undefined
+        )
+      });
+    },
+
+    /**
+     * @name _metrics:
+     *   Handle `GET /metrics`, if it's enabled. The response is plain
+     *   text, so that it can be scraped by Prometheus directly.
+     */
+    _metrics: function (_req, _res) {
+
+      if (!this._is_metrics_enabled) {
+        return this._respond_error(_res, this._create_error(
+          'Resource not found', 'not_found'
+        ));
+      }
+
+      var registry = this._gateway.metrics();
+      var body = registry.render();
+
+      _res.writeHead(200, {
+        'Content-Type': registry.content_type,
+        'Content-Length': Buffer.byteLength(body)
+      });
+
+      _res.end(body);
+    },
+
+    /**
+     * @name _is_authorized:
+     *   Return true if the request `_req` carries our token, or if
+     *   no token is required. Tokens are compared in constant time.
+     */
+    _is_authorized: function (_req) {
+
+      if (!this._token) {
+        return true;
+      }
+
+      var match = String(_req.headers.authorization || '').match(
+        /^Bearer\s+(.+)$/i
+      );
+
+      if (!match) {
+        return false;
+      }
+
+      var digest = function (_s) {
+        return crypto.createHash('sha256').update(_s).digest();
+      };
+
+      return crypto.timingSafeEqual(digest(match[1]), digest(this._token));
+    },
+
+    /**
+     * @name _read_body:
+     *   Read and parse the JSON body of the request `_req`, then invoke
+     *   `_callback` with a node-style error argument and the body, which
+     *   must be an object.
+     */
+    _read_body: function (_req, _callback) {
+
+      var self = this;
+      var chunks = [], size = 0, is_finished = false;
+
+      var finish = function (_err, _body) {
+        if (!is_finished) {
+          is_finished = true;
+          _callback(_err, _body);
+        }
+      };
+
+      _req.on('data', function (_chunk) {
+
+        size += _chunk.length;
+
+        if (size > self._max_body_size) {
+          _req.resume();
+          return finish(
+            self._create_error('Request body is too large', 'size')
+          );
+        }
+
+        chunks.push(_chunk);
+      });
+
+      _req.on('error', finish);
+
+      _req.on('end', function () {
+
+        var body;
+
+        try {
+          body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (_e) {
+          return finish(
+            self._create_error('Request body must be valid JSON', 'request')
+          );
+        }
+
+        if (!_.isObject(body) || _.isArray(body)) {
+          return finish(
+            self._create_error('Request body must be an object', 'request')
+          );
+        }
+
+        finish(null, body);
+      });
+    },
+
+    /**
+     * @name _create_error:
+     */
+    _create_error: function (_message, _scope) {
+
+      var rv = new Error(_message);
+
+      rv.scope = _scope;
+      return rv;
+    },
+
+    /**
+     * @name _respond_error:
+     */
+    _respond_error: function (_res, _e) {
+
+      this._log('debug', 'http_api.request_failed', {
+        scope: _e.scope, error: _e.message
+      });
+
+      this._respond(
+        _res, (this._scope_status_codes[_e.scope] || 500),
+          { error: errors.serialize(_e) }
+      );
+    },
+
+    /**
+     * @name _respond:
+     *   Send a JSON response with the HTTP status `_status`. Any errors
+     *   in `_body` (e.g. in a message's status) are serialized, too.
+     */
+    _respond: function (_res, _status, _body) {
+
+      var json = JSON.stringify(_body, function (_k, _v) {
+        return (_v instanceof Error ? errors.serialize(_v) : _v);
+      });
+
+      _res.writeHead(_status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json)
+      });
+
+      _res.end(json);
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,379 @@
+
+var _ = require('underscore'),
+    errors = require('./errors');
+
+/**
+ * @name is_moment:
+ *   Return true if `_value` is a `moment` object; we can't use
+ *   `instanceof`, since the application may have its own copy.
+ */
+var is_moment = function (_value) {
+
+  return (
+    _.isObject(_value) && _.isFunction(_value.isValid) &&
+      _.isFunction(_value.toISOString)
+  );
+};
+
+/**
+ * @namespace logger:
+ *   Levelled, structured logging. Each record is a plain object with
+ *   `time` (an ISO 8601 string), `level`, `module` (the name of the module
+ *   that produced it), `event` (a dotted name, e.g. `receive.finished`),
+ *   and any other fields that describe the event. Records below the
+ *   configured level are discarded, and phone numbers and message content
+ *   are masked before a record leaves this module (see `redact`).
+ *
+ *   Records are written to `stderr` by default, one per line, as JSON
+ *   or as text. Alternatively, a `sink` may be supplied: any object with
+ *   a `log` method, which is invoked with each record (e.g. to hand the
+ *   records to an application's existing logging library).
+ */
+exports.prototype = {
+
+    /**
+     * @name _levels:
+     *   All available levels, as keys, with the severity of each as
+     *   values. The `none` level discards every record.
+     */
+    _levels: {
+      debug: 0, info: 1, warn: 2, error: 3, none: 4
+    },
+
+    /**
+     * @name _formats:
+     *   All available formats for records written to a stream.
+     */
+    _formats: {
+      json: 1, text: 2
+    },
+
+    /**
+     * @name _phone_number_keys:
+     *   Fields whose values are phone numbers, wherever they appear.
+     */
+    _phone_number_keys: {
+      to: 1, from: 2, to_original: 3, from_original: 4,
+      recipient: 5, phone_number: 6, smsc: 7
+    },
+
+    /**
+     * @name _content_keys:
+     *   Fields whose values are message content, wherever they appear.
+     */
+    _content_keys: {
+      content: 1, content_original: 2, text: 3, body: 4
+    },
+
+    /**
+     * @name _phone_number_pattern:
+     *   Matches things that look like phone numbers in free text (e.g.
+     *   error messages): runs of seven or more digits, with an optional
+     *   leading plus, that aren't part of a longer alphanumeric token.
+     */
+    _phone_number_pattern: /(^|[^0-9A-Za-z])(\+?[0-9]{7,15})(?![0-9A-Za-z])/g,
+
+    /**
+     * @name _max_depth:
+     *   Fields nested more deeply than this are replaced with a
+     *   placeholder; this bounds the size of each record.
+     */
+    _max_depth: 6,
+
+    /**
+     * @name _is_logger:
+     *   Distinguishes instances of this module from sinks; see
+     *   `from_options`, below.
+     */
+    _is_logger: true,
+
+    /**
+     * @name initialize:
+     *   Valid options are `level` (see `_levels`; defaults to `info`),
+     *   `format` (`json`, the default, or `text`), `stream` (a writable
+     *   stream; defaults to `process.stderr`), `sink` (an object with a
+     *   `log` method; if provided, records are passed to it, rather than
+     *   written to `stream`), and `redact`. The `redact` option may be a
+     *   boolean, or an object with boolean `phone_numbers` and `content`
+     *   properties; both kinds of redaction are enabled by default.
+     */
+    initialize: function (_options) {
+
+      var options = (_options || {});
+      var redact = (options.redact != null ? options.redact : true);
+
+      this._level = (options.level || 'info');
+      this._format = (options.format || 'json');
+
+      if (!_.has(this._levels, this._level)) {
+        throw new Error('Unknown log level `' + this._level + '`');
+      }
+
+      if (!_.has(this._formats, this._format)) {
+        throw new Error('Unknown log format `' + this._format + '`');
+      }
+
+      if (options.sink && !_.isFunction(options.sink.log)) {
+        throw new Error('Log sink must implement a log method');
+      }
+
+      this._sink = (options.sink || null);
+      this._stream = (options.stream || process.stderr);
+
+      this._redact_phone_numbers = (
+        _.isObject(redact) ? redact.phone_numbers !== false : !!redact
+      );
+
+      this._redact_content = (
+        _.isObject(redact) ? redact.content !== false : !!redact
+      );
+
+      return this;
+    },
+
+    /**
+     * @name is_enabled:
+     *   Return true if records at `_level` are being logged.
+     */
+    is_enabled: function (_level) {
+
+      return (
+        this._level != 'none' &&
+          this._levels[_level] >= this._levels[this._level]
+      );
+    },
+
+    /**
+     * @name write:
+     *   Log the event `_event`, which was produced by the module named
+     *   `_module`, at `_level`, with the additional fields in `_fields`.
+     *   The record is redacted, then passed to the sink or written out.
+     *   Failures of the sink or stream are ignored; logging must never
+     *   interrupt message processing.
+     */
+    write: function (_level, _module, _event, _fields) {
+
+      if (!this.is_enabled(_level)) {
+        return;
+      }
+
+      var record = {
+        time: new Date().toISOString(), level: _level,
+        module: _module, event: _event
+      };
+
+      _.defaults(record, this._sanitize(_fields || {}, null, 0));
+
+      try {
+        if (this._sink) {
+          this._sink.log(record);
+        } else {
+          this._stream.write(this._format_record(record) + '\n');
+        }
+      } catch (_e) {
+        /* Ignored; see above */
+      }
+    },
+
+    /**
+     * @name redact:
+     *   Return a copy of `_value` with phone numbers and message content
+     *   masked, as configured. Errors are converted to plain objects.
+     */
+    redact: function (_value) {
+
+      return this._sanitize(_value, null, 0);
+    },
+
+    /**
+     * @name _sanitize:
+     *   Return a copy of `_value`, which is the field `_key` of its
+     *   parent (or null), that's suitable for inclusion in a record.
+     */
+    _sanitize: function (_value, _key, _depth) {
+
+      if (_value == null || _.isBoolean(_value) || _.isNumber(_value)) {
+        return _value;
+      }
+
+      if (_key != null && this._content_keys[_key] && this._redact_content) {
+        return this._mask_content(_value);
+      }
+
+      if (_.isString(_value)) {
+        return (
+          _key != null && this._phone_number_keys[_key] ?
+            this._mask_phone_number(_value) : this._mask_text(_value)
+        );
+      }
+
+      if (_.isFunction(_value)) {
+        return undefined;
+      }
+
+      if (_value instanceof Date || is_moment(_value)) {
+        return _value.toISOString();
+      }
+
+      if (_depth >= this._max_depth) {
+        return '[nested too deeply]';
+      }
+
+      if (_value instanceof Error) {
+        _value = errors.serialize(_value);
+      }
+
+      if (_.isArray(_value)) {
+        return _.map(_value, function (_v) {
+          return this._sanitize(_v, _key, _depth + 1);
+        }, this);
+      }
+
+      var rv = {};
+
+      for (var k in _value) {
+        if (_.has(_value, k)) {
+          var v = this._sanitize(_value[k], k, _depth + 1);
+          if (v !== undefined) {
+            rv[k] = v;
+          }
+        }
+      }
+
+      return rv;
+    },
+
+    /**
+     * @name _mask_phone_number:
+     *   Replace every digit of `_s` except the last three with `*`.
+     */
+    _mask_phone_number: function (_s) {
+
+      if (!this._redact_phone_numbers) {
+        return _s;
+      }
+
+      var digits = _s.replace(/[^0-9]/g, '').length;
+      var seen = 0;
+
+      return _s.replace(/[0-9]/g, function (_d) {
+        return (++seen > digits - 3 ? _d : '*');
+      });
+    },
+
+    /**
+     * @name _mask_text:
+     *   Mask anything in the free text `_s` that looks like a phone
+     *   number; see `_phone_number_pattern`.
+     */
+    _mask_text: function (_s) {
+
+      if (!this._redact_phone_numbers) {
+        return _s;
+      }
+
+      var self = this;
+
+      return _s.replace(
+        self._phone_number_pattern, function (_match, _prefix, _number) {
+          return _prefix + self._mask_phone_number(_number);
+        }
+      );
+    },
+
+    /**
+     * @name _mask_content:
+     *   Replace message content with a description of its length.
+     */
+    _mask_content: function (_value) {
+
+      if (!_.isString(_value)) {
+        return '[redacted]';
+      }
+
+      return '[redacted: ' + _value.length + ' characters]';
+    },
+
+    /**
+     * @name _format_record:
+     *   Return `_record` as a single line of JSON or text. Text lines
+     *   start with the time, level, module and event; the remaining
+     *   fields follow as `name=value` pairs, with values as JSON.
+     */
+    _format_record: function (_record) {
+
+      if (this._format == 'json') {
+        return JSON.stringify(_record);
+      }
+
+      var fields = _.omit(_record, 'time', 'level', 'module', 'event');
+
+      return [
+        _record.time, _record.level.toUpperCase(),
+          _record.module + ':', _record.event
+      ].concat(_.map(fields, function (_v, _k) {
+        return _k + '=' + JSON.stringify(_v);
+      })).join(' ');
+    }
+};
+
+/**
+ * @name log:
+ *   Log an event at `_level`, with the fields in `_fields`. This function
+ *   is intended to be mixed in to a prototype as `_log`; records go to the
+ *   instance's `_logger` property (see `from_options`), and are labelled
+ *   with its `_module_name` property.
+ */
+exports.log = function (_level, _event, _fields) {
+
+  if (this._logger) {
+    this._logger.write(_level, this._module_name, _event, _fields);
+  }
+
+  return this;
+};
+
+/**
+ * @name from_options:
+ *   Return the logger that a module should use, given the options
+ *   `_options` that it was created with. If the `logger` option is an
+ *   instance of this module (e.g. because the module was created by a
+ *   gateway instance), it's shared. Otherwise, a new instance is created
+ *   that passes records to the `logger` option (if it's a sink) or writes
+ *   them to `stderr`. The level is `log_level`; if that's omitted, it's
+ *   `debug` if the `debug` option is true, `info` if a sink is provided,
+ *   and `none` otherwise, so that modules are silent by default.
+ */
+exports.from_options = function (_options) {
+
+  var options = (_options || {});
+
+  if (options.logger && options.logger._is_logger) {
+    return options.logger;
+  }
+
+  var level = (
+    options.log_level ||
+      (options.debug ? 'debug' : (options.logger ? 'info' : 'none'))
+  );
+
+  return exports.create({
+    level: level, format: options.log_format,
+    sink: options.logger, redact: options.redact
+  });
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
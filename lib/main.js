@@ -1,10 +1,27 @@
 
 var path = require('path'),
+    crypto = require('crypto'),
+    events = require('events'),
     async = require('async'),
     _ = require('underscore'),
-    jsdump = require('jsDump'),
     moment = require('moment'),
-    child = require('child_process');
+    logger = require('./logger'),
+    config = require('./config'),
+    metrics = require('./metrics'),
+    encoding = require('./encoding'),
+    udh = require('./udh'),
+    phone_number = require('./phone_number'),
+    http_api = require('./http_api'),
+    webhook = require('./webhook'),
+    campaign = require('./campaign'),
+    rate_limiter = require('./rate_limiter'),
+    outbound_journal = require('./stores/outbound_journal'),
+    delivered_journal = require('./stores/delivered_journal'),
+    segment_directory = require('./stores/segment_directory'),
+    backends = {
+      'gammu-json': require('./backends/gammu_json'),
+      'simulator': require('./backends/simulator')
+    };
 
 /**
  * @namespace node-gammu-json:
@@ -23,46 +40,84 @@ exports.prototype = {
      */
     _all_events: {
       receive : 1, transmit: 2, error: 3,
-      receive_segment: 4, return_segments: 5, release_segments: 6
+      receive_segment: 4, return_segments: 5, release_segments: 6,
+      delivery_report: 7, queue_run: 8, reassembly_timeout: 9
     },
 
     /**
-     * @name _debug_print:
+     * @name _acknowledgment_events:
+     *   The subset of `_all_events` whose handlers acknowledge receipt
+     *   by invoking a callback (or settling a promise). Each of these
+     *   events has at most one handler, since we must wait for a single
+     *   well-defined answer. Every other event is a notification, and may
+     *   have any number of listeners.
      */
-    _debug_print: function () {
-
-      if (!this._is_debug_enabled) {
-        return;
-      }
-
-      var skip_quote = false;
-      var args = _.toArray(arguments);
-
-      process.stderr.write(this._module_name + ':');
-
-      for (var i = 0, len = args.length; i < len; ++i) {
+    _acknowledgment_events: {
+      receive: 1, receive_segment: 2, return_segments: 3
+    },
 
-        if (args[i] === String || args === Number) {
-          skip_quote = true;
-          continue;
-        }
+    /**
+     * @name _delivery_report_states:
+     *   The final states that a delivery report may indicate. Reports
+     *   with any other status (e.g. "pending") are discarded, since the
+     *   network will send another report once the state is final.
+     */
+    _delivery_report_states: {
+      delivered: 1, failed: 2, expired: 3
+    },
 
-        process.stderr.write(' ');
+    /**
+     * @name _priority_lanes:
+     *   All available outbound priorities, as keys, with the rank of
+     *   each as values. Lower-ranked lanes are transmitted first.
+     */
+    _priority_lanes: {
+      high: 0, normal: 1, low: 2
+    },
 
-        if (skip_quote && (_.isString(args[i]) || _.isNumeric(args[i]))) {
-          skip_quote = false;
-          process.stderr.write(args[i]);
-        } else {
-          process.stderr.write(
-            jsdump.parse(args[i]).replace(/[\r\n\t\s]+/g, ' ')
-          );
-        }
-      }
+    /**
+     * @name _metric_prefix:
+     *   The prefix of the name of every metric that we define.
+     */
+    _metric_prefix: 'node_gammu_json_',
 
-      process.stderr.write('\n');
-      return this;
+    /**
+     * @name _counters:
+     *   The name and help text of each counter that we maintain; see
+     *   `_define_metrics`. Counters with a label have it listed in the
+     *   help text. Messages that remain on the device are retrieved by
+     *   every queue run, and so are counted by `retrieved_total` each time.
+     */
+    _counters: {
+      retrieved_total:
+        'Stored messages read from the device, by type',
+      reassembled_total:
+        'Multi-part messages reassembled from their segments',
+      received_total:
+        'Received messages accepted by the receive handler or webhook',
+      receive_rejected_total:
+        'Received messages rejected by the receive handler or webhook',
+      duplicates_total:
+        'Received messages skipped because they were already delivered',
+      transmitted_total:
+        'Outbound messages transmitted successfully',
+      transmit_retries_total:
+        'Failed transmission attempts that will be retried',
+      transmit_failures_total:
+        'Outbound messages abandoned, by reason (failed or expired)',
+      deleted_total:
+        'Storage locations deleted from the device',
+      delete_failures_total:
+        'Storage locations that could not be deleted from the device',
+      errors_total:
+        'Errors reported via the error event, by scope'
     },
 
+    /**
+     * @name _log:
+     */
+    _log: logger.log,
+
     /**
      * @name _setenv:
      *   Set environment variable using a callback.
@@ -78,19 +133,75 @@ exports.prototype = {
     _start_polling: function () {
 
       this._is_polling = true;
-      this._handle_polling_timeout();
+
+      /* Already running?
+          If a queue run is still in progress (e.g. we were stopped and
+          restarted before it finished), it'll reschedule itself. */
+
+      if (!this._is_processing) {
+        this._handle_polling_timeout();
+      }
 
       return this;
     },
 
     /**
      * @name _stop_polling:
+     *   Stop polling. If `_callback` is provided, it's invoked once any
+     *   in-progress queue run has completed, and no further runs will start.
      */
-    _stop_polling: function () {
+    _stop_polling: function (_callback) {
 
       this._is_polling = false;
+
+      if (this._poll_timer) {
+        clearTimeout(this._poll_timer);
+        this._poll_timer = null;
+      }
+
+      if (!_callback) {
+        return;
+      }
+
+      if (this._is_processing) {
+        this._stop_callbacks.push(_callback);
+      } else {
+        setImmediate(_callback);
+      }
     },
 
+    /**
+     * @name _finish_queue_run:
+     *   Called at the end of each queue run. Schedules the next run
+     *   if we're still polling, fires the `queue_run` event with the
+     *   array of global errors (`_errors`) that occurred during the run,
+     *   and then invokes any callbacks that were waiting for the run
+     *   to finish.
+     */
+    _finish_queue_run: function (_errors) {
+
+      var callbacks = this._stop_callbacks;
+
+      this._is_processing = false;
+      this._stop_callbacks = [];
+
+      if (this._is_polling) {
+        this._log('debug', 'queue_run.rescheduled', {
+          interval: this._poll_interval
+        });
+
+        this._poll_timer = setTimeout(
+          _.bind(this._handle_polling_timeout, this),
+            this._poll_interval
+        );
+      }
+
+      this._emit_notification('queue_run', { errors: (_errors || []) });
+
+      for (var i = 0, len = callbacks.length; i < len; ++i) {
+        callbacks[i].call(this);
+      }
+    },
 
     /**
      * @name _handle_polling_timeout:
@@ -102,11 +213,20 @@ exports.prototype = {
       /* Check for termination:
           This is set via the `_stop_polling` method, above. */
 
+      self._poll_timer = null;
+
       if (!self._is_polling) {
-        self._debug_print('termination request received');
+        self._log('debug', 'queue_run.cancelled');
         return false;
       }
 
+      var errors = [];
+      self._is_processing = true;
+
+      var finish_timer = self._metrics.start_timer(
+        self._metric_prefix + 'queue_run_duration_seconds'
+      );
+
       /* Queue processing:
           Send messages, receive messages, then schedule next run.
           We make sure to always run each phase, regardless of error. */
@@ -115,16 +235,21 @@ exports.prototype = {
 
         function (_next_fn) {
 
+          if (!self._is_receive_enabled) {
+            return _next_fn();
+          }
+
           /* Phase one: receive messages */
-          self._debug_print(String, 'receiving messages');
+          self._log('debug', 'receive.started');
 
           self._receive_messages(function (_err) {
 
             if (_err) {
+              errors.push(_err);
               self._notify_global_error(_err);
             }
 
-            self._debug_print(String, 'receive finished');
+            self._log('debug', 'receive.finished');
             _next_fn();
           });
         },
@@ -132,15 +257,16 @@ exports.prototype = {
         function (_next_fn) {
 
           /* Phase two: delete delivered messages */
-          self._debug_print(String, 'deleting messages');
+          self._log('debug', 'delete.started');
 
           self._delete_messages(function (_err) {
 
             if (_err) {
+              errors.push(_err);
               self._notify_global_error(_err);
             }
 
-            self._debug_print(String, 'delete finished');
+            self._log('debug', 'delete.finished');
             _next_fn();
           });
         },
@@ -148,54 +274,310 @@ exports.prototype = {
         function (_next_fn) {
 
           /* Phase three: transmit messages */
-          self._debug_print(String, 'transmitting messages');
+          self._log('debug', 'transmit.started');
 
           self._transmit_messages(function (_err) {
 
             if (_err) {
+              errors.push(_err);
               self._notify_global_error(_err);
             }
 
-            self._debug_print(String, 'transmit finished');
+            self._log('debug', 'transmit.finished');
             _next_fn();
           });
         }
 
       ], function (_err) {
 
-        self._debug_print(String, 'rescheduling');
+        /* Delivery reports:
+            Stop waiting for any that are overdue; see above. */
 
-        setTimeout(
-          _.bind(self._handle_polling_timeout, self),
-            self._poll_interval
-        );
+        self._expire_delivery_reports(Date.now());
+
+        finish_timer();
+        self._finish_queue_run(errors);
       });
 
       return true;
     },
 
+    /**
+     * @name _select_transmission_batch:
+     *   Choose the messages that will be transmitted in the next run of
+     *   `gammu-json`, and return an array of their (zero-based) indices in
+     *   `_messages`. The outbound queue is scanned in priority order (see
+     *   `_priority_rank`), and at most `_transmit_batch_size` messages are
+     *   chosen. Messages that would exceed a rate limit, or that are
+     *   scheduled to be sent later, are skipped; they remain in the queue,
+     *   in their original order, and will be considered again next time.
+     *   Segments count against rate limits only once they've been sent
+     *   (see `_record_transmission`); until then, those of the messages
+     *   already chosen are counted here, as pending.
+     */
+    _select_transmission_batch: function (_messages) {
+
+      var rv = [], pending = {};
+      var now = Date.now();
+
+      /* Priority order:
+          This is a stable sort, so messages within the same
+          lane retain their original first-in, first-out order. */
+
+      var order = _.sortBy(_.range(_messages.length), function (_i) {
+        return this._priority_rank(_messages[_i], now);
+      }, this);
+
+      for (var j = 0, len = order.length; j < len; ++j) {
+
+        var i = order[j];
+
+        if (rv.length >= this._transmit_batch_size) {
+          break;
+        }
+
+        if (_messages[i].send_at > now) {
+          continue;
+        }
+
+        var keys = this._rate_limit_keys(_messages[i]);
+        var weight = this._transmission_segments(_messages[i]);
+
+        /* Per-modem limit:
+            Once this is reached, nothing else can be sent. A smaller
+            message might still fit, but sending it would let it overtake
+            (and perhaps indefinitely delay) a larger one. */
+
+        if (!this._rate_limiter.allows(
+          'modem', keys.modem, now, weight, pending.modem
+        )) {
+          break;
+        }
+
+        var is_allowed = _.every(keys, function (_limit, _key) {
+          return this._rate_limiter.allows(
+            _key, _limit, now, weight, pending[_key]
+          );
+        }, this);
+
+        if (!is_allowed) {
+          continue;
+        }
+
+        _.each(keys, function (_limit, _key) {
+          pending[_key] = (pending[_key] || 0) + weight;
+        });
+
+        rv.push(i);
+      }
+
+      return rv;
+    },
+
+    /**
+     * @name _expire_outbound_messages:
+     *   Remove every message from the outbound queue whose expiry time
+     *   is at or before `_now` (in milliseconds since the epoch). Each
+     *   expired message triggers a transmit error with a `code` property
+     *   of `MESSAGE_EXPIRED`, rather than ever being sent.
+     */
+    _expire_outbound_messages: function (_now) {
+
+      var expired = [];
+
+      this._outbound_queue = _.reject(this._outbound_queue, function (_m) {
+        var is_expired = (_m.expires_at != null && _m.expires_at <= _now);
+
+        if (is_expired) {
+          expired.push(_m);
+        }
+
+        return is_expired;
+      });
+
+      for (var i = 0, len = expired.length; i < len; ++i) {
+
+        var message = expired[i];
+        var unsent = this._unsent_parts(message);
+
+        var e = new Error('Message expired before it could be transmitted');
+        e.code = 'MESSAGE_EXPIRED';
+
+        if (unsent) {
+          e.partial = true;
+          e.parts_unsent = unsent;
+        }
+
+        this._persist_outbound_change('remove', message);
+        this._notify_transmit_error(e, message);
+      }
+    },
+
+    /**
+     * @name _create_argument_error:
+     *   Return an error, with the message `_message`, for an invalid
+     *   argument or option of `send`; its `code` is `INVALID_ARGUMENT`.
+     */
+    _create_argument_error: function (_message) {
+
+      var rv = new Error(_message);
+
+      rv.code = 'INVALID_ARGUMENT';
+      return rv;
+    },
+
+    /**
+     * @name _parse_time_option:
+     *   Convert `_value` -- a `Date`, a `moment`, or a number of
+     *   milliseconds since the epoch -- to a number of milliseconds
+     *   since the epoch. Returns undefined if `_value` is missing, and
+     *   throws an exception (mentioning `_name`) if it's invalid.
+     */
+    _parse_time_option: function (_name, _value) {
+
+      if (_value == null) {
+        return undefined;
+      }
+
+      var is_valid = (
+        (_.isNumber(_value) || _.isDate(_value) || moment.isMoment(_value)) &&
+          moment(_value).isValid()
+      );
+
+      if (!is_valid) {
+        throw this._create_argument_error(
+          'Option `' + _name + '` must be a valid time'
+        );
+      }
+
+      return moment(_value).valueOf();
+    },
+
+    /**
+     * @name _priority_rank:
+     *   Return the effective rank of `_message`'s priority lane at time
+     *   `_now`. To prevent starvation of lower-priority lanes, a message
+     *   is promoted by one lane for every `_priority_aging_interval`
+     *   milliseconds it has spent in the queue, up to the highest lane.
+     */
+    _priority_rank: function (_message, _now) {
+
+      var rank = this._priority_lanes[_message.priority || 'normal'];
+      var interval = this._priority_aging_interval;
+
+      if (interval > 0 && _message.queued_at) {
+        rank -= Math.floor((_now - _message.queued_at) / interval);
+      }
+
+      return Math.max(rank, 0);
+    },
+
+    /**
+     * @name _transmission_segments:
+     *   Return the number of SMS segments that the modem will submit
+     *   if `_message` is sent now. This is what's counted against rate
+     *   limits, since the modem and carrier treat each segment as a
+     *   separate message. If the backend can resend part of a message,
+     *   only its unsent segments are counted.
+     */
+    _transmission_segments: function (_message) {
+
+      var unsent = (
+        this._backend_supports('partial_send') ?
+          this._unsent_parts(_message) : null
+      );
+
+      if (unsent) {
+        return unsent.length;
+      }
+
+      return (_message.segments || encoding.analyze(_message.content).segments);
+    },
+
+    /**
+     * @name _rate_limit_keys:
+     *   Return an object that maps each rate limiter key that applies
+     *   to `_message` to its limit, in SMS segments per minute. Keys with
+     *   no configured limit are omitted.
+     */
+    _rate_limit_keys: function (_message) {
+
+      var rv = {};
+      var limits = this._rate_limits;
+
+      if (limits.per_modem) {
+        rv.modem = limits.per_modem;
+      }
+
+      if (limits.per_destination) {
+        rv['to:' + _message.to] = limits.per_destination;
+      }
+
+      _.each(limits.per_prefix, function (_limit, _prefix) {
+        if (_message.to.indexOf(_prefix) == 0) {
+          rv['prefix:' + _prefix] = _limit;
+        }
+      });
+
+      return rv;
+    },
+
     /**
      * @name _create_message_transmission_args:
      *   Return an array of interleaved phone numbers and message bodies,
      *   suitable for transmission using the `gammu-json` `send` command.
      *   These are command-line arguments for now, but might be sent via
-     *   `stdin` instead once `gammu-json` actually supports it.
+     *   `stdin` instead once `gammu-json` actually supports it. The
+     *   `_batch` argument is an array of indices into `_messages`, as
+     *   returned by `_select_transmission_batch`.
      */
-    _create_message_transmission_args: function (_messages) {
+    _create_message_transmission_args: function (_messages, _batch) {
 
       var rv = [];
 
-      for (var i = 0, len = _messages.length; i < len; ++i) {
+      for (var i = 0, len = _batch.length; i < len; ++i) {
+        rv.push(_messages[_batch[i]].to);
+        rv.push(_messages[_batch[i]].content);
+      }
 
-        if (this._transmit_batch_size <= i + 1) {
-          break;
+      return rv;
+    },
+
+    /**
+     * @name _create_message_transmission_options:
+     *   Return the options object that accompanies the array produced
+     *   by `_create_message_transmission_args`, for the same arguments.
+     *   Messages are identified by their one-based position in `_batch`.
+     *   Delivery reports are requested only if the backend supports them;
+     *   a message may have been queued elsewhere (e.g. by another member
+     *   of a pool, or before a restart with a different backend).
+     */
+    _create_message_transmission_options: function (_messages, _batch) {
+
+      var reports = [], partial = {};
+      var supports_reports = this._backend_supports('delivery_reports');
+      var supports_partial = this._backend_supports('partial_send');
+
+      for (var i = 0, len = _batch.length; i < len; ++i) {
+
+        var message = _messages[_batch[i]];
+        var unsent = this._unsent_parts(message);
+
+        if (message.delivery_report && supports_reports) {
+          reports.push(i + 1);
         }
 
-        rv.push(_messages[i].to);
-        rv.push(_messages[i].content);
+        /* Partially-transmitted messages:
+            Send only the remaining segments, using the same
+            concatenation reference, so the recipient can reassemble.
+            Without backend support, the whole message is sent again. */
+
+        if (unsent && supports_partial) {
+          partial[i + 1] = { parts: unsent, udh: message.udh };
+        }
       }
 
-      return rv;
+      return { delivery_reports: reports, partial: partial };
     },
 
     /**
@@ -204,32 +586,119 @@ exports.prototype = {
     _transmit_messages: function (_callback) {
 
       var self = this;
+      var now = Date.now();
+
+      self._expire_outbound_messages(now);
 
       if (self._outbound_queue.length <= 0) {
         return _callback();
       }
 
-      var args = [ 'send' ].concat(
-        self._create_message_transmission_args(self._outbound_queue)
+      var batch = self._select_transmission_batch(self._outbound_queue);
+
+      if (batch.length <= 0) {
+
+        var due = _.filter(self._outbound_queue, function (_m) {
+          return !(_m.send_at > now);
+        });
+
+        self._log('debug', (
+          due.length > 0 ? 'transmit.rate_limited' : 'transmit.nothing_due'
+        ), {
+          queued: self._outbound_queue.length, due: due.length
+        });
+
+        return _callback();
+      }
+
+      var args = (
+        self._create_message_transmission_args(self._outbound_queue, batch)
+      );
+
+      var options = self._create_message_transmission_options(
+        self._outbound_queue, batch
       );
 
-      self._subprocess('gammu-json', args, function (_err, _rv) {
+      self._backend.send(args, options, function (_err, _rv) {
 
         if (_err) {
+          self._fail_transmission_batch(batch, _err);
           return _callback(_err);
         }
 
-        self._deliver_transmit_results(_rv, _callback);
+        self._deliver_transmit_results(_rv, batch, _callback);
       });
     },
 
+    /**
+     * @name _fail_transmission_batch:
+     *   Handle the failure of the backend to transmit the batch of
+     *   outbound queue indices `_batch` at all (e.g. because `gammu-json`
+     *   couldn't be started, or timed out), with the error `_error`. Each
+     *   message in the batch uses up a transmission attempt, just as if
+     *   it had been rejected; otherwise, a backend that always fails would
+     *   retry the same batch forever.
+     */
+    _fail_transmission_batch: function (_batch, _error) {
+
+      var abandoned = {};
+
+      for (var i = 0, len = _batch.length; i < len; ++i) {
+
+        var message = this._outbound_queue[_batch[i]];
+
+        if (message && this._retry_transmission(message, _error)) {
+          abandoned[_batch[i]] = true;
+        }
+      }
+
+      this._outbound_queue = _.reject(
+        this._outbound_queue, function (_msg, _i) {
+          return abandoned[_i];
+        }
+      );
+    },
+
+    /**
+     * @name _retry_transmission:
+     *   Use up one of the transmission attempts of `_message`, which
+     *   wasn't transmitted. If it has attempts left, it stays in the
+     *   outbound queue; otherwise, it's removed from the outbound store,
+     *   the transmit error is reported, and we return true, so that the
+     *   caller removes it from the queue. The `_cause` argument, if
+     *   provided, is the error that prevented transmission.
+     */
+    _retry_transmission: function (_message, _cause) {
+
+      var limit = this._tx_attempt_limit;
+      var attempts = (_message.tx_attempts || 1);
+
+      if (!limit || attempts < limit) {
+        _message.tx_attempts = attempts + 1;
+        this._count('transmit_retries_total');
+        this._persist_outbound_change('update', _message);
+        return false;
+      }
+
+      this._persist_outbound_change('remove', _message);
+
+      this._notify_transmit_error(
+        this._create_transmit_error(_message, _cause), _message
+      );
+
+      return true;
+    },
+
     /**
      * @name _deliver_transmit_results:
+     *   Process the array of transmission results `_results`, for the
+     *   batch of outbound queue indices `_batch` that was transmitted.
      */
-    _deliver_transmit_results: function (_results, _callback) {
+    _deliver_transmit_results: function (_results, _batch, _callback) {
 
       var self = this;
       var sent_indices = {};
+      var supports_reports = self._backend_supports('delivery_reports');
 
       async.each(_results,
 
@@ -237,32 +706,33 @@ exports.prototype = {
 
           /* Map result back to message:
               The `create_message_transmission_args` function guarantees
-              that it will process the outbound queue in order, from offset
-              zero onward. Because of this, the (one-based) index of the
+              that it will emit messages in the order they appear in
+              `_batch`. Because of this, the (one-based) index of the
               transmission result object will always imply the (zero-based)
-              index of its corresponding message object in the outgoing queue. */
+              position in `_batch` of the message's outbound queue index. */
 
-          var queue_index = _r.index - 1;
+          var queue_index = _batch[_r.index - 1];
           var message = self._outbound_queue[queue_index];
 
+          if (!message) {
+            return _next_fn();
+          }
+
           /* Check for success:
-              Currently, we retry the whole message if any one segment
-              fails. This isn't ideal; we should only retry untransmitted
-              parts. To do this, `gammu-json` would need to be modified. */
+              Segment results are merged with those of prior attempts;
+              if any segment is still untransmitted, only the untransmitted
+              segments are sent again; see `_unsent_parts`. */
+
+          self._record_transmission(
+            message, _r, self._transmission_segments(message)
+          );
 
-          if (_r.result != 'success') {
+          var result = self._merge_transmit_result(message, _r);
 
-            var limit = self._tx_attempt_limit;
-            var attempts = (message.tx_attempts || 1);
+          if (result.result != 'success') {
 
-            if (!limit || attempts < limit) {
-              message.tx_attempts = attempts + 1;
-            } else {
-              var e = new Error(
-                'Failed to transmit message; no retries left'
-              );
+            if (self._retry_transmission(message)) {
               sent_indices[queue_index] = true;
-              self._notify_transmit_error(e, message);
             }
 
             return _next_fn();
@@ -274,7 +744,12 @@ exports.prototype = {
               possible error to check here, and we just continue on. */
 
           sent_indices[queue_index] = true;
-          self._notify_transmit(message, _r);
+          self._persist_outbound_change('remove', message);
+          self._notify_transmit(message, result);
+
+          if (message.delivery_report && supports_reports) {
+            self._await_delivery_reports(message, result);
+          }
 
           _next_fn();
         },
@@ -297,833 +772,2889 @@ exports.prototype = {
     },
 
     /**
-     * @name _transform_received_message:
+     * @name _record_transmission:
+     *   Count the segments of `_message` that the transmission result
+     *   `_result` says were sent against the rate limits that apply to
+     *   it. The `_weight` argument is the number of segments that were
+     *   submitted (see `_transmission_segments`); it's used if the backend
+     *   reports on the message as a whole, rather than on each segment.
      */
-    _transform_received_message: function (_m) {
+    _record_transmission: function (_message, _result, _weight) {
 
-      if (_m.total_segments > 1) {
-        _m.id = [ _m.from, (_m.udh || 0), _m.total_segments ].join('-');
-      }
+      var now = Date.now();
 
-      if (_m.timestamp) {
-        _m.timestamp = moment(_m.timestamp);
+      var sent = (
+        _.isArray(_result.parts) ?
+          _.where(_result.parts, { result: 'success' }).length :
+          (_result.result == 'success' ? _weight : 0)
+      );
+
+      if (sent <= 0) {
+        return;
       }
 
-      return this;
+      _.each(this._rate_limit_keys(_message), function (_limit, _key) {
+        this._rate_limiter.record(_key, now, sent);
+      }, this);
     },
 
     /**
-     * @name _receive_messages:
+     * @name _merge_transmit_result:
+     *   Record the per-segment results in `_result` on the outbound
+     *   message `_message`, merging them with the results of any prior
+     *   transmission attempts. Returns a new result object that describes
+     *   every segment of the message; its `result` property is `success`
+     *   once every segment has been transmitted, across all attempts. If
+     *   the backend can't send part of a message, each attempt sends every
+     *   segment with a new concatenation reference, so the results of
+     *   prior attempts are discarded rather than merged.
      */
-    _receive_messages: function (_callback) {
-
-      var self = this;
+    _merge_transmit_result: function (_message, _result) {
 
-      self._segment_cache = {};
-      var reassembly_index = {};
+      var is_partial = this._backend_supports('partial_send');
+      var part_results = (is_partial && _message.part_results || {});
 
-      self._subprocess('gammu-json', [ 'retrieve' ], function (_err, _rv) {
+      _.each(_result.parts || [], function (_part) {
+        var prior = part_results[_part.index];
 
-        if (_err) {
-          return _callback(_err);
+        if (!prior || prior.result != 'success') {
+          part_results[_part.index] = _part;
         }
+      });
 
-        /* For each incoming message:
-            Each message is processed concurrently so I/O can overlap. */
+      _message.part_results = part_results;
 
-        async.each(_rv,
+      if (_.isNumber(_result.parts_total)) {
+        _message.parts_total = _result.parts_total;
+      }
 
-          function (_message, _next_fn) {
+      if (_result.udh != null && (_message.udh == null || !is_partial)) {
+        _message.udh = _result.udh;
+      }
 
-            self._debug_print(String, 'receiving', _message);
+      var parts = _.sortBy(_.values(part_results), 'index');
+      var sent = _.where(parts, { result: 'success' }).length;
 
-            try {
-              self._transform_received_message(_message);
-            } catch (_e) {
-              self._debug_print(String, 'message transform error', _e);
-              return _next_fn(_e, _message);
-            }
+      var is_complete = (
+        _result.result == 'success' ||
+          (_message.parts_total > 0 && sent >= _message.parts_total)
+      );
 
-            /* Single-part message:
-                This is easy; add it to the queue and bail out early. */
+      return _.extend({}, _result, {
+        parts: parts, parts_sent: sent, segments: _message.segments,
+        parts_total: _message.parts_total,
+        substitutions: _message.substitutions,
+        result: (is_complete ? 'success' : _result.result)
+      });
+    },
 
-            if (_message.total_segments <= 1) {
-              self._inbound_queue.push(_message);
-              self._debug_print(String, 'queued single-segment message');
-              return _next_fn();
-            }
-
-            /* Multi-part message:
-                This is a bit trickier -- we keep track of message segments
-                that we've already used in a prior successful reassembly;
-                we then use this information to avoid double-delivery of a
-                message (e.g. reassembling `[ A, B ]` *and* `[ B, A ]`). */
+    /**
+     * @name _unsent_parts:
+     *   Return an array of the one-based segment numbers of `_message`
+     *   that haven't yet been transmitted. If no segment has been sent
+     *   (or `gammu-json` didn't report per-segment results), we return
+     *   null; in this case, the message should be sent in its entirety.
+     */
+    _unsent_parts: function (_message) {
 
-            async.waterfall([
+      var part_results = _message.part_results;
 
-              function (_fn) {
+      if (!part_results || !(_message.parts_total > 0)) {
+        return null;
+      }
 
-                self._notify_receive_segment(_message, _fn);
-              },
+      var rv = _.filter(_.range(1, _message.parts_total + 1), function (_n) {
+        return !(part_results[_n] && part_results[_n].result == 'success');
+      });
 
-              function (_should_delete, _fn) {
+      return (rv.length < _message.parts_total ? rv : null);
+    },
 
-                if (self._message_index_lookup(_message, reassembly_index)) {
-                  return _fn();
-                }
+    /**
+     * @name _create_transmit_error:
+     *   Return an error object for the outbound message `_message`,
+     *   which has run out of transmission attempts. If some of its
+     *   segments were sent, the error's `partial` property is true, and
+     *   the `parts_sent` and `parts_unsent` properties list which ones.
+     *   The `_cause` argument, if provided, is the error that prevented
+     *   the last attempt, and becomes the `cause` property.
+     */
+    _create_transmit_error: function (_message, _cause) {
 
-                /* Schedule for deletion:
-                    If we get here, then our instansiator successfully
-                    wrote this message segment to persistent storage. */
+      var unsent = this._unsent_parts(_message);
 
-                if (_should_delete) {
-                  self._debug_print(String, 'scheduling deletion');
-                  self._schedule_message_for_deletion(_message);
-                }
+      var rv = new Error(
+        'Failed to transmit ' + (unsent ? 'part of ' : '') +
+          'message; no retries left'
+      );
 
-                /* Otherwise, try to reassemble:
-                    If the message is successfully reassembled here, then
-                    `_m` will be the fully reassembled message, and `_e`
-                    will be null. If both `_m` and `_e` are null, then we
-                    don't yet have all of the necessary message segments. */
+      if (_cause) {
+        rv.cause = _cause;
+      }
 
-                self._debug_print(String, 'attempting reassembly');
+      if (!unsent) {
+        return rv;
+      }
 
-                self._try_to_reassemble_message(_message, function (_e, _m) {
+      rv.partial = true;
+      rv.parts_unsent = unsent;
+      rv.parts_sent = _.difference(
+        _.range(1, _message.parts_total + 1), unsent
+      );
 
-                  if (_m) {
-                    self._inbound_queue.push(_m);
-                    self._message_index_add(_m, reassembly_index);
-                  }
+      return rv;
+    },
 
-                  _fn(_e);
-                });
-              }
+    /**
+     * @name _await_delivery_reports:
+     *   Record the message references that `gammu-json` assigned to each
+     *   segment of the transmitted message `_message`, so that incoming
+     *   delivery reports can be matched back to it. The `_result` argument
+     *   is the transmission result object for `_message`. References are
+     *   only eight bits wide, and so are paired with the recipient; if one
+     *   is reused before its report arrives, the earlier segment's status
+     *   becomes `unknown`. See also `_expire_delivery_reports`. If the
+     *   result has no references, no report can ever be matched, and so
+     *   the message's delivery status is immediately reported as `unknown`.
+     */
+    _await_delivery_reports: function (_message, _result) {
 
-            ], function (_e) {
+      var references = _.filter(
+        _.pluck(_result.parts || [], 'reference'), _.isNumber
+      );
 
-              /* Item finished:
-                  Deliver a receive error if there was one, and report
-                  back to `async.each` that we've completed processing. */
+      if (_.isNumber(_result.reference)) {
+        references.push(_result.reference);
+      }
 
-              if (_e) {
-                self._debug_print(String, 'receive error');
-                self._notify_receive_error(_e, _message);
-              }
+      _message.references = _.uniq(references);
+      _message.delivery_states = {};
+      _message.reports_expire_at = Date.now() + this._delivery_report_timeout;
 
-              self._debug_print(String, 'finished');
-              return _next_fn();
-            });
-          },
+      if (_message.references.length <= 0) {
+        return this._notify_delivery_report(_message, {
+          status: 'unknown', references: [], to: _message.to,
+          timestamp: new Date().toISOString(), parts: {}
+        });
+      }
 
-          function (_err) {
+      for (var i = 0, len = _message.references.length; i < len; ++i) {
 
-            /* All messages finished:
-                Deliver an error if there was one, then proceed on
-                to deliver all messages that are in the inbound spool . */
+        var reference = _message.references[i];
+        var key = this._pending_report_key(reference, _message.to);
+        var prior = this._pending_reports[key];
 
-            if (_err) {
-              return _callback(_err);
-            }
+        if (prior) {
+          this._record_delivery(prior, reference, 'unknown');
+        }
 
-            self._debug_print(String, 'delivering incoming messages');
-            self._deliver_incoming_messages(_callback);
-          }
-        );
-      });
+        this._pending_reports[key] = _message;
+      }
     },
 
     /**
-     * @name _deliver_incoming_messages:
+     * @name _pending_report_key:
+     *   Return the key of `_pending_reports` for the message reference
+     *   `_reference` and the phone number `_number`. Numbers are normalized
+     *   (see `phone_numbers` in `initialize`) where possible, so that a
+     *   report matches its message even if the network formats the number
+     *   differently; otherwise, everything but digits and `+` is removed.
      */
-    _deliver_incoming_messages: function (_callback) {
+    _pending_report_key: function (_reference, _number) {
 
-      var self = this;
+      var number = String(_number || '');
 
-      async.each(self._inbound_queue,
+      if (this._phone_numbers) {
+        try {
+          number = this._phone_numbers.normalize(number);
+        } catch (_e) {
+          /* Compared as supplied */
+        }
+      }
 
-        function (_message, _next_fn) {
-          self._notify_receive(_message, function (_err) {
+      return _reference + ':' + number.replace(/[^0-9+]/g, '');
+    },
 
-            /* Error status:
-                If our instansiator reports an error in delivery, the
-                message is still on the device. Just forget about it for
-                the time being; we'll end up right back here during the
-                next delivery, and will see the same message again. Since
-                our instansiator was the one who rejected the message,
-                the error is already known; don't send an error event. */
+    /**
+     * @name _handle_status_report:
+     *   Match the received delivery report `_report` to the message it
+     *   refers to, using both its reference and its recipient, and record
+     *   its status. Reports that don't match any message we're waiting
+     *   on (e.g. because we've restarted since the message was sent, or
+     *   the report has expired) fire the event with a null message.
+     */
+    _handle_status_report: function (_report) {
 
-            if (_err) {
-              return _next_fn();
-            }
+      var status = _report.status;
+      var key = this._pending_report_key(_report.reference, _report.from);
+      var message = this._pending_reports[key];
 
-            /* Successful delivery:
-                The message now belongs to someone else, who has confirmed
-                that it's now written to an appropriate persistent storage
-                device. Add any segments that haven't yet been deleted to
-                the deletion queue; they're removed in `_delete_messages`. */
+      if (!this._delivery_report_states[status]) {
+        this._log('debug', 'status_report.ignored', { status: status });
+        return;
+      }
 
-            self._schedule_message_for_deletion(_message);
-            _next_fn();
-          });
-        },
-        function (_err) {
+      if (!message) {
+        this._notify_delivery_report(null, {
+          status: status, reference: _report.reference,
+          to: _report.from, timestamp: _report.timestamp
+        });
+        return;
+      }
 
-          if (_err) {
-            return _callback(_err);
-          }
+      this._record_delivery(
+        message, _report.reference, status, _report.timestamp
+      );
+    },
 
-          /* Finish up:
-              Replace the inbound queue with the empty array;
-              all messages are either scheduled for deletion or
-              will remain on the device until the next delivery. */
+    /**
+     * @name _record_delivery:
+     *   Record `_status` as the delivery status of the segment of
+     *   `_message` with the reference `_reference`, and stop waiting for
+     *   its report. Once every segment of the message has a status, the
+     *   `delivery_report` event is fired, and the message's delivery
+     *   callback (if any) is invoked.
+     */
+    _record_delivery: function (_message, _reference, _status, _timestamp) {
 
-          self._inbound_queue = [];
-          self._debug_print(String, 'incoming messages delivered');
+      delete this._pending_reports[
+        this._pending_report_key(_reference, _message.to)
+      ];
 
-          return _callback();
-        }
+      _message.delivery_states[_reference] = _status;
+
+      if (_.size(_message.delivery_states) < _message.references.length) {
+        return;
+      }
+
+      /* Overall status:
+          A message is delivered only if every segment was delivered;
+          otherwise, we report the first non-delivered segment's status. */
+
+      var failures = _.without(
+        _.values(_message.delivery_states), 'delivered'
       );
+
+      this._notify_delivery_report(_message, {
+        status: (failures.length > 0 ? failures[0] : 'delivered'),
+        references: _message.references, to: _message.to,
+        timestamp: (_timestamp || new Date().toISOString()),
+        parts: _message.delivery_states
+      });
     },
 
     /**
-     * @name _create_message_deletion_args:
-     *   Return an array of location numbers from the deletion queue,
-     *   suitable for use with the `gammu-json` `delete` command.
-     *   These are command-line arguments for now, but might be sent
-     *    via `stdin` instead once `gammu-json` actually supports it.
+     * @name _expire_delivery_reports:
+     *   Stop waiting for delivery reports that haven't arrived within
+     *   `delivery_report_timeout` seconds of transmission, as of the time
+     *   `_now` (in milliseconds). The status of each such segment becomes
+     *   `unknown`; the network may never report on a message at all.
      */
-    _create_message_deletion_args: function (_deletion_index) {
+    _expire_delivery_reports: function (_now) {
 
-      var rv = [], i = 0;
+      _.each(_.keys(this._pending_reports), function (_key) {
 
-      for (var k in _deletion_index) {
+        var message = this._pending_reports[_key];
 
-        if (this._delete_batch_size <= i + 1) {
-          break;
+        if (!message || message.reports_expire_at > _now) {
+          return;
         }
 
-        rv.push(k);
-        i++;
+        this._record_delivery(
+          message, Number(_key.split(':')[0]), 'unknown'
+        );
+      }, this);
+    },
+
+    /**
+     * @name _queue_outbound_message:
+     *   Add the outbound message object `_message` to the end of the
+     *   outbound queue. If an outbound store is in use, the message must
+     *   be durable before we return; if the store fails, the exception
+     *   propagates to our caller, and the message is not queued.
+     */
+    _queue_outbound_message: function (_message) {
+
+      if (this._outbound_store) {
+        this._outbound_store.add(this._persistable_message(_message));
       }
 
-      return rv;
+      /* Push on to work queue:
+          This queue is consumed by `_transmit_messages`. */
+
+      this._outbound_queue.push(_message);
     },
 
     /**
-     * @name _message_index_add:
+     * @name _take_outbound_messages:
+     *   Remove every message from the outbound queue, and return them
+     *   in an array. The messages keep their callbacks and transmission
+     *   state, and may be passed to another instance's (or our own)
+     *   `_queue_outbound_message`; this is used for failover.
      */
-    _message_index_add: function (_message, _index) {
+    _take_outbound_messages: function () {
 
-      var locations = _message.location;
+      var rv = this._outbound_queue;
 
-      if (!_.isArray(locations)) {
-        locations = [ locations ];
-      }
+      this._outbound_queue = [];
 
-      for (var i = 0, len = locations.length; i < len; ++i) {
-        _index[locations[i]] = _message;
+      for (var i = 0, len = rv.length; i < len; ++i) {
+        this._persist_outbound_change('remove', rv[i]);
       }
+
+      return rv;
     },
 
     /**
-     * @name _message_index_lookup:
+     * @name _persist_outbound_change:
+     *   Record a change to the outbound message `_message` in the
+     *   persistent outbound store, if one is in use. The `_operation`
+     *   argument is the name of a store method (`update` or `remove`).
+     *   Since the change has already happened by the time we're called,
+     *   a failure here is reported as a global error rather than thrown.
      */
-    _message_index_lookup: function (_message, _index) {
+    _persist_outbound_change: function (_operation, _message) {
 
-      return _index[_message.location];
+      if (!this._outbound_store) {
+        return;
+      }
+
+      try {
+        this._outbound_store[_operation](this._persistable_message(_message));
+      } catch (_e) {
+        this._notify_global_error(_e, _message);
+      }
     },
 
     /**
-     * @name _schedule_message_for_deletion:
+     * @name _persistable_message:
+     *   Return a copy of the outbound message `_message`, without any
+     *   properties that can't survive serialization (e.g. callbacks).
      */
-    _schedule_message_for_deletion: function (_message) {
+    _persistable_message: function (_message) {
 
-      this._message_index_add(_message, this._deletion_index);
-      _message.location = false;
+      return _.omit(_message, 'callback', 'delivery_callback');
     },
 
     /**
-     * @name _delete_messages:
+     * @name _transform_received_message:
      */
-    _delete_messages: function (_callback) {
+    _transform_received_message: function (_m) {
 
-      var self = this;
+      /* Sender normalization:
+          Alphanumeric sender identifiers (e.g. from a network operator)
+          can't be normalized; we leave these, and other invalid numbers,
+          untouched, since a received message can't be rejected. */
 
-      var undeleted_messages = {};
-      var deletion_index = self._deletion_index;
+      if (this._phone_numbers) {
+        _m.from_original = _m.from;
 
-      if (_.isEmpty(deletion_index)) {
-        return _callback();
+        try {
+          _m.from = this._phone_numbers.normalize(_m.from);
+        } catch (_e) {
+          this._log('debug', 'receive.sender_not_normalized', {
+            from: _m.from
+          });
+        }
       }
 
-      var args = [ 'delete' ].concat(
-        self._create_message_deletion_args(deletion_index)
-      );
+      /* User data header:
+          Backends may supply the raw header, as a string of hexadecimal
+          digits; if so, it's decoded. Otherwise, `udh` is the message's
+          concatenation reference, as a number, and is used as-is. */
 
-      self._subprocess('gammu-json', args, function (_err, _rv) {
+      if (_.isString(_m.udh)) {
+        this._apply_user_data_header(_m);
+      }
 
-        if (_err) {
-          return _callback(_err);
-        }
+      if (_m.total_segments > 1) {
+        var reference = (
+          _m.concatenation ? _m.concatenation.reference : (_m.udh || 0)
+        );
 
-        for (var i in deletion_index) {
+        _m.id = [ _m.from, reference, _m.total_segments ].join('-');
+      }
 
-          var message = deletion_index[i];
+      if (_m.timestamp) {
+        _m.timestamp = moment(_m.timestamp);
+      }
 
-          if (_rv.detail[i] != 'ok') {
-            self._message_index_add(message, undeleted_messages);
-          }
-        }
+      if (_m.smsc_timestamp) {
+        _m.smsc_timestamp = moment(_m.smsc_timestamp);
+      }
 
-        self._deletion_index = undeleted_messages;
-        return _callback();
-      });
+      return this;
     },
 
     /**
-     * @name _notify_global_error:
+     * @name _apply_user_data_header:
+     *   Decode the raw user data header of the received message `_m`
+     *   (see `parse` in `udh.js`), and store the result as its
+     *   `user_data_header` property. The concatenation and application
+     *   port addressing elements, if present, are also stored as the
+     *   `concatenation` and `ports` properties; the former determines the
+     *   message's `segment` and `total_segments`. A malformed header is
+     *   left as-is, and is treated as an opaque concatenation reference.
      */
-    _notify_global_error: function (_error, _message) {
+    _apply_user_data_header: function (_m) {
 
-      var fn = this._handlers.error;
+      var header;
 
-      this._debug_print(
-        String, 'global error:', _error, _message
-      );
+      try {
+        header = udh.parse(_m.udh);
+      } catch (_e) {
+        this._log('warn', 'receive.invalid_udh', { udh: _m.udh, error: _e });
+        return;
+      }
+
+      _m.user_data_header = header;
 
-      if (fn) {
-        _error.scope = 'global';
-        fn.call(this, _error, _message);
+      if (header.ports) {
+        _m.ports = header.ports;
+      }
+
+      if (header.concatenation) {
+        _m.concatenation = header.concatenation;
+        _m.segment = header.concatenation.sequence;
+        _m.total_segments = header.concatenation.total;
       }
     },
 
     /**
-     * @name _notify_transmit:
-     *   Invoke events appropriately for a successfully-transmitted
-     *   message. The `_message` argument is the original pre-send
-     *   message object (from the outbound queue); `_result` is the
-     *   object that `gammu-json` yielded after the message was sent.
-     *   Since a message cannot be un-sent, we neither include (nor
-     *   wait for) a callback in this case.
+     * @name _receive_messages:
      */
-    _notify_transmit: function (_message, _result) {
+    _receive_messages: function (_callback) {
 
-      var fn = this._handlers.transmit;
+      var self = this;
 
-      if (_.isFunction(_message.callback)) {
-        _message.callback.call(this, null, _message, _result);
-      }
+      self._segment_cache = {};
+      var reassembly_index = {};
 
-      if (fn) {
-        fn.call(this, _message, _result);
-      }
+      self._backend.retrieve(function (_err, _rv) {
 
-      if (_message.id) {
-        self._notify_release_segments(_message.id);
-      }
-    },
+        if (_err) {
+          return _callback(_err);
+        }
 
-    /**
-     * @name _notify_release_segments:
-     *   Inform our instansiator that we no longer need any of the
-     *   stored message segments for the message identified by `_id`.
-     *   This event will typically only be handled if you're also
-     *   also handling both `receive_segment` and `return_segments`.
-     */
-    _notify_release_segments: function (_id) {
+        _.each(_rv, function (_m) {
+          self._count('retrieved_total', {
+            type: (_m.type == 'status_report' ? 'status_report' : 'message')
+          });
+        });
 
-      var fn = this._handlers.release_segments;
+        /* For each incoming message:
+            Each message is processed concurrently so I/O can overlap. */
 
-      if (fn) {
-        fn.call(this, _id);
-      }
-    },
+        async.each(_rv,
 
-    /**
-     * @name _notify_receive:
-     *   Invoke events appropriately for a completely-received message.
-     *   The `_message` argument is the received message object (from the
-     *   inbound queue). If delivery fails in the event handler we're
-     *   dispatching to, and that event handler's owner wants us to retry
-     *   later (say, because that owner is out of storage space), then that
-     *   handler *must* call `_callback` with a node-style error argument.
-     *   Otherwise, the event handler should call `_callback` with a null or
-     *   not-present first argument, and we'll consider the message to be
-     *   delivered and no longer be our responsibility.
-     */
-    _notify_receive: function (_message, _callback) {
+          function (_message, _next_fn) {
 
-      var fn = this._handlers.receive;
+            self._log('debug', 'receive.message', { message: _message });
 
-      /* No receive handler?
-          Trigger a global error event directly. This allows us to
-          easily tell the difference between (a) the legitimate rejection
-          of a message by `_callback`, and (b) this missing-handler case. */
+            try {
+              self._transform_received_message(_message);
+            } catch (_e) {
+              self._log('warn', 'receive.transform_failed', { error: _e });
+              return _next_fn(_e, _message);
+            }
 
-      if (!fn) {
-        var e = new Error('No event handler available for `receive`');
-        this._notify_global_error(e);
-        return _callback(e);
-      }
+            /* Delivery report:
+                These are consumed here, and never reach the `receive`
+                handler; once processed, they're removed from the modem. */
 
-      fn.call(this, _message, _callback);
-    },
+            if (_message.type == 'status_report') {
+              self._handle_status_report(_message);
+              self._schedule_message_for_deletion(_message);
+              return _next_fn();
+            }
 
-    /**
-     * @name _notify_receive_segment:
-     *   Invoke events appropriately when a single segment of a multi-part
-     *   message arrives. As in `_notify_receive`, the handler of this event
-     *   is supplied with a callback function; once it has stored the
-     *   message segment on some form of reliable persistent storage, the
-     *   callback should be invoked with no arguments, other than a normal
-     *   node-style error parameter.
-     *
-     *   After the event is dispatched and our instansiator returns control
-     *   to us, we will invoke `_callback` with two arguments -- the first
-     *   will be a usual node-style error argument, and the second will be a
-     *   boolean value indicating whether or not a handler was actually
-     *   present and invoked (true if invoked; false if no handler was
-     *   registered at the time `_notify_receive_segment` was called.
-     *
-     *   A missing handler isn't an error condition; it just means that we
-     *   need to retain message parts on the modem itself until reassembly
-     *   can be completed. It is however *recommended* that you handle this
-     *   event, since many SMS modems have a small amount of storage and
-     *   would be vulnerable to denial-of-service attacks (e.g. by
-     *   deliberately sending a large number of multi-part messages with a
-     *   segment omitted).
-     */
-    _notify_receive_segment: function (_message, _callback) {
+            /* Single-part message:
+                This is easy; add it to the queue and bail out early. */
 
-      var fn = this._handlers.receive_segment;
+            if (_message.total_segments <= 1) {
+              self._inbound_queue.push(_message);
+              self._log('debug', 'receive.queued');
+              return _next_fn();
+            }
 
-      if (!fn) {
-        return this._default_receive_segment(_message, function (_err) {
-          return _callback(_err, false);
-        });
-      }
+            /* Multi-part message:
+                This is a bit trickier -- we keep track of message segments
+                that we've already used in a prior successful reassembly;
+                we then use this information to avoid double-delivery of a
+                message (e.g. reassembling `[ A, B ]` *and* `[ B, A ]`). */
 
-      fn.call(this, _message, function (_err) {
-        _callback(_err, true);
+            async.waterfall([
+
+              function (_fn) {
+
+                self._notify_receive_segment(_message, _fn);
+              },
+
+              function (_should_delete, _fn) {
+
+                if (self._message_index_lookup(_message, reassembly_index)) {
+                  return _fn();
+                }
+
+                /* Schedule for deletion:
+                    If we get here, then our instansiator successfully
+                    wrote this message segment to persistent storage. */
+
+                if (_should_delete) {
+                  self._log('debug', 'receive.segment_stored', {
+                    id: _message.id
+                  });
+                  self._schedule_message_for_deletion(_message);
+                }
+
+                /* Otherwise, try to reassemble:
+                    If the message is successfully reassembled here, then
+                    `_m` will be the fully reassembled message, and `_e`
+                    will be null. If both `_m` and `_e` are null, then we
+                    don't yet have all of the necessary message segments. */
+
+                self._log('debug', 'reassembly.started', {
+                  id: _message.id
+                });
+                self._track_incomplete_message(_message);
+
+                self._try_to_reassemble_message(_message, function (_e, _m) {
+
+                  if (_m) {
+                    self._count('reassembled_total');
+                    self._inbound_queue.push(_m);
+                    self._message_index_add(_m, reassembly_index);
+                    delete self._incomplete_messages[_message.id];
+                  }
+
+                  _fn(_e);
+                });
+              }
+
+            ], function (_e) {
+
+              /* Item finished:
+                  Deliver a receive error if there was one, and report
+                  back to `async.each` that we've completed processing. */
+
+              if (_e) {
+                self._log('warn', 'receive.failed', { error: _e });
+                self._notify_receive_error(_e, _message);
+              }
+
+              return _next_fn();
+            });
+          },
+
+          function (_err) {
+
+            /* All messages finished:
+                Deliver an error if there was one, then proceed on
+                to deliver all messages that are in the inbound spool . */
+
+            if (_err) {
+              return _callback(_err);
+            }
+
+            self._expire_incomplete_messages(function () {
+              self._log('debug', 'delivery.started', {
+                queued: self._inbound_queue.length
+              });
+              self._deliver_incoming_messages(_callback);
+            });
+          }
+        );
       });
     },
 
     /**
-     * @name _notify_receive_error:
-     *   Invoke events appropriately when an error has occurred
-     *   somewhere inside of the receive pipeline.
+     * @name _track_incomplete_message:
+     *   Record the arrival of the message segment `_message`, so that
+     *   the multi-part message it belongs to can be abandoned if it isn't
+     *   reassembled in time (see `_expire_incomplete_messages`). The age
+     *   of an incomplete message is that of its oldest known segment.
      */
-    _notify_receive_error: function (_error, _message) {
-
-      var fn = this._handlers.error;
+    _track_incomplete_message: function (_message) {
 
-      if (fn) {
-        _error.scope = 'receive';
-        fn.call(this, _error, _message);
+      if (!this._reassembly_timeout) {
+        return;
       }
-    },
 
-    /**
-     * @name _notify_transmit_error:
-     *   Invoke events appropriately when an error has occurred
-     *   somewhere inside of the message transmission pipeline.
-     */
-    _notify_transmit_error: function (_error, _message) {
+      var id = _message.id;
+      var entry = this._incomplete_messages[id];
 
-      var fn = this._handlers.error;
+      var time = (
+        _message.timestamp && _message.timestamp.isValid() ?
+          _message.timestamp.valueOf() : Date.now()
+      );
 
-      if (_.isFunction(_message.callback)) {
-        _message.callback.call(this, _error, _message);
+      if (!entry) {
+        entry = this._incomplete_messages[id] = { id: id, time: time };
       }
 
-      if (fn) {
-        _error.scope = 'transmit';
-        fn.call(this, _error, _message);
-      }
+      entry.message = _message;
+      entry.time = Math.min(entry.time, time);
     },
 
     /**
-     * @name _request_return_segments:
-     *   Request an array of previously-delivered "matching segments" from
-     *   our instansiator. A "matching segment" is a message that has a
-     *   `total_segments` greater than one, and has an `id` property that
-     *   matches the `_id` argument supplied to us. These segments will have
-     *   been previously sent to our instansiator via the `receive_segment`
-     *   event. The `return_segments` event is invoked only when
-     *   reassembling multi-part messages; it allows for different storage
-     *   methods to be "plugged in" at any time. This approach can avoid the
-     *   need for an application to maintain multiple data stores.
-     *
-     *   We provide a callback to the handler of this event. Once the
-     *   appropriate message segments have been brought back in to main
-     *   memory, and the caller is ready to transfer control back to us, the
-     *   callback should invoked. Its first argument must be a node-style
-     *   error argument (or null if no error occurred); its second argument
-     *   must be an array of message objects with identifiers that match
-     *   our `_id` parameter. The second argument is ignored if the first
-     *   argument indicates an error.
-     *
-     *   When control is transferred back to us, we invoke `_callback` with
-     *   three arguments: a node-style error argument, followed by an array
-     *   of matching message objects (or `[]` if no matches were found),
-     *   followed by a boolean value indicating whether or not a handler was
-     *   present at the time `_request_return_segments` was called.
+     * @name _expire_incomplete_messages:
+     *   Abandon every multi-part message that has been incomplete for
+     *   longer than the reassembly timeout. Errors are delivered via the
+     *   `error` event, and `_callback` is always invoked without one.
      */
-    _request_return_segments: function (_id, _callback) {
+    _expire_incomplete_messages: function (_callback) {
 
-      var fn = this._handlers.return_segments;
+      var self = this;
 
-      if (!fn) {
-        return this._default_return_segments(_id, function (_e, _rv) {
-          return _callback(_e, _rv, false);
+      if (!self._reassembly_timeout) {
+        return _callback();
+      }
+
+      if (!self._is_store_restored && self._segment_store) {
+        return self._restore_incomplete_messages(function () {
+          self._expire_incomplete_messages(_callback);
         });
       }
 
-      fn.call(this, _id, function (_err, _messages) {
-        return _callback(_err, _messages, true);
+      var cutoff = Date.now() - self._reassembly_timeout;
+
+      var expired = _.filter(self._incomplete_messages, function (_entry) {
+        return (_entry.time <= cutoff);
       });
-    },
 
-    /**
-     * @name _default_receive_segment:
-     */
-    _default_receive_segment: function (_message, _callback) {
+      async.each(expired,
 
-      var id = _message.id;
+        function (_entry, _next_fn) {
 
-      if (!this._segment_cache[id]) {
-        this._segment_cache[id] = [];
-      }
+          self._expire_incomplete_message(_entry, function (_err) {
 
-      this._segment_cache[id].push(_message);
-      return _callback();
-    },
+            if (_err) {
+              self._notify_receive_error(_err, _entry.message);
+            }
 
-    /**
-     * @name _default_return_segments:
-     */
-    _default_return_segments: function (_id, _callback) {
+            return _next_fn();
+          });
+        },
 
-      return _callback(null, this._segment_cache[_id]);
+        function () {
+          return _callback();
+        }
+      );
     },
 
     /**
-     * @name _try_to_reassemble_message:
-     *  Asynchronously trigger our instansiator's `return_segments` handler,
-     *  then attempt to completely reassemble `_message` using what that
-     *  event handler returned to us. If we're able to, yield the (now fully
-     *  reassembled) message back to our caller.  If we're not able to
-     *  completely reassemble a message, we'll return control and wait for
-     *  the next segment to come in. Upon finishing this process,
-     *  `_callback` is invoked with a single node-style error argument.
+     * @name _expire_incomplete_message:
+     *   Abandon the incomplete multi-part message described by `_entry`.
+     *   We fetch its segments using the `return_segments` event; if they
+     *   were only ever stored on the modem (i.e. the default handlers are
+     *   in use), they're scheduled for deletion. Then, the segments are
+     *   released, and the `reassembly_timeout` event delivers whatever
+     *   content was received, along with the missing segment numbers.
      */
-    _try_to_reassemble_message: function (_message, _callback) {
+    _expire_incomplete_message: function (_entry, _callback) {
 
       var self = this;
-      var rv = false;
+      var id = _entry.id;
 
-      self._request_return_segments(_message.id, function (_err, _segments) {
+      self._log('info', 'reassembly.timed_out', { id: id });
+
+      self._request_return_segments(id, function (_err, _rv, _is_handled) {
 
         if (_err) {
           return _callback(_err);
         }
 
-        if (_segments && !_.isArray(_segments)) {
+        if (_rv && !_.isArray(_rv)) {
           return _callback(
             new Error('Non-array yielded by `return_segments` event')
           );
         }
 
-        try {
-          var index = self._build_reassembly_index(_message, _segments);
+        var index = {};
 
-          if (_.keys(index).length == _message.total_segments) {
-            rv = self._create_message_from_reassembly_index(index);
-          }
-        } catch (_er) {
-          return _callback(_er);
+        _.each(_rv || [], function (_m) {
+          self._add_to_reassembly_index(index, _entry.message, _m);
+        });
+
+        delete self._incomplete_messages[id];
+
+        if (!_is_handled) {
+          _.each(index, function (_m) {
+            if (_m.location) {
+              self._schedule_message_for_deletion(_m);
+            }
+          });
         }
 
-        return _callback(null, rv);
+        self._notify_release_segments(id);
+
+        if (!_.isEmpty(index)) {
+          self._notify_reassembly_timeout(
+            self._create_partial_message_from_reassembly_index(
+              index, _entry.message.total_segments
+            )
+          );
+        }
+
+        return _callback();
       });
     },
 
     /**
-     * @name _build_reassembly_index:
-     *  Using `_message` (a single message segment) and `_segments` (a
-     *  set of previously-received message segments), build an index to
-     *  aid in message reassembly.  For each segment, we first make sure
-     *  it has properties (e.g. `id` and `total_segments`) that are
-     *  consistent with `_message`. Then, we hash each segment to quickly
-     *  remove any duplicates and determine the quantity of segments
-     *  present. We take care to ensure that, in the case of duplicates,
-     *  the most recently-received part is used. This function does not
-     *  determine whether all parts are present, nor does it actually
-     *  perform reassembly -- it simply builds the data structure.
+     * @name _deliver_incoming_messages:
      */
-    _build_reassembly_index: function (_message, _segments) {
+    _deliver_incoming_messages: function (_callback) {
 
-      var rv = {};
+      var self = this;
 
-      for (var i = 0, len = _segments.length; i < len; ++i) {
-        this._add_to_reassembly_index(rv, _message, _segments[i]);
+      self._prune_delivered_messages(Date.now());
+
+      async.each(self._inbound_queue,
+
+        function (_message, _next_fn) {
+
+          /* Previously-delivered message:
+              This message was accepted by the `receive` handler, but
+              wasn't deleted from the device (e.g. because the delete
+              failed, or because we stopped before it could happen).
+              Don't deliver it twice; just try to delete it again. */
+
+          if (self._is_delivered_message(_message)) {
+            self._log('debug', 'delivery.duplicate', {
+              fingerprint: _message.fingerprint
+            });
+            self._count('duplicates_total');
+            self._retire_delivered_message(_message);
+            return _next_fn();
+          }
+
+          self._notify_receive(_message, function (_err) {
+
+            /* Error status:
+                If our instansiator reports an error in delivery, the
+                message is still on the device. Just forget about it for
+                the time being; we'll end up right back here during the
+                next delivery, and will see the same message again. Since
+                our instansiator was the one who rejected the message,
+                the error is already known; don't send an error event. */
+
+            if (_err) {
+              self._count('receive_rejected_total');
+              return _next_fn();
+            }
+
+            /* Successful delivery:
+                The message now belongs to someone else, who has confirmed
+                that it's now written to an appropriate persistent storage
+                device. Record this in the delivered-message ledger, if
+                one is in use, and then retire the message. */
+
+            self._count('received_total');
+            self._record_delivered_message(_message);
+            self._retire_delivered_message(_message);
+            self._remember_inbound_message(_message);
+
+            _next_fn();
+          });
+        },
+        function (_err) {
+
+          if (_err) {
+            return _callback(_err);
+          }
+
+          /* Finish up:
+              Replace the inbound queue with the empty array;
+              all messages are either scheduled for deletion or
+              will remain on the device until the next delivery. */
+
+          self._inbound_queue = [];
+          self._log('debug', 'delivery.finished');
+
+          return _callback();
+        }
+      );
+    },
+
+    /**
+     * @name _remember_inbound_message:
+     *   Add the delivered message `_message` to the bounded history of
+     *   recent inbound messages (see `recent_inbound`), if it's enabled.
+     */
+    _remember_inbound_message: function (_message) {
+
+      if (this._inbound_history_size <= 0) {
+        return;
       }
 
-      this._add_to_reassembly_index(rv, _message, _message);
-      return rv;
+      this._inbound_history.push(_message);
+
+      if (this._inbound_history.length > this._inbound_history_size) {
+        this._inbound_history.shift();
+      }
     },
 
     /**
-     * @name _add_to_reassembly_index:
-     *   This function contains the actual validation and insertion
-     *   logic for `_build_reassembly_index`. This function adds a
-     *   single message segment `_m` to the reassembly index `_index`,
-     *   after validating it against the reference message `_message`.
-     *   Returns true if the message segment `_m` was valid; false
-     *   otherwise. If an item with the same segment number already
-     *   exists in the reassembly index and is newer than `_m`, this
-     *   function will return true *without* modifying the index.
+     * @name _record_status:
+     *   Record that the outbound message `_message` has reached the final
+     *   (or, for `sent` messages awaiting a delivery report, the latest)
+     *   state `_status`. The `_detail` object may contain a `result`, an
+     *   `error`, or a delivery `report`. Only the most recent entries are
+     *   kept; see `message_status`.
      */
-    _add_to_reassembly_index: function (_index, _message, _m) {
+    _record_status: function (_message, _status, _detail) {
 
-      var total = _message.total_segments;
+      var id = _message.queue_id;
 
-      var is_valid = (
-        _.isObject(_m) && _m.id == _message.id &&
-          _.isNumber(_m.segment) && _m.segment <= total &&
-          _.isNumber(_m.total_segments) && _m.total_segments == total
-      )
+      if (!id || this._status_history_size <= 0) {
+        return;
+      }
 
-      if (!is_valid) {
+      if (!this._status_history[id]) {
+        this._status_order.push(id);
+      }
+
+      this._status_history[id] = _.extend(
+        (this._status_history[id] || {}),
+          this._describe_outbound_message(_message), _detail,
+          { status: _status, updated_at: Date.now() }
+      );
+
+      while (this._status_order.length > this._status_history_size) {
+        delete this._status_history[this._status_order.shift()];
+      }
+    },
+
+    /**
+     * @name _describe_outbound_message:
+     *   Return an object describing the outbound message `_message`,
+     *   suitable for serialization; this is used by `message_status`.
+     */
+    _describe_outbound_message: function (_message) {
+
+      return _.pick(
+        _message, 'queue_id', 'to', 'priority', 'tx_attempts', 'queued_at',
+          'send_at', 'expires_at', 'encoding', 'segments', 'campaign_id'
+      );
+    },
+
+    /**
+     * @name _retire_delivered_message:
+     *   Clean up after the successful delivery of `_message`. Add any
+     *   of its segments that haven't yet been deleted to the deletion
+     *   queue; they're removed in `_delete_messages`.
+     */
+    _retire_delivered_message: function (_message) {
+
+      this._schedule_message_for_deletion(_message);
+
+      /* Reassembled messages:
+          The stored segments of a multi-part message aren't needed
+          once the whole message has been delivered; release them. */
+
+      if (_message.parts && _message.parts.length > 0) {
+        this._notify_release_segments(_message.parts[0].id);
+      }
+    },
+
+    /**
+     * @name _fingerprint_message:
+     *   Return a string that identifies the received message `_m`, for
+     *   use in the delivered-message ledger. The same message produces the
+     *   same fingerprint each time it's retrieved (and, if it has multiple
+     *   parts, each time it's reassembled), even across restarts.
+     */
+    _fingerprint_message: function (_m) {
+
+      var time = function (_t) {
+        return (_t && _t.isValid() ? _t.toISOString() : null);
+      };
+
+      var reference = (
+        _m.concatenation ? _m.concatenation.reference : (_m.udh || null)
+      );
+
+      return crypto.createHash('sha1').update(JSON.stringify([
+        _m.from, time(_m.timestamp), time(_m.smsc_timestamp),
+        _m.content, (_m.total_segments || 1), reference
+      ])).digest('hex');
+    },
+
+    /**
+     * @name _is_delivered_message:
+     *   Return true if the delivered-message ledger shows that `_message`
+     *   has already been accepted by the `receive` handler. As a side
+     *   effect, the message's fingerprint is stored as its `fingerprint`
+     *   property. If no ledger is in use, this always returns false.
+     */
+    _is_delivered_message: function (_message) {
+
+      if (!this._delivered_store) {
         return false;
       }
 
-      if (_index[_m.segment] != null) {
-        if (_m.timestamp.isBefore(_index[_m.segment].timestamp)) {
-          return true;
+      _message.fingerprint = this._fingerprint_message(_message);
+      return _.has(this._delivered_index, _message.fingerprint);
+    },
+
+    /**
+     * @name _record_delivered_message:
+     *   Add `_message` to the delivered-message ledger, if one is in use.
+     *   The message has already been delivered by the time we're called,
+     *   so a failure here is reported as a global error rather than thrown.
+     */
+    _record_delivered_message: function (_message) {
+
+      if (!this._delivered_store) {
+        return;
+      }
+
+      var entry = { fingerprint: _message.fingerprint, time: Date.now() };
+      this._delivered_index[entry.fingerprint] = entry;
+
+      try {
+        this._delivered_store.add(entry);
+      } catch (_e) {
+        this._notify_global_error(_e, _message);
+      }
+    },
+
+    /**
+     * @name _forget_delivered_message:
+     *   Remove the entry for `_fingerprint` from the delivered-message
+     *   ledger. This happens once the message has been deleted from the
+     *   device, since it can't be retrieved again after that point.
+     */
+    _forget_delivered_message: function (_fingerprint) {
+
+      delete this._delivered_index[_fingerprint];
+
+      try {
+        this._delivered_store.remove(_fingerprint);
+      } catch (_e) {
+        this._notify_global_error(_e);
+      }
+    },
+
+    /**
+     * @name _prune_delivered_messages:
+     *   Forget ledger entries that are older than the retention period.
+     *   Messages are normally forgotten once they're deleted, but some
+     *   (e.g. reassembled from stored segments) never reach the device's
+     *   deletion queue; this prevents their entries from accumulating.
+     */
+    _prune_delivered_messages: function (_now) {
+
+      var self = this;
+
+      if (!self._delivered_store) {
+        return;
+      }
+
+      var cutoff = _now - self._delivered_retention;
+
+      _.each(_.values(self._delivered_index), function (_entry) {
+        if (_entry.time <= cutoff) {
+          self._forget_delivered_message(_entry.fingerprint);
+        }
+      });
+    },
+
+    /**
+     * @name _create_message_deletion_args:
+     *   Return an array of location numbers from the deletion queue,
+     *   suitable for use with the `gammu-json` `delete` command.
+     *   These are command-line arguments for now, but might be sent
+     *    via `stdin` instead once `gammu-json` actually supports it.
+     */
+    _create_message_deletion_args: function (_deletion_index) {
+
+      var rv = [], i = 0;
+
+      for (var k in _deletion_index) {
+
+        if (this._delete_batch_size <= i + 1) {
+          break;
         }
+
+        rv.push(k);
+        i++;
       }
 
-      _index[_m.segment] = _m;
-      return true;
+      return rv;
     },
 
     /**
-     * @name: _create_message_from_reassembly_index:
-     *   Produce a new fully-reassembled message object, using the
-     *   message segments in the reassembly index `_index`. This
-     *   function will not modify any of the message segments in
-     *   `_index`, but *will* reference those message segments from the
-     *   newly-created message object. This function is synchronous,
-     *   and will either return the new message or throw an exception.
+     * @name _message_index_add:
      */
-    _create_message_from_reassembly_index: function (_index) {
+    _message_index_add: function (_message, _index) {
 
-      /* One-based:
-          The `_index` argument is an object, not an array. */
+      var locations = _message.location;
+
+      if (!_.isArray(locations)) {
+        locations = [ locations ];
+      }
+
+      for (var i = 0, len = locations.length; i < len; ++i) {
+        _index[locations[i]] = _message;
+      }
+    },
+
+    /**
+     * @name _message_index_lookup:
+     */
+    _message_index_lookup: function (_message, _index) {
+
+      return _index[_message.location];
+    },
+
+    /**
+     * @name _schedule_message_for_deletion:
+     */
+    _schedule_message_for_deletion: function (_message) {
+
+      this._message_index_add(_message, this._deletion_index);
+      _message.location = false;
+    },
+
+    /**
+     * @name _delete_messages:
+     */
+    _delete_messages: function (_callback) {
+
+      var self = this;
+
+      var undeleted_messages = {};
+      var deletion_index = self._deletion_index;
+
+      if (_.isEmpty(deletion_index)) {
+        return _callback();
+      }
+
+      var args = self._create_message_deletion_args(deletion_index);
+
+      self._backend.delete(args, function (_err, _rv) {
+
+        if (_err) {
+          return _callback(_err);
+        }
+
+        for (var i in deletion_index) {
+
+          var message = deletion_index[i];
+
+          if (_rv.detail[i] != 'ok') {
+            self._count('delete_failures_total');
+            self._message_index_add(message, undeleted_messages);
+          } else {
+            self._count('deleted_total');
+          }
+        }
+
+        /* Delivered-message ledger:
+            Once every part of a delivered message has been deleted,
+            it can't be retrieved again, and needn't be remembered. */
+
+        var remaining = _.values(undeleted_messages);
+
+        _.each(_.uniq(_.values(deletion_index)), function (_m) {
+          if (_m.fingerprint && !_.contains(remaining, _m)) {
+            self._forget_delivered_message(_m.fingerprint);
+          }
+        });
+
+        self._deletion_index = undeleted_messages;
+        return _callback();
+      });
+    },
+
+    /**
+     * @name _notify_global_error:
+     */
+    _notify_global_error: function (_error, _message) {
+
+      this._log('error', 'gateway.error', {
+        error: _error, message: _message
+      });
+
+      _error.scope = 'global';
+      this._count('errors_total', { scope: 'global' });
+      this._emit_notification('error', _error, _message);
+    },
+
+    /**
+     * @name _notify_transmit:
+     *   Invoke events appropriately for a successfully-transmitted
+     *   message. The `_message` argument is the original pre-send
+     *   message object (from the outbound queue); `_result` is the
+     *   object that `gammu-json` yielded after the message was sent.
+     *   Since a message cannot be un-sent, we neither include (nor
+     *   wait for) a callback in this case.
+     */
+    _notify_transmit: function (_message, _result) {
+
+      this._count('transmitted_total');
+      this._record_status(_message, 'sent', { result: _result });
+
+      this._post_notification('transmit', {
+        message: this._persistable_message(_message), result: _result
+      });
+
+      if (_.isFunction(_message.callback)) {
+        _message.callback.call(this, null, _message, _result);
+      }
+
+      this._emit_notification('transmit', _message, _result);
+
+      if (_message.id) {
+        this._notify_release_segments(_message.id);
+      }
+    },
+
+    /**
+     * @name _notify_delivery_report:
+     *   Invoke events appropriately when the final delivery status of
+     *   a transmitted message is known. The `_message` argument is the
+     *   original pre-send message object (or null if the report couldn't
+     *   be matched to one); `_report` is an object whose `status` property
+     *   is one of `delivered`, `failed`, `expired`, or `unknown` (if some
+     *   report didn't arrive in time; see `_expire_delivery_reports`). Like
+     *   `transmit`, this is purely informational; there's no callback to
+     *   invoke.
+     */
+    _notify_delivery_report: function (_message, _report) {
+
+      if (_message) {
+        this._record_status(_message, _report.status, { report: _report });
+      }
+
+      if (_message && _.isFunction(_message.delivery_callback)) {
+        var e = null;
+
+        if (_report.status != 'delivered') {
+          e = new Error('Message was not delivered: ' + _report.status);
+          e.status = _report.status;
+        }
+
+        _message.delivery_callback.call(this, e, _message, _report);
+      }
+
+      this._emit_notification('delivery_report', _message, _report);
+    },
+
+    /**
+     * @name _notify_reassembly_timeout:
+     *   Invoke events appropriately when a multi-part message couldn't be
+     *   reassembled before the reassembly timeout elapsed. The `_message`
+     *   argument is a partial message, built from the segments that did
+     *   arrive; its `missing_segments` property lists the (one-based)
+     *   numbers of the segments that didn't. By the time this event fires,
+     *   the message's segments have been released and deleted, so this is
+     *   purely informational; there's no callback to invoke.
+     */
+    _notify_reassembly_timeout: function (_message) {
+
+      this._emit_notification(
+        'reassembly_timeout', _message, _message.missing_segments
+      );
+    },
+
+    /**
+     * @name _notify_release_segments:
+     *   Inform our instansiator that we no longer need any of the
+     *   stored message segments for the message identified by `_id`.
+     *   This event will typically only be handled if you're also
+     *   also handling both `receive_segment` and `return_segments`.
+     */
+    _notify_release_segments: function (_id) {
+
+      this._emit_notification('release_segments', _id);
+
+      if (this._segment_store) {
+        this._release_stored_segments(_id);
+      }
+    },
+
+    /**
+     * @name _emit_notification:
+     *   Deliver a notification event to all of its listeners. Unlike
+     *   `emit`, this does nothing (rather than throwing) when an `error`
+     *   event has no listeners. Returns true if any listener was called.
+     */
+    _emit_notification: function (_event /* , ... */) {
+
+      if (this.listenerCount(_event) <= 0) {
+        return false;
+      }
+
+      return this.emit.apply(this, arguments);
+    },
+
+    /**
+     * @name _invoke_handler:
+     *   Call the event handler `_fn` with the arguments in `_args`, plus
+     *   a trailing node-style callback. The handler may either invoke that
+     *   callback, or return a promise (e.g. by being an `async` function);
+     *   in either case, `_callback` is invoked exactly once, with an error
+     *   argument followed by the callback's (or promise's) result value.
+     */
+    _invoke_handler: function (_fn, _args, _callback) {
+
+      var is_finished = false;
+
+      var finish = function (_err, _value) {
+        if (!is_finished) {
+          is_finished = true;
+          _callback(_err, _value);
+        }
+      };
+
+      var rv = _fn.apply(this, _args.concat([ finish ]));
+
+      if (rv && _.isFunction(rv.then)) {
+        rv.then(
+          function (_value) {
+            finish(null, _value);
+          },
+          function (_err) {
+            finish(_err || new Error('Event handler promise was rejected'));
+          }
+        );
+      }
+    },
+
+    /**
+     * @name _notify_receive:
+     *   Invoke events appropriately for a completely-received message.
+     *   The `_message` argument is the received message object (from the
+     *   inbound queue). If delivery fails in the event handler we're
+     *   dispatching to, and that event handler's owner wants us to retry
+     *   later (say, because that owner is out of storage space), then that
+     *   handler *must* call `_callback` with a node-style error argument.
+     *   Otherwise, the event handler should call `_callback` with a null or
+     *   not-present first argument, and we'll consider the message to be
+     *   delivered and no longer be our responsibility. Instead of calling
+     *   `_callback`, the handler may return a promise; rejecting it has the
+     *   same meaning as calling `_callback` with an error argument. If
+     *   there's no handler but a webhook is configured, the message is
+     *   posted to it instead; see `_post_received_message`.
+     */
+    _notify_receive: function (_message, _callback) {
+
+      var fn = this._handlers.receive;
+
+      if (!fn && this._webhook) {
+        fn = this._post_received_message;
+      }
+
+      /* No receive handler?
+          Trigger a global error event directly. This allows us to
+          easily tell the difference between (a) the legitimate rejection
+          of a message by `_callback`, and (b) this missing-handler case. */
+
+      if (!fn) {
+        var e = new Error('No event handler available for `receive`');
+        this._notify_global_error(e);
+        return _callback(e);
+      }
+
+      this._invoke_handler(fn, [ _message ], function (_err) {
+        _callback(_err);
+      });
+    },
+
+    /**
+     * @name _post_received_message:
+     *   Handle the `receive` event by posting `_message` to the webhook.
+     *   If the post fails, `_callback` is invoked with an error, so the
+     *   message stays on the device, and is retried on a later queue run;
+     *   until its backoff delay has passed, it's skipped without a post.
+     *   Failed posts (but not skipped ones) trigger the `error` event.
+     */
+    _post_received_message: function (_message, _callback) {
+
+      var self = this;
+
+      var key = (
+        _message.fingerprint || self._fingerprint_message(_message)
+      );
+
+      var payload = { event: 'receive', message: _message };
+
+      self._webhook.deliver(key, payload, function (_err) {
+
+        if (_err && _err.code != 'WEBHOOK_BACKOFF') {
+          self._notify_receive_error(_err, _message);
+        }
+
+        return _callback(_err);
+      });
+    },
+
+    /**
+     * @name _post_notification:
+     *   If a webhook is in use, and is configured to receive transmission
+     *   results and errors, post the object `_data` to it, with an `event`
+     *   property of `_event`. Failures trigger a global error.
+     */
+    _post_notification: function (_event, _data) {
+
+      var self = this;
+
+      if (!self._webhook || !self._webhook.is_transmit_enabled()) {
+        return;
+      }
+
+      var payload = _.extend({ event: _event }, _data);
+
+      self._webhook.notify(payload, function (_err) {
+        if (_err) {
+          self._notify_global_error(_err);
+        }
+      });
+    },
+
+    /**
+     * @name _notify_receive_segment:
+     *   Invoke events appropriately when a single segment of a multi-part
+     *   message arrives. As in `_notify_receive`, the handler of this event
+     *   is supplied with a callback function; once it has stored the
+     *   message segment on some form of reliable persistent storage, the
+     *   callback should be invoked with no arguments, other than a normal
+     *   node-style error parameter. Alternatively, the handler may return
+     *   a promise, which it resolves once the segment is stored.
+     *
+     *   After the event is dispatched and our instansiator returns control
+     *   to us, we will invoke `_callback` with two arguments -- the first
+     *   will be a usual node-style error argument, and the second will be a
+     *   boolean value indicating whether or not a handler was actually
+     *   present and invoked (true if invoked; false if no handler was
+     *   registered at the time `_notify_receive_segment` was called.
+     *
+     *   A missing handler isn't an error condition; it just means that we
+     *   need to retain message parts on the modem itself until reassembly
+     *   can be completed. It is however *recommended* that you handle this
+     *   event, since many SMS modems have a small amount of storage and
+     *   would be vulnerable to denial-of-service attacks (e.g. by
+     *   deliberately sending a large number of multi-part messages with a
+     *   segment omitted). For the same reason, you may want to set the
+     *   `reassembly_timeout` option of `create`. If a segment store is
+     *   installed (see `_create_segment_store`), it handles this event
+     *   whenever no handler has been registered.
+     */
+    _notify_receive_segment: function (_message, _callback) {
+
+      var fn = this._handlers.receive_segment;
+
+      if (!fn && this._segment_store) {
+        fn = this._store_segment;
+      }
+
+      if (!fn) {
+        return this._default_receive_segment(_message, function (_err) {
+          return _callback(_err, false);
+        });
+      }
+
+      this._invoke_handler(fn, [ _message ], function (_err) {
+        _callback(_err, true);
+      });
+    },
+
+    /**
+     * @name _notify_receive_error:
+     *   Invoke events appropriately when an error has occurred
+     *   somewhere inside of the receive pipeline.
+     */
+    _notify_receive_error: function (_error, _message) {
+
+      _error.scope = 'receive';
+      this._count('errors_total', { scope: 'receive' });
+      this._emit_notification('error', _error, _message);
+    },
+
+    /**
+     * @name _notify_transmit_error:
+     *   Invoke events appropriately when an error has occurred
+     *   somewhere inside of the message transmission pipeline.
+     */
+    _notify_transmit_error: function (_error, _message) {
+
+      var reason = (_error.code == 'MESSAGE_EXPIRED' ? 'expired' : 'failed');
+
+      this._record_status(_message, reason, { error: _error });
+
+      _error.scope = 'transmit';
+      this._count('errors_total', { scope: 'transmit' });
+      this._count('transmit_failures_total', { reason: reason });
+
+      this._post_notification('transmit_error', {
+        message: this._persistable_message(_message), error: _error
+      });
+
+      if (_.isFunction(_message.callback)) {
+        _message.callback.call(this, _error, _message);
+      }
+
+      this._emit_notification('error', _error, _message);
+    },
+
+    /**
+     * @name _request_return_segments:
+     *   Request an array of previously-delivered "matching segments" from
+     *   our instansiator. A "matching segment" is a message that has a
+     *   `total_segments` greater than one, and has an `id` property that
+     *   matches the `_id` argument supplied to us. These segments will have
+     *   been previously sent to our instansiator via the `receive_segment`
+     *   event. The `return_segments` event is invoked only when
+     *   reassembling multi-part messages; it allows for different storage
+     *   methods to be "plugged in" at any time. This approach can avoid the
+     *   need for an application to maintain multiple data stores.
+     *
+     *   We provide a callback to the handler of this event. Once the
+     *   appropriate message segments have been brought back in to main
+     *   memory, and the caller is ready to transfer control back to us, the
+     *   callback should invoked. Its first argument must be a node-style
+     *   error argument (or null if no error occurred); its second argument
+     *   must be an array of message objects with identifiers that match
+     *   our `_id` parameter. The second argument is ignored if the first
+     *   argument indicates an error. Alternatively, the handler may return
+     *   a promise that resolves to the array of message objects.
+     *
+     *   When control is transferred back to us, we invoke `_callback` with
+     *   three arguments: a node-style error argument, followed by an array
+     *   of matching message objects (or `[]` if no matches were found),
+     *   followed by a boolean value indicating whether or not a handler was
+     *   present at the time `_request_return_segments` was called.
+     */
+    _request_return_segments: function (_id, _callback) {
+
+      var fn = this._handlers.return_segments;
+
+      if (!fn && this._segment_store) {
+        fn = this._fetch_stored_segments;
+      }
+
+      if (!fn) {
+        return this._default_return_segments(_id, function (_e, _rv) {
+          return _callback(_e, _rv, false);
+        });
+      }
+
+      this._invoke_handler(fn, [ _id ], function (_err, _messages) {
+        return _callback(_err, _messages, true);
+      });
+    },
+
+    /**
+     * @name _default_receive_segment:
+     */
+    _default_receive_segment: function (_message, _callback) {
+
+      var id = _message.id;
+
+      if (!this._segment_cache[id]) {
+        this._segment_cache[id] = [];
+      }
+
+      this._segment_cache[id].push(_message);
+      return _callback();
+    },
+
+    /**
+     * @name _store_segment:
+     *   Handle the `receive_segment` event using the segment store. The
+     *   segment is scheduled for deletion from the modem once it's stored,
+     *   so its storage location is omitted; by the time it's fetched,
+     *   that location may have been reused by an unrelated message.
+     */
+    _store_segment: function (_message, _callback) {
+
+      this._segment_store.add(
+        _.extend({}, _message, { location: false }), _callback
+      );
+    },
+
+    /**
+     * @name _fetch_stored_segments:
+     *   Handle the `return_segments` event using the segment store.
+     *   Timestamps are converted back to `moment` objects, since the
+     *   store may only have been able to persist them as strings.
+     */
+    _fetch_stored_segments: function (_id, _callback) {
+
+      this._segment_store.fetch(_id, function (_err, _segments) {
+
+        if (_err) {
+          return _callback(_err);
+        }
+
+        _callback(null, _.map(_segments || [], function (_m) {
+          for (var k in { timestamp: 0, smsc_timestamp: 1 }) {
+            if (_m[k] && !moment.isMoment(_m[k])) {
+              _m[k] = moment(_m[k]);
+            }
+          }
+          return _m;
+        }));
+      });
+    },
+
+    /**
+     * @name _release_stored_segments:
+     *   Remove the segments of the message identified by `_id` from the
+     *   segment store. Failures are reported via the `error` event; the
+     *   segments will be released again if the message is ever completed.
+     */
+    _release_stored_segments: function (_id) {
+
+      var self = this;
+
+      self._segment_store.release(_id, function (_err) {
+        if (_err) {
+          self._notify_receive_error(_err);
+        }
+      });
+    },
+
+    /**
+     * @name _restore_incomplete_messages:
+     *   Begin tracking the incomplete messages that were left in the
+     *   segment store by a previous process, so that the reassembly
+     *   timeout applies to them. This is done once, on the first queue
+     *   run, and only if the store implements the optional `list` method.
+     */
+    _restore_incomplete_messages: function (_callback) {
+
+      var self = this;
+      var store = self._segment_store;
+
+      if (self._is_store_restored || !store || !store.list) {
+        return _callback();
+      }
+
+      self._is_store_restored = true;
+
+      store.list(function (_err, _ids) {
+
+        if (_err) {
+          self._notify_receive_error(_err);
+          return _callback();
+        }
+
+        async.each(_ids || [],
+
+          function (_id, _next_fn) {
+
+            self._fetch_stored_segments(_id, function (_e, _segments) {
+
+              if (_e) {
+                self._notify_receive_error(_e);
+              }
+
+              _.each(_segments, function (_m) {
+                self._track_incomplete_message(_m);
+              });
+
+              return _next_fn();
+            });
+          },
+
+          function () {
+            return _callback();
+          }
+        );
+      });
+    },
+
+    /**
+     * @name _default_return_segments:
+     */
+    _default_return_segments: function (_id, _callback) {
+
+      return _callback(null, this._segment_cache[_id]);
+    },
+
+    /**
+     * @name _try_to_reassemble_message:
+     *  Asynchronously trigger our instansiator's `return_segments` handler,
+     *  then attempt to completely reassemble `_message` using what that
+     *  event handler returned to us. If we're able to, yield the (now fully
+     *  reassembled) message back to our caller.  If we're not able to
+     *  completely reassemble a message, we'll return control and wait for
+     *  the next segment to come in. Upon finishing this process,
+     *  `_callback` is invoked with a single node-style error argument.
+     */
+    _try_to_reassemble_message: function (_message, _callback) {
+
+      var self = this;
+      var rv = false;
+
+      self._request_return_segments(_message.id, function (_err, _segments) {
+
+        if (_err) {
+          return _callback(_err);
+        }
+
+        if (_segments && !_.isArray(_segments)) {
+          return _callback(
+            new Error('Non-array yielded by `return_segments` event')
+          );
+        }
+
+        try {
+          var index = self._build_reassembly_index(_message, _segments);
+
+          if (_.keys(index).length == _message.total_segments) {
+            rv = self._create_message_from_reassembly_index(index);
+          }
+        } catch (_er) {
+          return _callback(_er);
+        }
+
+        return _callback(null, rv);
+      });
+    },
+
+    /**
+     * @name _build_reassembly_index:
+     *  Using `_message` (a single message segment) and `_segments` (a
+     *  set of previously-received message segments), build an index to
+     *  aid in message reassembly.  For each segment, we first make sure
+     *  it has properties (e.g. `id` and `total_segments`) that are
+     *  consistent with `_message`. Then, we hash each segment to quickly
+     *  remove any duplicates and determine the quantity of segments
+     *  present. We take care to ensure that, in the case of duplicates,
+     *  the most recently-received part is used. This function does not
+     *  determine whether all parts are present, nor does it actually
+     *  perform reassembly -- it simply builds the data structure.
+     */
+    _build_reassembly_index: function (_message, _segments) {
+
+      var rv = {};
+
+      for (var i = 0, len = _segments.length; i < len; ++i) {
+        this._add_to_reassembly_index(rv, _message, _segments[i]);
+      }
+
+      this._add_to_reassembly_index(rv, _message, _message);
+      return rv;
+    },
+
+    /**
+     * @name _add_to_reassembly_index:
+     *   This function contains the actual validation and insertion
+     *   logic for `_build_reassembly_index`. This function adds a
+     *   single message segment `_m` to the reassembly index `_index`,
+     *   after validating it against the reference message `_message`.
+     *   Returns true if the message segment `_m` was valid; false
+     *   otherwise. If an item with the same segment number already
+     *   exists in the reassembly index and is newer than `_m`, this
+     *   function will return true *without* modifying the index.
+     */
+    _add_to_reassembly_index: function (_index, _message, _m) {
+
+      var total = _message.total_segments;
+
+      var is_valid = (
+        _.isObject(_m) && _m.id == _message.id &&
+          _.isNumber(_m.segment) && _m.segment <= total &&
+          _.isNumber(_m.total_segments) && _m.total_segments == total
+      )
+
+      if (!is_valid) {
+        return false;
+      }
+
+      if (_index[_m.segment] != null) {
+        if (_m.timestamp.isBefore(_index[_m.segment].timestamp)) {
+          return true;
+        }
+      }
+
+      _index[_m.segment] = _m;
+      return true;
+    },
+
+    /**
+     * @name: _create_message_from_reassembly_index:
+     *   Produce a new fully-reassembled message object, using the
+     *   message segments in the reassembly index `_index`. This
+     *   function will not modify any of the message segments in
+     *   `_index`, but *will* reference those message segments from the
+     *   newly-created message object. This function is synchronous,
+     *   and will either return the new message or throw an exception.
+     */
+    _create_message_from_reassembly_index: function (_index) {
+
+      /* One-based:
+          The `_index` argument is an object, not an array. */
+
+      var first_message = _index[1];
+
+      if (!_.isObject(first_message)) {
+        throw new Error('Reassembly failed; index missing first entry');
+      }
+
+      var rv = _.clone(first_message);
+
+      rv.id = false;
+      rv.location = [];
+      rv.segment = false;
+
+      rv.parts = [ first_message ];
+      rv.timestamp = first_message.timestamp;
+      rv.smsc_timestamp = first_message.smsc_timestamp;
+
+      if (first_message.location) {
+        rv.location.push(first_message.location);
+      }
+
+      for (var i = 2; i <= rv.total_segments; ++i) {
+
+        var segment = _index[i];
+
+        if (!_.isObject(segment)) {
+          throw new Error('Reassembly failed; index is missing an entry');
+        }
+
+        /* Concatenated SMS */
+        rv.content += segment.content;
+
+        /* Keep references to each part */
+        rv.parts.push(segment);
+
+        /* Use a list of locations when deleting */
+        if (segment.location) {
+          rv.location.push(segment.location);
+        }
+
+        /* Use latest timestamp */
+        for (var k in { timestamp: 0, smsc_timestamp: 1 }) {
+          if (rv[k] && rv[k].isBefore(segment[k])) {
+            rv[k] = segment[k];
+          }
+        }
+      }
+
+      return rv;
+    },
+
+    /**
+     * @name _create_partial_message_from_reassembly_index:
+     *   Like `_create_message_from_reassembly_index`, but tolerates missing
+     *   segments: the content of the segments that are present is joined
+     *   in order, and the (one-based) numbers of the `_total` segments that
+     *   are absent are listed in the new message's `missing_segments`.
+     */
+    _create_partial_message_from_reassembly_index: function (_index, _total) {
+
+      var parts = _.sortBy(_.values(_index), 'segment');
+      var rv = _.clone(parts[0]);
+
+      rv.id = false;
+      rv.location = false;
+      rv.segment = false;
+      rv.partial = true;
+
+      rv.parts = parts;
+      rv.content = _.pluck(parts, 'content').join('');
+
+      rv.missing_segments = _.reject(_.range(1, _total + 1), function (_n) {
+        return _.has(_index, _n);
+      });
+
+      /* Use latest timestamp */
+      for (var i = 1, len = parts.length; i < len; ++i) {
+        for (var k in { timestamp: 0, smsc_timestamp: 1 }) {
+          if (rv[k] && rv[k].isBefore(parts[i][k])) {
+            rv[k] = parts[i][k];
+          }
+        }
+      }
+
+      return rv;
+    },
+
+    /**
+     * @name _register_single_event:
+     *   Register `_callback` as a handler for `_event`. Notification
+     *   events are added to the event emitter; if `_is_once` is true, the
+     *   listener is removed after it's first invoked. Acknowledgment events
+     *   have a single handler; registering another replaces it.
+     */
+    _register_single_event: function (_event, _callback, _is_once) {
+
+      if (!_.isFunction(_callback)) {
+        throw new Error('Event callback must be a function');
+      }
+
+      if (!this._all_events[_event]) {
+        throw new Error('Invalid event specified');
+      }
+
+      if (!this._acknowledgment_events[_event]) {
+        var method = (_is_once ? 'once' : 'on');
+        events.EventEmitter.prototype[method].call(this, _event, _callback);
+        return this;
+      }
+
+      if (_is_once) {
+        throw new Error('Acknowledgment events cannot be handled once');
+      }
+
+      this._handlers[_event] = _callback;
+      return this;
+    },
+
+    /**
+     * @name _unregister_single_event:
+     *   Remove `_callback` from the handlers for `_event`. If `_callback`
+     *   is omitted, all of the event's handlers are removed.
+     */
+    _unregister_single_event: function (_event, _callback) {
+
+      if (!this._all_events[_event]) {
+        throw new Error('Invalid event specified');
+      }
+
+      if (!this._acknowledgment_events[_event]) {
+        if (_callback) {
+          this.removeListener(_event, _callback);
+        } else {
+          this.removeAllListeners(_event);
+        }
+        return this;
+      }
+
+      if (!_callback || this._handlers[_event] === _callback) {
+        delete this._handlers[_event];
+      }
+
+      return this;
+    },
+
+    /**
+     * @name _register_events:
+     *   Call `_fn` once for each event in `_event`, which may be either
+     *   a string or an object that maps event names to handlers.
+     */
+    _register_events: function (_event, _callback, _fn) {
+
+      if (_.isObject(_event)) {
+        for (var name in _event) {
+          _fn.call(this, name, _event[name]);
+        }
+      } else if (_.isString(_event)) {
+        _fn.call(this, _event, _callback);
+      } else {
+        throw new Error('Event name has an invalid type');
+      }
+
+      return this;
+    },
+
+    /**
+     * @name _define_metrics:
+     *   Define each of the counters in `_counters`, along with gauges
+     *   for the size of each queue, and a histogram of the duration of
+     *   each queue run. Gauges are read from our state when collected.
+     */
+    _define_metrics: function () {
+
+      var self = this;
+      var registry = self._metrics, prefix = self._metric_prefix;
+
+      _.each(self._counters, function (_help, _name) {
+        registry.counter(prefix + _name, _help);
+      });
+
+      registry.gauge(
+        prefix + 'outbound_queue_messages',
+          'Messages waiting to be transmitted', function () {
+            return self._outbound_queue.length;
+          }
+      );
+
+      registry.gauge(
+        prefix + 'inbound_queue_messages',
+          'Received messages waiting to be delivered', function () {
+            return self._inbound_queue.length;
+          }
+      );
+
+      registry.gauge(
+        prefix + 'deletion_queue_locations',
+          'Storage locations waiting to be deleted', function () {
+            return _.size(self._deletion_index);
+          }
+      );
+
+      registry.gauge(
+        prefix + 'incomplete_messages',
+          'Multi-part messages waiting for missing segments', function () {
+            return _.size(self._incomplete_messages);
+          }
+      );
+
+      registry.histogram(
+        prefix + 'queue_run_duration_seconds',
+          'Duration of each queue run, including all device operations'
+      );
+    },
+
+    /**
+     * @name _count:
+     *   Increment the counter `_name` (without our prefix; see
+     *   `_counters`) that has the labels `_labels`.
+     */
+    _count: function (_name, _labels) {
+
+      this._metrics.increment(this._metric_prefix + _name, _labels);
+    },
+
+    /**
+     * @name _create_backend:
+     *   Return the modem backend specified by `_options.backend`. This may
+     *   be an object that already implements the backend interface, or the
+     *   name of one of the bundled backends; if it's a name, the backend
+     *   is created using `_options.backend_options`. The default backend
+     *   runs `gammu-json` as a subprocess.
+     */
+    _create_backend: function (_options) {
+
+      var backend = (_options.backend || 'gammu-json');
+
+      if (_.isString(backend)) {
+
+        if (!backends[backend]) {
+          throw new Error('Unknown backend specified');
+        }
+
+        return backends[backend].create(_.extend(
+          { logger: this._logger, metrics: this._metrics },
+            _options.backend_options
+        ));
+      }
+
+      var is_valid = (
+        _.isObject(backend) && _.isFunction(backend.retrieve) &&
+          _.isFunction(backend.send) && _.isFunction(backend.delete)
+      );
+
+      if (!is_valid) {
+        throw new Error('Backend must implement retrieve, send and delete');
+      }
+
+      return backend;
+    },
+
+    /**
+     * @name _backend_supports:
+     *   Return true if the modem backend declares support for the
+     *   optional feature `_capability`; see `create`, below.
+     */
+    _backend_supports: function (_capability) {
+
+      var capabilities = (this._backend.capabilities || {});
+      return !!capabilities[_capability];
+    },
+
+    /**
+     * @name _validate_rate_limits:
+     *   Check the `rate_limits` option `_limits`, and return it (or an
+     *   empty object if it was omitted). Throws an exception if any of
+     *   the limits isn't a non-negative number.
+     */
+    _validate_rate_limits: function (_limits) {
+
+      var limits = (_limits || {});
+
+      var is_valid_limit = function (_limit) {
+        return (_limit == null || (_.isNumber(_limit) && _limit >= 0));
+      };
+
+      var is_valid = (
+        is_valid_limit(limits.per_modem) &&
+          is_valid_limit(limits.per_destination) &&
+          _.every(limits.per_prefix || {}, is_valid_limit)
+      );
+
+      if (!is_valid) {
+        throw new Error('Rate limits must be non-negative numbers');
+      }
+
+      return limits;
+    },
+
+    /**
+     * @name _create_outbound_store:
+     *   Return the persistent outbound store specified in `_options`, or
+     *   null if the outbound queue should only be kept in memory. The
+     *   `outbound_store` option may supply an object implementing the
+     *   store interface described in `stores/outbound_journal.js`; the
+     *   `outbound_journal` option may supply a path, in which case the
+     *   bundled append-only journal is used.
+     */
+    _create_outbound_store: function (_options) {
+
+      var store = _options.outbound_store;
+
+      if (store) {
+
+        var is_valid = _.every([ 'load', 'add', 'update', 'remove' ],
+          function (_method) {
+            return _.isFunction(store[_method]);
+          }
+        );
+
+        if (!is_valid) {
+          throw new Error('Outbound store is missing a required method');
+        }
+
+        return store;
+      }
+
+      if (_options.outbound_journal) {
+        return outbound_journal.create(_options.outbound_journal);
+      }
+
+      return null;
+    },
+
+    /**
+     * @name _create_delivered_store:
+     *   Return the delivered-message ledger specified in `_options`, or
+     *   null if none was specified. The `delivered_store` option may supply
+     *   an object implementing the store interface described in
+     *   `stores/delivered_journal.js`; the `delivered_journal` option may
+     *   supply a path, in which case the bundled journal is used.
+     */
+    _create_delivered_store: function (_options) {
+
+      var store = _options.delivered_store;
+
+      if (store) {
+
+        var is_valid = _.every([ 'load', 'add', 'remove' ],
+          function (_method) {
+            return _.isFunction(store[_method]);
+          }
+        );
+
+        if (!is_valid) {
+          throw new Error('Delivered store is missing a required method');
+        }
+
+        return store;
+      }
+
+      if (_options.delivered_journal) {
+        return delivered_journal.create(_options.delivered_journal);
+      }
+
+      return null;
+    },
+
+    /**
+     * @name _create_segment_store:
+     *   Return the persistent segment store specified in `_options`, or
+     *   null if none was specified. The `segment_store` option may supply
+     *   an object implementing the store interface described in
+     *   `stores/segment_directory.js`; the `segment_directory` option may
+     *   supply a path, in which case the bundled file-based store is used.
+     */
+    _create_segment_store: function (_options) {
+
+      var store = _options.segment_store;
+
+      if (store) {
+
+        var is_valid = _.every([ 'add', 'fetch', 'release' ],
+          function (_method) {
+            return _.isFunction(store[_method]);
+          }
+        );
+
+        if (!is_valid) {
+          throw new Error('Segment store is missing a required method');
+        }
+
+        return store;
+      }
+
+      if (_options.segment_directory) {
+        return segment_directory.create(_options.segment_directory);
+      }
+
+      return null;
+    },
+
+    /**
+     * @name initialize:
+     */
+    initialize: function (_options) {
+
+      var self = this;
+
+      /* Configuration:
+          Options are checked against the schema in `config.js`, which
+          throws if any are unknown or invalid, and supplies defaults for
+          those that were omitted. The result is the effective configuration;
+          see `configuration`. */
+
+      var options = config.validate(_options);
+
+      self._handlers = {};
+      self._options = options;
+
+      events.EventEmitter.call(self);
+
+      self._inbound_queue = [];
+      self._outbound_queue = [];
+      self._deletion_index = {};
+      self._pending_reports = {};
+
+      /* Logging:
+          Structured records are passed to the `logger` option (any
+          object with a `log` method), or written to `stderr`, as JSON or
+          text (`log_format`). Phone numbers and message content are masked
+          unless `redact` says otherwise; see `logger.js`. Nothing is logged
+          by default, unless `debug` is true, or a logger is provided. */
+
+      self._logger = logger.from_options(options);
+
+      self._is_polling = false;
+      self._is_processing = false;
+
+      self._poll_timer = null;
+      self._stop_callbacks = [];
+
+      self._poll_interval = options.interval * 1000; /* Milliseconds */
+
+      self._log('debug', 'gateway.initializing');
+
+      /* Metrics:
+          A registry of counters, gauges and histograms that describe
+          this instance; see `metrics` and `_define_metrics`. It's shared
+          with the bundled backends, which time each call to the device. */
+
+      self._metrics = metrics.create();
+      self._define_metrics();
+
+      /* Modem backend:
+          All communication with the modem happens through this object;
+          see `_create_backend`, and the `create` function, below. */
+
+      self._backend = self._create_backend(options);
+
+      /* Outbound store:
+          If persistence is enabled, replay any messages that were queued
+          but not yet finished when we were last running. Callbacks can't
+          be persisted, so replayed messages report only via events. */
+
+      self._outbound_store = self._create_outbound_store(options);
+
+      if (self._outbound_store) {
+        self._outbound_queue = self._outbound_store.load();
+        self._log('info', 'outbound_store.replayed', {
+          count: self._outbound_queue.length
+        });
+      }
+
+      /* Delivered-message ledger:
+          If provided, received messages are fingerprinted, and those
+          that have already been accepted by the `receive` handler are
+          never delivered again, even if they couldn't be deleted from the
+          device before we stopped. Entries are kept until the message is
+          deleted, or for `delivered_retention` seconds (default: a week). */
+
+      self._delivered_store = self._create_delivered_store(options);
+      self._delivered_index = {};
+
+      self._delivered_retention = (
+        options.delivered_retention * 1000 /* Milliseconds */
+      );
+
+      if (self._delivered_store) {
+        _.each(self._delivered_store.load(), function (_entry) {
+          self._delivered_index[_entry.fingerprint] = _entry;
+        });
+      }
+
+      /* Histories:
+          The outcomes of the most recent `status_history` outbound
+          messages (default: 1000) are kept for `message_status`; the
+          most recent `inbound_history` delivered messages (default: none)
+          are kept for `recent_inbound`. Zero disables either history. */
+
+      self._status_history = {};
+      self._status_order = [];
+      self._inbound_history = [];
+
+      self._status_history_size = options.status_history;
+      self._inbound_history_size = options.inbound_history;
+
+      /* Webhook:
+          If provided, an object containing options for `webhook.js`.
+          Received messages are posted to its URL whenever there's no
+          `receive` handler, and are deleted once the post succeeds. */
+
+      self._webhook = (
+        options.webhook ?
+          webhook.create(_.extend({ logger: self._logger }, options.webhook))
+            : null
+      );
+
+      /* HTTP API:
+          If provided, an object containing options for `http_api.js`;
+          the server listens while we're started. Since it lists recent
+          inbound messages, `inbound_history` defaults to 100 if it's set. */
+
+      self._http_api = (
+        options.http_api ?
+          http_api.create(self, _.extend({
+            logger: self._logger
+          }, options.http_api)) : null
+      );
+
+      /* Segment cache:
+          If the `receive_segment` and `return_segments` events don't both
+          have handlers, then we don't have any persistent storage other than
+          what's on the modem itself. In this case, we provide default event
+          handlers. The default handlers store messages in this cache for
+          the lifetime of the receive and reassembly processes. When we
+          lack these event handlers, we also don't delete message
+          segments from the modem until they're used in a successful
+          reassembly operation. Since message parts remain on the modem,
+          this cache is cleared at the beginning of `_receive_messages`. */
+
+      self._segment_cache = {};
+
+      /* Segment store:
+          Alternatively, a persistent segment store may be installed
+          using the `segment_store` or `segment_directory` options. It
+          handles `receive_segment` and `return_segments` whenever those
+          events have no handler, and is notified of `release_segments`. */
+
+      self._segment_store = self._create_segment_store(options);
+      self._is_store_restored = false;
+
+      /* Reassembly timeout:
+          If provided, the number of seconds after which an incomplete
+          multi-part message is abandoned; its segments are deleted and
+          released, and the `reassembly_timeout` event fires. This bounds
+          the modem (or segment store) space that a sender can consume by
+          omitting a segment. Incomplete messages are tracked in memory. */
+
+      self._reassembly_timeout = (
+        options.reassembly_timeout * 1000 /* Milliseconds */
+      );
+
+      self._incomplete_messages = {};
+
+      /* Delivery reports:
+          Segments whose delivery report hasn't arrived within
+          `delivery_report_timeout` seconds of transmission (default: two
+          days) are given a status of `unknown`, so that messages aren't
+          awaited forever; see `_expire_delivery_reports`. */
+
+      self._delivery_report_timeout = (
+        options.delivery_report_timeout * 1000 /* Milliseconds */
+      );
+
+      /* Receive phase:
+          If the `receive` option is false, messages are never retrieved
+          from the device; this is for instances that only send messages,
+          and must leave received messages for some other process. */
+
+      self._is_receive_enabled = options.receive;
+
+      /* Transmit batch size:
+          This is the highest number of outbound messages that will be
+          provided to a single run of gammu-json. This is intended to
+          avoid high receive latency and OS-level `argv` size limits. */
+
+      self._transmit_batch_size = options.transmit_batch_size;
+
+      /* Delete batch size:
+          This has the same rationale as above, but for deletions. */
+
+      self._delete_batch_size = options.delete_batch_size;
+
+      /* Rate limits:
+          These are the maximum numbers of SMS segments per minute that
+          will be handed to the modem: in total (`per_modem`), to any single
+          phone number (`per_destination`), and to phone numbers starting
+          with each prefix (`per_prefix`, an object mapping prefixes to
+          limits). A multi-part message counts once for each segment; one
+          that's larger than a limit is sent only when nothing else has
+          counted against it during the last minute. Zero, or a missing
+          value, means "no limit". */
+
+      self._rate_limits = self._validate_rate_limits(options.rate_limits);
+      self._rate_limiter = rate_limiter.create(60000);
+
+      /* Phone number normalization:
+          If enabled, destinations and senders are converted to E.164
+          form; the original values are kept in `to_original` (on outbound
+          messages) and `from_original` (on received messages). The
+          `phone_numbers` option may be true, or an object containing
+          options for `phone_number.js`. */
+
+      self._phone_numbers = (
+        options.phone_numbers ?
+          phone_number.create(_.isObject(options.phone_numbers) ?
+            options.phone_numbers : {}) : null
+      );
+
+      /* Segment limit:
+          If provided, the default for the `max_segments` option of
+          `send`; longer messages are rejected before they're queued. */
+
+      self._max_segments = options.max_segments;
+
+      /* Transliteration:
+          If true, the default for the `transliterate` option of `send`;
+          characters outside of the GSM 7-bit alphabet are replaced with
+          their closest GSM equivalents, so that messages fit in fewer
+          segments. This is off by default, since it alters content. */
+
+      self._transliterate = options.transliterate;
+
+      /* Priority aging:
+          A queued message is promoted to the next-highest priority lane
+          after waiting this long; this prevents a steady stream of urgent
+          messages from starving the lower lanes. Zero disables aging. */
+
+      self._priority_aging_interval = (
+        options.priority_aging * 1000 /* Milliseconds */
+      );
+
+      /* Retry limit:
+          We will make this many attempts to send a message. If we
+          aren't able to send the message within this constraint, we
+          will trigger error events/callbacks and discard the message.
+          A value of zero means "no limit"; this is not recommended. */
+
+      self._tx_attempt_limit = options.max_transmit_attempts;
+
+      /* Caller-provided prefix:
+          If provided, add $PREFIX/bin to the environment's $PATH. */
+
+      if (options.prefix) {
+        self._setenv('PATH', function (_value) {
+          return (
+            path.resolve(options.prefix, 'bin') +
+              ':' + (_value || '')
+          );
+        });
+      }
+
+      self._log('info', 'gateway.initialized', {
+        backend: (_.isString(options.backend) ? options.backend : 'custom')
+      });
+      return self;
+    },
+
+    /**
+     * @name start:
+     *   Start sending/receiving messages.
+     */
+    start: function () {
+
+      var self = this;
+
+      self._start_polling();
+
+      if (self._http_api) {
+        self._http_api.listen(function (_err) {
+          if (_err) {
+            self._notify_global_error(_err);
+          }
+        });
+      }
+    },
+
+    /**
+     * @name stop:
+     *   Stop sending/receiving messages. If `_callback` is provided, it
+     *   is invoked once any in-progress queue run has finished; otherwise,
+     *   a promise is returned, which resolves at the same point.
+     */
+    stop: function (_callback) {
+
+      var self = this;
+
+      var stop = function (_fn) {
+        self._stop_polling(function () {
+          return (self._http_api ? self._http_api.close(_fn) : _fn());
+        });
+      };
+
+      if (_callback) {
+        stop(function () {
+          _callback.call(self);
+        });
+        return self;
+      }
+
+      return new Promise(function (_resolve) {
+        stop(function () {
+          _resolve();
+        });
+      });
+    },
+
+    /**
+     * @name send:
+     *   Send a message to one or more recipients. The `_options` argument
+     *   may be omitted. If `_options.delivery_report` is true, a delivery
+     *   report is requested from the network; once it arrives, the
+     *   `delivery_report` event fires, and `_options.delivery_callback`
+     *   (if provided) is invoked with a node-style error argument (non-null
+     *   unless the message was delivered), the message, and the report.
+     *   Only backends with the `delivery_reports` capability (see `create`)
+     *   can request reports; with any other backend, an exception is
+     *   thrown, with a `code` of `UNSUPPORTED_OPTION`.
+     *
+     *   If `_options.send_at` is provided (as a `Date`, a `moment`, or a
+     *   number of milliseconds since the epoch), the message is held in the
+     *   queue until that time. If `_options.expires_at` (a time, as above)
+     *   or `_options.validity` (a number of seconds from now) is provided,
+     *   the message is discarded if it hasn't been transmitted by then;
+     *   this triggers a transmit error, with a `code` of `MESSAGE_EXPIRED`.
+     *
+     *   If phone number normalization is enabled (see `initialize`), an
+     *   exception is thrown if `_to` isn't a valid phone number. Any other
+     *   invalid argument or option causes an exception with a `code` of
+     *   `INVALID_ARGUMENT`.
+     *
+     *   The message's encoding and segment count (see `analyze`) are
+     *   computed up front, and stored on the queued message as `encoding`
+     *   and `segments`; the `segments` count is also included in the
+     *   transmission result. If `_options.max_segments` (or, if omitted,
+     *   the `max_segments` option of `create`) is provided, and the message
+     *   would need more segments than this, an exception is thrown, with a
+     *   `code` of `TOO_MANY_SEGMENTS` and the analysis as `analysis`.
+     *
+     *   If `_options.transliterate` is true (or, if omitted, the
+     *   `transliterate` option of `create` is true), characters outside
+     *   of the GSM 7-bit alphabet are replaced with their closest GSM
+     *   equivalents before the message is analyzed; see `transliterate` in
+     *   `encoding.js`. The queued message retains the text as supplied in
+     *   `content_original`, and the array of substitutions made (which is
+     *   also included in the transmission result) in `substitutions`.
+     *
+     *   The `_options.priority` property may be `high`, `normal` (the
+     *   default), or `low`; higher-priority messages are transmitted
+     *   first. Messages that have waited for a long time are gradually
+     *   promoted, so that lower priorities are never starved entirely.
+     *
+     *   The `_options.queue_id` property may supply the identifier of the
+     *   queued message (a string that must be unique to this message);
+     *   by default, a random identifier is used. See `message_status`.
+     *
+     *   If `_transmit_callback` is provided, it is invoked once the message
+     *   has been transmitted (or has exhausted its retries). We return
+     *   `this`; see `send_async` for a version that returns a promise.
+     */
+    send: function (_to, _message, _options, _transmit_callback) {
+
+      /* Fix up arguments:
+          This allows `_options` to be optionally omitted. */
+
+      if (_.isFunction(_options)) {
+        _transmit_callback = _options;
+        _options = {};
+      }
+
+      var options = (_options || {});
+
+      /* Perform sanity checks:
+          Arguments aren't vectorized; don't pass arrays in. */
+
+      if (_transmit_callback && !_.isFunction(_transmit_callback)) {
+        throw new Error('Callback, if provided, must be a function');
+      }
+
+      if (options.delivery_callback) {
+        if (!_.isFunction(options.delivery_callback)) {
+          throw new Error('Delivery callback must be a function');
+        }
+      }
+
+      if (options.delivery_report) {
+        if (!this._backend_supports('delivery_reports')) {
+          var e = new Error('Backend does not support delivery reports');
+          e.code = 'UNSUPPORTED_OPTION';
+          throw e;
+        }
+      }
+
+      if (options.queue_id != null) {
+        if (!_.isString(options.queue_id) || !options.queue_id) {
+          throw this._create_argument_error(
+            'Queue identifier must be a non-empty string'
+          );
+        }
+      }
 
-      var first_message = _index[1];
+      if (options.priority) {
+        if (!_.has(this._priority_lanes, options.priority)) {
+          throw this._create_argument_error(
+            'Priority must be one of high, normal or low'
+          );
+        }
+      }
 
-      if (!_.isObject(first_message)) {
-        throw new Error('Reassembly failed; index missing first entry');
+      if (!_.isString(_message)) {
+        throw this._create_argument_error(
+          'Message text must be supplied as a string'
+        );
       }
 
-      var rv = _.clone(first_message);
+      var transliteration = this._transliterate_content(_message, options);
 
-      rv.id = false;
-      rv.location = [];
-      rv.segment = false;
+      var content = (
+        transliteration ? transliteration.text : _message
+      );
 
-      rv.parts = [ first_message ];
-      rv.timestamp = first_message.timestamp;
-      rv.smsc_timestamp = first_message.smsc_timestamp;
+      var analysis = this._check_segment_limit(content, options);
+      var send_at = this._parse_time_option('send_at', options.send_at);
+      var expires_at = (
+        this._parse_time_option('expires_at', options.expires_at)
+      );
 
-      if (first_message.location) {
-        rv.location.push(first_message.location);
-      }
+      if (options.validity != null) {
 
-      for (var i = 2; i <= rv.total_segments; ++i) {
+        if (!_.isNumber(options.validity) || options.validity <= 0) {
+          throw this._create_argument_error(
+            'Validity must be a positive number of seconds'
+          );
+        }
 
-        var segment = _index[i];
+        var validity_end = Date.now() + options.validity * 1000;
 
-        if (!_.isObject(segment)) {
-          throw new Error('Reassembly failed; index is missing an entry');
+        if (expires_at == null || validity_end < expires_at) {
+          expires_at = validity_end;
         }
+      }
 
-        /* Concatenated SMS */
-        rv.content += segment.content;
+      if (!_.isString(_to)) {
+        throw this._create_argument_error(
+          'Destination must be supplied as a string'
+        );
+      }
 
-        /* Keep references to each part */
-        rv.parts.push(segment);
+      var to = (
+        this._phone_numbers ? this._phone_numbers.normalize(_to) : _to
+      );
 
-        /* Use a list of locations when deleting */
-        if (segment.location) {
-          rv.location.push(segment.location);
-        }
+      var message = {
+        queue_id: (
+          options.queue_id || crypto.randomBytes(8).toString('hex')
+        ),
+        to: to, to_original: _to, tx_attempts: 0,
+        content: content, content_original: _message,
+        callback: _transmit_callback,
+        delivery_report: !!(options.delivery_report),
+        delivery_callback: options.delivery_callback,
+        send_at: send_at, expires_at: expires_at,
+        priority: (options.priority || 'normal'), queued_at: Date.now(),
+        campaign_id: options.campaign_id,
+        encoding: analysis.encoding, segments: analysis.segments,
+        substitutions: (
+          transliteration ? transliteration.substitutions : undefined
+        )
+      };
+
+      this._queue_outbound_message(message);
 
-        /* Use latest timestamp */
-        for (var k in { timestamp: 0, smsc_timestamp: 1 }) {
-          if (rv[k] && rv[k].isBefore(segment[k])) {
-            rv[k] = segment[k];
-          }
-        }
-      }
+      return this;
+    },
 
-      return rv;
+    /**
+     * @name send_async:
+     *   Like `send`, but returns a promise instead of taking a callback.
+     *   The promise resolves with the transmission result, or rejects if
+     *   the message can't be queued, or once it has exhausted its retries.
+     */
+    send_async: function (_to, _message, _options) {
+
+      var self = this;
+
+      return new Promise(function (_resolve, _reject) {
+        self.send(_to, _message, _options, function (_err, _m, _result) {
+          return (_err ? _reject(_err) : _resolve(_result));
+        });
+      });
     },
 
     /**
-     * @name _register_single_event:
+     * @name delete:
+     *   Immediately delete the messages at the storage locations in the
+     *   array `_locations`, bypassing the deletion queue. The `_callback`
+     *   argument is invoked with a node-style error argument, followed by
+     *   an object that maps each location to `ok` or an error string.
      */
-    _register_single_event: function (_event, _callback) {
+    delete: function (_locations, _callback) {
 
-      if (!_.isFunction(_callback)) {
-        throw new Error('Event callback must be a function');
-      }
+      var locations = _.map(_locations, String);
 
-      if (!this._all_events[_event]) {
-        throw new Error('Invalid event specified');
-      }
+      this._backend.delete(locations, function (_err, _rv) {
+
+        if (_err) {
+          return _callback(_err);
+        }
+
+        return _callback(null, (_rv && _rv.detail) || {});
+      });
 
-      this._handlers[_event] = _callback;
       return this;
     },
 
     /**
-     * @name initialize:
+     * @name message_status:
+     *   Return an object describing the outbound message identified by
+     *   `_queue_id` (its `queue_id` property), or null if it's unknown. The
+     *   object's `status` property is `scheduled` or `queued` while it's in
+     *   the outbound queue; once it leaves, this is `sent`, `failed`, or
+     *   `expired`, and (if a delivery report was requested) may later be
+     *   `delivered`, `failed`, or `expired`. Depending upon the state, the
+     *   `result`, `error`, and `report` properties provide details.
      */
-    initialize: function (_options) {
-
-      var self = this;
-      var options = (_options || {});
+    message_status: function (_queue_id) {
 
-      self._handlers = {};
-      self._options = options;
-
-      self._inbound_queue = [];
-      self._outbound_queue = [];
-      self._deletion_index = {};
+      var now = Date.now();
 
-      self._is_debug_enabled = !!self._options.debug;
+      var message = _.findWhere(this._outbound_queue, {
+        queue_id: _queue_id
+      });
 
-      self._is_polling = false;
-      self._is_processing = false;
+      if (message) {
+        return _.extend(this._describe_outbound_message(message), {
+          status: (message.send_at > now ? 'scheduled' : 'queued')
+        });
+      }
 
-      self._poll_interval = (
-        _.isNumber(options.interval) ?
-          (options.interval * 1000) : 5000 /* Milliseconds */
-      );
+      return (this._status_history[_queue_id] || null);
+    },
 
-      self._debug_print(String, 'initializing');
+    /**
+     * @name outbound_queue:
+     *   Return an array describing each message in the outbound queue,
+     *   in the order in which they were queued. Callbacks are omitted.
+     */
+    outbound_queue: function () {
 
-      /* Segment cache:
-          If the `receive_segment` and `return_segments` events don't both
-          have handlers, then we don't have any persistent storage other than
-          what's on the modem itself. In this case, we provide default event
-          handlers. The default handlers store messages in this cache for
-          the lifetime of the receive and reassembly processes. When we
-          lack these event handlers, we also don't delete message
-          segments from the modem until they're used in a successful
-          reassembly operation. Since message parts remain on the modem,
-          this cache is cleared at the beginning of `_receive_messages`. */
+      return _.map(this._outbound_queue, this._persistable_message, this);
+    },
 
-      self._segment_cache = {};
+    /**
+     * @name deletion_queue:
+     *   Return an array of the storage locations that are waiting to
+     *   be deleted from the device.
+     */
+    deletion_queue: function () {
 
-      /* Transmit batch size:
-          This is the highest number of outbound messages that will be
-          provided to a single run of gammu-json. This is intended to
-          avoid high receive latency and OS-level `argv` size limits. */
+      return _.keys(this._deletion_index);
+    },
 
-      self._transmit_batch_size = (
-        options.transmit_batch_size || 64
-      );
+    /**
+     * @name recent_inbound:
+     *   Return an array of the most recently-delivered inbound messages,
+     *   oldest first; at most `_limit` are returned, if it's provided.
+     *   This is empty unless the `inbound_history` option is set.
+     */
+    recent_inbound: function (_limit) {
 
-      /* Delete batch size:
-          This has the same rationale as above, but for deletions. */
+      var history = this._inbound_history;
 
-      self._delete_batch_size = (
-        options.delete_batch_size || 1024
+      return (
+        _.isNumber(_limit) ?
+          history.slice(Math.max(history.length - _limit, 0)) : history.slice()
       );
+    },
 
-      /* Retry limit:
-          We will make this many attempts to send a message. If we
-          aren't able to send the message within this constraint, we
-          will trigger error events/callbacks and discard the message.
-          A value of zero means "no limit"; this is not recommended. */
+    /**
+     * @name configuration:
+     *   Return the effective configuration of this instance: the options
+     *   passed to `create`, with a default supplied for each option that
+     *   was omitted. Objects within it (e.g. stores) are shared, not copied.
+     */
+    configuration: function () {
 
-      self._tx_attempt_limit = (
-        _.isNumber(options.max_transmit_attempts) ?
-          options.max_transmit_attempts : 2
-      );
+      return _.clone(this._options);
+    },
 
-      /* Caller-provided prefix:
-          If provided, add $PREFIX/bin to the environment's $PATH. */
+    /**
+     * @name metrics:
+     *   Return the metrics registry of this instance (see `metrics.js`).
+     *   Its `snapshot` method returns the current value of every metric,
+     *   and its `render` method returns them in the Prometheus text format;
+     *   the HTTP API can serve the latter (see its `metrics` option).
+     */
+    metrics: function () {
 
-      if (self._options.prefix) {
-        self._setenv('PATH', function (_value) {
-          return (
-            path.resolve(self._options.prefix, 'bin') +
-              ':' + (_value || '')
-          );
-        });
-      }
+      return this._metrics;
+    },
 
-      /* Debug notification:
-          Print a startup message if debugging is enabled. */
+    /**
+     * @name analyze:
+     *   Determine how the message text `_text` would be encoded, and how
+     *   many segments it would need; see `analyze` in `encoding.js`.
+     */
+    analyze: function (_text) {
 
-      self._debug_print(String, 'debugging is enabled');
-      return self;
+      return encoding.analyze(_text);
     },
 
     /**
-     * @name start:
-     *   Start sending/receiving messages.
+     * @name _transliterate_content:
+     *   If transliteration is enabled for a message (by the `transliterate`
+     *   property of `_options`, or by the instance's `transliterate`
+     *   option), transliterate the text `_text` and return the result
+     *   of `transliterate` in `encoding.js`. Otherwise, return null.
      */
-    start: function () {
+    _transliterate_content: function (_text, _options) {
+
+      var is_enabled = (
+        _options.transliterate != null ?
+          !!_options.transliterate : this._transliterate
+      );
 
-      this._start_polling();
+      return (is_enabled ? encoding.transliterate(_text) : null);
     },
 
     /**
-     * @name stop:
-     *   Stop sending/receiving messages.
+     * @name _check_segment_limit:
+     *   Analyze the message text `_text`, and return the analysis. Throws
+     *   an exception if the message needs more segments than allowed by
+     *   `_options.max_segments` (or, if that's omitted, by the instance's
+     *   `max_segments` option).
      */
-    stop: function () {
+    _check_segment_limit: function (_text, _options) {
+
+      var limit = (
+        _options.max_segments != null ?
+          _options.max_segments : this._max_segments
+      );
+
+      if (limit != null && (!_.isNumber(limit) || limit < 1)) {
+        throw this._create_argument_error(
+          'Segment limit must be a positive number'
+        );
+      }
+
+      var rv = this.analyze(_text);
+
+      if (limit != null && rv.segments > limit) {
+        var e = new Error(
+          'Message requires ' + rv.segments +
+            ' segments; the limit is ' + limit
+        );
+
+        e.code = 'TOO_MANY_SEGMENTS';
+        e.analysis = rv;
+        throw e;
+      }
 
-      this._stop_polling();
+      return rv;
     },
 
     /**
-     * @name send:
-     *   Send a message to one or more recipients.
+     * @name send_bulk:
+     *   Send a message to each recipient in the array `_recipients`, and
+     *   return a campaign object (see `campaign.js`) that tracks the outcome
+     *   for every recipient. Each recipient is either a phone number, or
+     *   an object with a `to` property and an optional `substitutions`
+     *   object; in the latter case, each `{{name}}` placeholder in
+     *   `_template` is replaced with the value of `substitutions.name`.
+     *   The `_options` argument may be omitted; it's passed to `send` for
+     *   every recipient. If `_callback` is provided, it is invoked with a
+     *   null error argument and the campaign once every recipient's
+     *   message has been transmitted or has exhausted its retries; the
+     *   campaign also fires a `complete` event at the same point. A
+     *   recipient that can't be queued (e.g. because of an invalid phone
+     *   number) is recorded as failed, rather than throwing an exception.
      */
-    send: function (_to, _message, _transmit_callback) {
+    send_bulk: function (_recipients, _template, _options, _callback) {
 
-      /* Perform sanity checks:
-          Arguments aren't vectorized; don't pass arrays in. */
+      var self = this;
 
-      if (_transmit_callback && !_.isFunction(_transmit_callback)) {
-        throw new Error('Callback, if provided, must be a function');
+      /* Fix up arguments:
+          This allows `_options` to be optionally omitted. */
+
+      if (_.isFunction(_options)) {
+        _callback = _options;
+        _options = {};
       }
 
-      if (!_.isString(_to)) {
-        throw new Error('Destination must be supplied as a string');
+      if (!_.isArray(_recipients)) {
+        throw new Error('Recipients must be supplied as an array');
       }
 
-      if (!_.isString(_message)) {
-        throw new Error('Message text must be supplied as a string');
+      if (!_.isString(_template)) {
+        throw new Error('Message template must be supplied as a string');
       }
 
-      /* Push on to work queue:
-          This queue is consumed by `_transmit_messages`. */
+      if (_callback && !_.isFunction(_callback)) {
+        throw new Error('Callback, if provided, must be a function');
+      }
+
+      var rv = campaign.create(
+        crypto.randomBytes(8).toString('hex'), _recipients.length, _callback
+      );
+
+      _.each(_recipients, function (_recipient, _i) {
 
-      this._outbound_queue.push({
-        to: _to, tx_attempts: 0,
-        content: _message, callback: _transmit_callback
+        var recipient = (
+          _.isObject(_recipient) ? _recipient : { to: _recipient }
+        );
+
+        var options = _.extend({}, _options, { campaign_id: rv.id });
+
+        try {
+          var content = self._render_template(
+            _template, (recipient.substitutions || {})
+          );
+
+          self.send(recipient.to, content, options, function (_e, _m, _r) {
+            rv._record(_i, recipient.to, _e, _r);
+          });
+        } catch (_e) {
+
+          /* Deferred failure:
+              Record this asynchronously, so that the caller has
+              a chance to add `recipient` listeners to the campaign. */
+
+          setImmediate(function () {
+            rv._record(_i, recipient.to, _e);
+          });
+        }
       });
 
-      return this;
+      rv._seal();
+      return rv;
+    },
+
+    /**
+     * @name _render_template:
+     *   Replace each `{{name}}` placeholder in `_template` with the
+     *   value of `_substitutions.name`. Throws an exception if any of
+     *   the placeholders has no corresponding substitution.
+     */
+    _render_template: function (_template, _substitutions) {
+
+      return _template.replace(/\{\{\s*(\w+)\s*\}\}/g, function (_m, _name) {
+
+        if (!_.has(_substitutions, _name)) {
+          throw new Error('No substitution provided for `' + _name + '`');
+        }
+
+        return String(_substitutions[_name]);
+      });
     },
 
     /**
@@ -1132,95 +3663,165 @@ exports.prototype = {
      *   `receive` (for being notified of single-part and fully-reassembled
      *   messages); `transmit` (for being notified of when a sent message
      *   has been successfully handed off to the telco for further
-     *   transmission); `receive_segment` (for being notified of the receipt
-     *   of each individual segment of a multi-part/concatenated message);
-     *   and `return_segments` (invoked during message reassembly if any
-     *   previously-received message segments are needed to drive the
-     *   reassembly process).
+     *   transmission); `delivery_report` (for being notified of when a sent
+     *   message that requested a delivery report has reached the handset,
+     *   or has failed or expired); `receive_segment` (for being notified of
+     *   the receipt of each individual segment of a multi-part/concatenated
+     *   message); and `return_segments` (invoked during message reassembly
+     *   if any previously-received message segments are needed to drive the
+     *   reassembly process); and `reassembly_timeout` (for being notified
+     *   when a multi-part message is abandoned because one or more of its
+     *   segments didn't arrive in time; see `_notify_reassembly_timeout`).
      *
      *   To obtain full support for multi-part message reassembly, you *must*
-     *   handle both the `receive_segment` and `return_segments` events. The
+     *   either install a segment store (using the `segment_store` or
+     *   `segment_directory` options of `create`), or handle both the
+     *   `receive_segment` and `return_segments` events. The
      *   `receive_segment` callback must write the message segment to
      *   persistent storage before returning; the `return_segments` callback
      *   must fetch and return all previously-stored message segments for a
      *   given message identifier.
      *
+     *   If a multi-part message is only partially transmitted, only the
+     *   untransmitted segments are retried. The `transmit` result (and the
+     *   result passed to the `send` callback) describes every segment, in
+     *   its `parts` array; if retries run out, the error has a `partial`
+     *   property, along with lists of `parts_sent` and `parts_unsent`.
+     *
      *   The `_event` argument may be either a string or an object. If the
      *   `_event` argument is provided as an object, then the `_callback`
      *   argument is ignored. If the `_event` argument is a string, then
      *   `_callback` must be an event-handling function.
+     *
+     *   The `queue_run` event fires at the end of each run through the
+     *   receive, delete and transmit phases; its argument has an `errors`
+     *   property, listing the global errors that occurred during the run.
+     *
+     *   Notification events (`transmit`, `delivery_report`, `error`,
+     *   `release_segments`, `reassembly_timeout` and `queue_run`) may
+     *   have any number of listeners, which are called in the order they
+     *   were added. The acknowledgment events (`receive`, `receive_segment`
+     *   and `return_segments`) have only one handler at a time; registering
+     *   another replaces it.
      */
     on: function (_event, _callback) {
 
-      if (_.isObject(_event)) {
-        for (var name in _event) {
-          this._register_single_event(name, _event[name]);
-        }
-      } else if (_.isString(_event)) {
-        this._register_single_event(_event, _callback);
-      } else {
-        throw new Error('Event name has an invalid type');
-      }
-
-      return this;
+      return this._register_events(_event, _callback, function (_e, _fn) {
+        this._register_single_event(_e, _fn);
+      });
     },
 
     /**
-     * @name subprocess:
-     *   Start a JSON-generating subprocess, wait for it to finish,
-     *   and then return process's (parsed) output as an object.
+     * @name addListener:
+     *   An alias for `on`, for compatibility with `EventEmitter`.
      */
-    _subprocess: function (_path, _argv, _options, _callback) {
-
-      var self = this;
-      var json = '', errors = '';
+    addListener: function (_event, _callback) {
 
-      self._debug_print(
-        String, 'executing', _path, String, 'with arguments', _argv
-      );
+      return this.on(_event, _callback);
+    },
 
-      var subprocess = child.spawn(_path, _argv, { stdio: 'pipe' });
+    /**
+     * @name once:
+     *   Register a notification event listener that is removed after
+     *   it is first invoked. Arguments are the same as for `on`.
+     */
+    once: function (_event, _callback) {
 
-      /* Fix up arguments:
-          This allows `_options` to be optionally omitted. */
+      return this._register_events(_event, _callback, function (_e, _fn) {
+        this._register_single_event(_e, _fn, true);
+      });
+    },
 
-      if (!_callback) {
-        _callback = _options;
-        _options = {};
-      }
+    /**
+     * @name off:
+     *   Remove an event handler that was registered using `on` or `once`.
+     *   Arguments are the same as for `on`; if `_event` is a string and
+     *   `_callback` is omitted, every handler for `_event` is removed.
+     */
+    off: function (_event, _callback) {
 
-      subprocess.stdout.on('data', function (_buffer) {
-        json += _buffer.toString();
+      return this._register_events(_event, _callback, function (_e, _fn) {
+        this._unregister_single_event(_e, _fn);
       });
+    }
+};
 
-      subprocess.on('exit', function (_code, _signal) {
+/**
+ * @name analyze:
+ *   Analyze the encoding and segment count of message text; this is
+ *   also available as a method of each instance. See `encoding.js`.
+ */
+exports.analyze = encoding.analyze;
 
-        var rv = false;
+/**
+ * @name transliterate:
+ *   Replace characters outside of the GSM 7-bit alphabet with their
+ *   closest GSM equivalents, as `send` does when transliteration is
+ *   enabled. See `transliterate` in `encoding.js`.
+ */
+exports.transliterate = encoding.transliterate;
 
-        if (_code != 0) {
-          return _callback(
-            new Error('Subprocess exited with non-zero status', _code)
-          );
-        }
+/**
+ * @name load_config:
+ *   Read options for `create` from a JSON file and the environment;
+ *   see `load` in `config.js`. Options are validated by `create` itself.
+ */
+exports.load_config = config.load;
 
-        try {
-          rv = JSON.parse(json);
-        } catch (e) {
-          return _callback(
-            new Error('Subprocess produced invalid/incomplete JSON', e)
-          );
-        }
+/**
+ * @name validate_config:
+ *   Check options for `create`, and return the effective configuration
+ *   without creating an instance. See `validate` in `config.js`.
+ */
+exports.validate_config = config.validate;
 
-        self._debug_print(String, 'subprocess result is', rv);
-        return _callback(null, rv);
-      });
+/**
+ * @name serialize_error:
+ *   Return a plain object describing an error, as used in JSON
+ *   payloads and responses. See `serialize` in `errors.js`.
+ */
+exports.serialize_error = require('./errors').serialize;
 
-      subprocess.stdin.end();
-    }
+/**
+ * @name backends:
+ *   The bundled modem backends, indexed by name.
+ */
+exports.backends = backends;
+
+/**
+ * @name create_pool:
+ *   Create a pool of modems; see `pool.js`. The pool module depends
+ *   upon this one, so it's loaded on first use rather than up front.
+ */
+exports.create_pool = function (/* ... */) {
+
+  var pool = require('./pool');
+  return pool.create.apply(pool, arguments);
 };
 
 /**
  * @name create:
+ *   Create a new instance. The `backend` option selects the modem backend,
+ *   and may be either the name of a bundled backend (`gammu-json`, the
+ *   default, or `simulator`) or an object. A backend object must provide
+ *   three asynchronous methods, each of which takes a node-style callback
+ *   as its final argument: `retrieve(_callback)` yields an array of stored
+ *   messages; `send(_args, _options, _callback)` transmits the interleaved
+ *   phone numbers and message bodies in `_args`, yielding an array of
+ *   results (see `backends/gammu_json.js` for the options it accepts);
+ *   and `delete(_locations, _callback)` removes the messages at each of
+ *   the specified storage locations. Results must have the same structure
+ *   as the output of the corresponding `gammu-json` commands. A backend
+ *   may also have a `capabilities` object, which maps the names of optional
+ *   features to true: `delivery_reports` means that `send` honours the
+ *   `delivery_reports` option, and that `retrieve` yields delivery reports
+ *   as messages with a `type` of `status_report`, along with `reference`
+ *   and `status` properties; `partial_send` means that `send` honours the
+ *   `partial` option, which maps the one-based index of a message to an
+ *   object with `parts` (the one-based segment numbers to transmit) and
+ *   `udh` (the concatenation reference used when it was first sent). Of
+ *   the bundled backends, only `simulator` supports either. Unknown
+ *   or invalid options cause an exception; see `schema` in `config.js`.
  */
 exports.create = function (/* ... */) {
 
@@ -1228,7 +3829,10 @@ exports.create = function (/* ... */) {
     return this.initialize.apply(this, _arguments);
   };
 
-  klass.prototype = _.extend({}, exports.prototype);
+  klass.prototype = _.extend(
+    {}, events.EventEmitter.prototype, exports.prototype
+  );
+
   return new klass(arguments);
 };
 
@@ -0,0 +1,362 @@
+
+var _ = require('underscore');
+
+/**
+ * @namespace metrics:
+ *   A registry of counters, gauges and histograms, as used by a gateway
+ *   instance (see `main.js`) to describe its own behaviour. Each metric
+ *   is defined once, with a name and help text, and then updated with
+ *   an optional object of labels; each distinct set of labels is its own
+ *   series. The registry can be read as a plain object (`snapshot`), or
+ *   rendered in the Prometheus text exposition format (`render`).
+ */
+exports.prototype = {
+
+    /**
+     * @name _default_buckets:
+     *   The upper bounds, in seconds, of the buckets of a histogram
+     *   that was defined without any.
+     */
+    _default_buckets: [
+      0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60
+    ],
+
+    /**
+     * @name initialize:
+     *   Create an empty registry.
+     */
+    initialize: function () {
+
+      this._metrics = {};
+      return this;
+    },
+
+    /**
+     * @name counter:
+     *   Define a counter named `_name`: a value that only increases.
+     *   By convention, counters are named with a `_total` suffix.
+     */
+    counter: function (_name, _help) {
+
+      return this._define(_name, 'counter', _help, {});
+    },
+
+    /**
+     * @name gauge:
+     *   Define a gauge named `_name`: a value that may go up or down.
+     *   If `_collect` is provided, it's a function that is invoked each
+     *   time the registry is read, and returns the gauge's current value
+     *   (or an array of objects, each with `labels` and `value`); this
+     *   avoids having to update the gauge wherever its value changes.
+     */
+    gauge: function (_name, _help, _collect) {
+
+      return this._define(_name, 'gauge', _help, { collect: _collect });
+    },
+
+    /**
+     * @name histogram:
+     *   Define a histogram named `_name`, which counts observations in
+     *   buckets with the upper bounds in `_buckets` (an ascending array
+     *   of numbers; see `_default_buckets`), and tracks their sum.
+     */
+    histogram: function (_name, _help, _buckets) {
+
+      var buckets = (_buckets || this._default_buckets);
+
+      var is_valid = _.every(buckets, function (_b, _i) {
+        return (_.isNumber(_b) && (_i == 0 || _b > buckets[_i - 1]));
+      });
+
+      if (!is_valid) {
+        throw new Error('Histogram buckets must be ascending numbers');
+      }
+
+      return this._define(_name, 'histogram', _help, { buckets: buckets });
+    },
+
+    /**
+     * @name increment:
+     *   Add `_value` (or one, if it's omitted) to the series of
+     *   counter or gauge `_name` that has the labels `_labels`.
+     */
+    increment: function (_name, _labels, _value) {
+
+      var series = this._series(_name, [ 'counter', 'gauge' ], _labels);
+      series.value += (_value != null ? _value : 1);
+    },
+
+    /**
+     * @name set:
+     *   Set the series of gauge `_name` that has the labels `_labels`.
+     */
+    set: function (_name, _labels, _value) {
+
+      this._series(_name, [ 'gauge' ], _labels).value = _value;
+    },
+
+    /**
+     * @name observe:
+     *   Record the observation `_value` in the series of histogram
+     *   `_name` that has the labels `_labels`.
+     */
+    observe: function (_name, _labels, _value) {
+
+      var series = this._series(_name, [ 'histogram' ], _labels);
+      var buckets = this._metrics[_name].buckets;
+
+      for (var i = 0, len = buckets.length; i < len; ++i) {
+        if (_value <= buckets[i]) {
+          series.buckets[i]++;
+        }
+      }
+
+      series.count++;
+      series.sum += _value;
+    },
+
+    /**
+     * @name start_timer:
+     *   Return a function that, when invoked, observes the number of
+     *   seconds since `start_timer` was called in histogram `_name`. Any
+     *   labels passed to the returned function are added to `_labels`;
+     *   this allows the outcome of an operation to be used as a label.
+     */
+    start_timer: function (_name, _labels) {
+
+      var self = this;
+      var start = process.hrtime();
+
+      return function (_more_labels) {
+        var elapsed = process.hrtime(start);
+        self.observe(
+          _name, _.extend({}, _labels, _more_labels),
+            elapsed[0] + elapsed[1] / 1e9
+        );
+      };
+    },
+
+    /**
+     * @name snapshot:
+     *   Return an object mapping the name of each metric to an object
+     *   with `type`, `help`, and `series` (an array of objects, each with
+     *   `labels` and `value`). For histograms, `value` is replaced by
+     *   `count`, `sum` and `buckets` (an object mapping each upper bound
+     *   to the cumulative number of observations no greater than it).
+     */
+    snapshot: function () {
+
+      var rv = {};
+
+      _.each(this._metrics, function (_metric, _name) {
+
+        rv[_name] = {
+          type: _metric.type, help: _metric.help,
+          series: _.map(this._collect(_metric), function (_series) {
+
+            if (_metric.type != 'histogram') {
+              return { labels: _series.labels, value: _series.value };
+            }
+
+            return {
+              labels: _series.labels, count: _series.count,
+              sum: _series.sum, buckets: _.object(
+                _metric.buckets, _series.buckets
+              )
+            };
+          })
+        };
+      }, this);
+
+      return rv;
+    },
+
+    /**
+     * @name render:
+     *   Return every metric in the Prometheus text exposition format,
+     *   version 0.0.4; see `content_type`.
+     */
+    render: function () {
+
+      var lines = [];
+
+      _.each(this._metrics, function (_metric, _name) {
+
+        lines.push(
+          '# HELP ' + _name + ' ' + this._escape(_metric.help, false),
+            '# TYPE ' + _name + ' ' + _metric.type
+        );
+
+        _.each(this._collect(_metric), function (_series) {
+
+          if (_metric.type != 'histogram') {
+            return lines.push(
+              this._format_sample(_name, _series.labels, _series.value)
+            );
+          }
+
+          _.each(_metric.buckets, function (_bound, _i) {
+            lines.push(this._format_sample(
+              _name + '_bucket',
+                _.extend({}, _series.labels, { le: String(_bound) }),
+                _series.buckets[_i]
+            ));
+          }, this);
+
+          lines.push(this._format_sample(
+            _name + '_bucket',
+              _.extend({}, _series.labels, { le: '+Inf' }), _series.count
+          ));
+
+          lines.push(
+            this._format_sample(_name + '_sum', _series.labels, _series.sum)
+          );
+
+          lines.push(
+            this._format_sample(_name + '_count', _series.labels, _series.count)
+          );
+        }, this);
+      }, this);
+
+      return lines.join('\n') + '\n';
+    },
+
+    /**
+     * @name content_type:
+     *   The value of the `Content-Type` header for `render`'s output.
+     */
+    content_type: 'text/plain; version=0.0.4; charset=utf-8',
+
+    /**
+     * @name _define:
+     *   Add a metric to the registry. Defining a metric that already
+     *   exists with the same type has no effect, so that several modules
+     *   may share one registry; redefining it as another type throws.
+     */
+    _define: function (_name, _type, _help, _properties) {
+
+      if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(_name)) {
+        throw new Error('Invalid metric name `' + _name + '`');
+      }
+
+      var existing = this._metrics[_name];
+
+      if (existing) {
+        if (existing.type != _type) {
+          throw new Error('Metric `' + _name + '` is already defined');
+        }
+        return this;
+      }
+
+      this._metrics[_name] = _.extend({
+        type: _type, help: (_help || _name), series: {}
+      }, _properties);
+
+      return this;
+    },
+
+    /**
+     * @name _series:
+     *   Return the series of metric `_name` that has the labels
+     *   `_labels`, creating it if necessary. Throws if the metric isn't
+     *   defined, or if its type isn't one of those in `_types`.
+     */
+    _series: function (_name, _types, _labels) {
+
+      var metric = this._metrics[_name];
+
+      if (!metric || !_.contains(_types, metric.type)) {
+        throw new Error('No ' + _types.join(' or ') + ' named `' + _name + '`');
+      }
+
+      var labels = _.mapObject(_labels || {}, String);
+      var key = this._series_key(labels);
+
+      if (!metric.series[key]) {
+        metric.series[key] = (
+          metric.type == 'histogram' ? {
+            labels: labels, count: 0, sum: 0,
+            buckets: _.map(metric.buckets, function () { return 0; })
+          } : { labels: labels, value: 0 }
+        );
+      }
+
+      return metric.series[key];
+    },
+
+    /**
+     * @name _collect:
+     *   Return an array of the current series of `_metric`, invoking
+     *   its `collect` function first, if it has one.
+     */
+    _collect: function (_metric) {
+
+      if (_metric.collect) {
+
+        var values = _metric.collect();
+
+        _metric.series = {};
+
+        _.each(_.isArray(values) ? values : [ { value: values } ],
+          function (_v) {
+            var labels = _.mapObject(_v.labels || {}, String);
+            _metric.series[this._series_key(labels)] = {
+              labels: labels, value: _v.value
+            };
+          }, this
+        );
+      }
+
+      return _.values(_metric.series);
+    },
+
+    /**
+     * @name _series_key:
+     *   Return a string that uniquely identifies the set of `_labels`.
+     */
+    _series_key: function (_labels) {
+
+      return JSON.stringify(_.pairs(_labels).sort());
+    },
+
+    /**
+     * @name _format_sample:
+     */
+    _format_sample: function (_name, _labels, _value) {
+
+      var labels = _.map(_labels, function (_v, _k) {
+        return _k + '="' + this._escape(_v, true) + '"';
+      }, this);
+
+      return (
+        _name + (labels.length > 0 ? '{' + labels.join(',') + '}' : '') +
+          ' ' + (_value === Infinity ? '+Inf' : String(_value))
+      );
+    },
+
+    /**
+     * @name _escape:
+     *   Escape `_s` for use in help text, or (if `_is_label` is
+     *   true) in a label value, which may also contain quotes.
+     */
+    _escape: function (_s, _is_label) {
+
+      var rv = String(_s).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+      return (_is_label ? rv.replace(/"/g, '\\"') : rv);
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,183 @@
+
+var _ = require('underscore');
+
+/**
+ * @namespace phone-number:
+ *   Converts the many ways of writing a phone number (e.g. `0712...`,
+ *   `254712...`, and `+254 712...`) to a single E.164 form, so that the
+ *   same person is always identified by the same string. Values that
+ *   can't be a valid phone number are rejected.
+ */
+exports.prototype = {
+
+    /**
+     * @name _punctuation:
+     *   Characters that may appear in a phone number written for
+     *   humans, but carry no meaning; these are removed before parsing.
+     */
+    _punctuation: /[\s\-\.\(\)\/]/g,
+
+    /**
+     * @name initialize:
+     *   Valid options are `country_code` (the default country calling
+     *   code, as a string of digits, for numbers written in national
+     *   form), `trunk_prefix` (the prefix used when dialing national
+     *   numbers; defaults to `0`), `international_prefix` (the prefix
+     *   used when dialing international numbers without a `+`; defaults to
+     *   `00`), `allow_short_codes` (a boolean; if true, short codes are
+     *   passed through unchanged rather than rejected), and
+     *   `short_code_length` (the maximum number of digits in a short
+     *   code; defaults to six).
+     */
+    initialize: function (_options) {
+
+      var options = (_options || {});
+
+      if (options.country_code != null) {
+        if (!/^[1-9][0-9]{0,2}$/.test(String(options.country_code))) {
+          throw new Error('Country code must be one to three digits');
+        }
+      }
+
+      this._country_code = (
+        options.country_code != null ? String(options.country_code) : null
+      );
+
+      this._trunk_prefix = (
+        options.trunk_prefix != null ? String(options.trunk_prefix) : '0'
+      );
+
+      this._international_prefix = (
+        options.international_prefix != null ?
+          String(options.international_prefix) : '00'
+      );
+
+      this._allow_short_codes = !!options.allow_short_codes;
+
+      this._short_code_length = (
+        _.isNumber(options.short_code_length) ?
+          options.short_code_length : 6
+      );
+
+      return this;
+    },
+
+    /**
+     * @name normalize:
+     *   Return `_value` in E.164 form (e.g. `+254712345678`), or, if
+     *   it's an allowed short code, as a string of digits. Throws an
+     *   exception with a `code` of `INVALID_PHONE_NUMBER` otherwise.
+     */
+    normalize: function (_value) {
+
+      if (!_.isString(_value) && !_.isNumber(_value)) {
+        throw this._create_error(_value, 'not a string');
+      }
+
+      var value = String(_value).replace(this._punctuation, '');
+      var is_international = (value.charAt(0) == '+');
+
+      if (is_international) {
+        value = value.substr(1);
+      }
+
+      if (!/^[0-9]+$/.test(value)) {
+        throw this._create_error(_value, 'contains non-digit characters');
+      }
+
+      /* Short codes:
+          These are only meaningful within a single network, and
+          can't be written in international form. */
+
+      if (!is_international && value.length <= this._short_code_length) {
+        if (!this._allow_short_codes) {
+          throw this._create_error(_value, 'short codes are not allowed');
+        }
+        return value;
+      }
+
+      if (!is_international) {
+        value = this._internationalize(_value, value);
+      }
+
+      /* E.164:
+          At most fifteen digits, and no leading zero. We require
+          at least eight, which excludes all real-world short codes. */
+
+      if (!/^[1-9][0-9]{7,14}$/.test(value)) {
+        throw this._create_error(_value, 'not a valid international number');
+      }
+
+      return '+' + value;
+    },
+
+    /**
+     * @name _internationalize:
+     *   Convert the digit string `_digits`, which was written without
+     *   a leading `+`, to international form (without the `+`). The
+     *   `_value` argument is the original value, for use in errors. Unless
+     *   it starts with the international prefix, this requires a default
+     *   country code.
+     */
+    _internationalize: function (_value, _digits) {
+
+      var intl = this._international_prefix;
+      var trunk = this._trunk_prefix;
+
+      if (intl && _digits.indexOf(intl) == 0) {
+        return _digits.substr(intl.length);
+      }
+
+      /* National numbers:
+          Without a default country code, there's no telling which
+          country a number belongs to, or whether it's an international
+          number with the `+` omitted; it's rejected rather than guessed. */
+
+      if (!this._country_code) {
+        throw this._create_error(_value, 'no default country code');
+      }
+
+      if (trunk && _digits.indexOf(trunk) == 0) {
+        return this._country_code + _digits.substr(trunk.length);
+      }
+
+      /* Ambiguous numbers:
+          If the number already starts with the default country code,
+          assume that it's in international form, with the `+` omitted.
+          Otherwise, it's a national number without a trunk prefix. */
+
+      if (_digits.indexOf(this._country_code) == 0) {
+        return _digits;
+      }
+
+      return this._country_code + _digits;
+    },
+
+    /**
+     * @name _create_error:
+     */
+    _create_error: function (_value, _reason) {
+
+      var rv = new Error('Invalid phone number `' + _value + '`: ' + _reason);
+
+      rv.code = 'INVALID_PHONE_NUMBER';
+      rv.value = _value;
+
+      return rv;
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,586 @@
+
+var _ = require('underscore'),
+    async = require('async'),
+    events = require('events'),
+    logger = require('./logger'),
+    phone_number = require('./phone_number'),
+    gateway = require('./main');
+
+/**
+ * @namespace pool:
+ *   A set of modems, each driven by its own instance of the gateway
+ *   defined in `main.js`. Messages are received from every modem, and
+ *   events from every modem are delivered to the pool's handlers, with
+ *   a `modem` property (the modem's name) added to each message. Outbound
+ *   messages are routed to a single modem using the configured strategy;
+ *   if a modem repeatedly fails, its queued messages are moved to others.
+ */
+exports.prototype = {
+
+    /**
+     * @name _module_name:
+     */
+    _module_name: 'node-gammu-json:pool',
+
+    /**
+     * @name _log:
+     */
+    _log: logger.log,
+
+    /**
+     * @name _strategies:
+     *   All available outbound routing strategies. The `round_robin`
+     *   strategy uses each modem in turn; `least_queued` uses the modem
+     *   with the shortest outbound queue; and `prefix` uses the `routes`
+     *   option to map the longest matching destination prefix to a modem,
+     *   falling back to `round_robin` if no prefix matches.
+     */
+    _strategies: {
+      round_robin: 1, least_queued: 2, prefix: 3
+    },
+
+    /**
+     * @name _forward_member_events:
+     *   Notification events that are forwarded from each member to
+     *   the pool, with the member's name appended to their arguments.
+     *   The `error` and `queue_run` events are forwarded too, but need
+     *   special handling; see `_bind_member`.
+     */
+    _forward_member_events: [
+      'transmit', 'delivery_report', 'release_segments',
+      'reassembly_timeout'
+    ],
+
+    /**
+     * @name _all_events:
+     */
+    _all_events: gateway.prototype._all_events,
+
+    /**
+     * @name _acknowledgment_events:
+     */
+    _acknowledgment_events: gateway.prototype._acknowledgment_events,
+
+    /**
+     * @name _emit_notification:
+     */
+    _emit_notification: gateway.prototype._emit_notification,
+
+    /**
+     * @name _register_events:
+     */
+    _register_events: gateway.prototype._register_events,
+
+    /**
+     * @name _render_template:
+     */
+    _render_template: gateway.prototype._render_template,
+
+    /**
+     * @name send_bulk:
+     *   As in `main.js`; each recipient's message is routed separately.
+     */
+    send_bulk: gateway.prototype.send_bulk,
+
+    /**
+     * @name send_async:
+     *   As in `main.js`; the message is routed as by `send`.
+     */
+    send_async: gateway.prototype.send_async,
+
+    /**
+     * @name initialize:
+     *   The `modems` option is an array of objects, one for each modem.
+     *   Each has a unique `name`, and either a `gateway` (an instance
+     *   already returned by `create`) or the options that should be passed
+     *   to `create` (typically `backend_options`, with a `prefix` or `env`
+     *   that selects the modem's `gammu-json` configuration). The other
+     *   valid options are `strategy` (see `_strategies`; defaults to
+     *   `round_robin`), `routes` (an object mapping destination prefixes to
+     *   modem names), `failover_threshold` (the number of consecutive queue
+     *   runs with errors after which a modem is considered failed; defaults
+     *   to three, and each modem created by the pool defaults its
+     *   `max_transmit_attempts` to one more than this), `phone_numbers`
+     *   (as in `main.js`; if provided, each destination is normalized before
+     *   it's routed, and the modem is given the normalized number), and the
+     *   logging options (`logger`, `log_level`, `log_format`, `redact` and
+     *   `debug`, as in `main.js`), which are also used by each modem created
+     *   by the pool.
+     */
+    initialize: function (_options) {
+
+      var self = this;
+      var options = (_options || {});
+
+      events.EventEmitter.call(self);
+
+      self._options = options;
+      self._logger = logger.from_options(options);
+
+      self._handlers = {};
+      self._members = [];
+      self._member_index = {};
+      self._next_member = 0;
+
+      if (!_.isArray(options.modems) || options.modems.length <= 0) {
+        throw new Error('Pool requires a non-empty array of modems');
+      }
+
+      self._strategy = (options.strategy || 'round_robin');
+
+      if (!self._strategies[self._strategy]) {
+        throw new Error('Invalid routing strategy specified');
+      }
+
+      self._phone_numbers = (
+        options.phone_numbers ?
+          phone_number.create(_.isObject(options.phone_numbers) ?
+            options.phone_numbers : {}) : null
+      );
+
+      self._failover_threshold = (
+        _.isNumber(options.failover_threshold) ?
+          options.failover_threshold : 3
+      );
+
+      _.each(options.modems, function (_modem, _i) {
+        self._add_member(_modem, _i);
+      });
+
+      self._routes = (options.routes || {});
+
+      _.each(self._routes, function (_name, _prefix) {
+        if (!self._member_index[_name]) {
+          throw new Error('Route for `' + _prefix + '` names unknown modem');
+        }
+      });
+
+      return self;
+    },
+
+    /**
+     * @name _add_member:
+     *   Create (or adopt) the gateway for the modem described by
+     *   `_modem`, and add it to the pool. The `_i` argument is the
+     *   modem's zero-based position in the `modems` option.
+     */
+    _add_member: function (_modem, _i) {
+
+      var name = (_modem.name || ('modem-' + (_i + 1)));
+
+      if (this._member_index[name]) {
+        throw new Error('Modem names must be unique');
+      }
+
+      /* Transmission attempts:
+          A modem whose backend fails uses up the attempts of the
+          messages it was trying to send. Unless told otherwise, we allow
+          enough of them that the messages are moved, not abandoned. */
+
+      var member = {
+        name: name, errors: 0, is_failed: false,
+        gateway: (
+          _modem.gateway || gateway.create(_.extend({
+            logger: this._logger,
+            max_transmit_attempts: this._failover_threshold + 1
+          }, _.omit(_modem, 'name', 'gateway')))
+        )
+      };
+
+      this._members.push(member);
+      this._member_index[name] = member;
+
+      this._bind_member(member);
+    },
+
+    /**
+     * @name _bind_member:
+     *   Register listeners for the notification events of `_member`'s
+     *   gateway, so that they're delivered to the pool's listeners.
+     */
+    _bind_member: function (_member) {
+
+      var self = this;
+      var gw = _member.gateway;
+
+      _.each(self._forward_member_events, function (_event) {
+        gw.on(_event, function (_x) {
+
+          if (_.isObject(_x)) {
+            _x.modem = _member.name;
+          }
+
+          self._emit_notification.apply(
+            self, [ _event ].concat(_.toArray(arguments), [ _member.name ])
+          );
+        });
+      });
+
+      gw.on('error', function (_error, _message) {
+
+        _error.modem = _member.name;
+
+        if (_.isObject(_message)) {
+          _message.modem = _member.name;
+        }
+
+        self._emit_notification('error', _error, _message, _member.name);
+      });
+
+      gw.on('queue_run', function (_run) {
+
+        self._update_member_health(_member, _run);
+
+        self._emit_notification(
+          'queue_run', _.extend({ modem: _member.name }, _run)
+        );
+      });
+    },
+
+    /**
+     * @name _update_member_health:
+     *   Track the consecutive queue runs of `_member` that produced
+     *   errors. Once there have been `failover_threshold` of them, the
+     *   modem is considered failed, and its queued outbound messages are
+     *   moved to other modems. A single clean run restores the modem.
+     */
+    _update_member_health: function (_member, _run) {
+
+      if (_run.errors.length <= 0) {
+
+        if (_member.is_failed) {
+          this._log('info', 'modem.recovered', { modem: _member.name });
+        }
+
+        _member.errors = 0;
+        _member.is_failed = false;
+        return;
+      }
+
+      _member.errors++;
+
+      if (!_member.is_failed && _member.errors >= this._failover_threshold) {
+        this._log('warn', 'modem.failed', { modem: _member.name });
+        _member.is_failed = true;
+      }
+
+      if (_member.is_failed) {
+        this._fail_over(_member);
+      }
+    },
+
+    /**
+     * @name _fail_over:
+     *   Move every queued outbound message from the failed member
+     *   `_member` to other modems, where each starts again with a full
+     *   set of transmission attempts. If no other modem is healthy, the
+     *   messages stay where they are.
+     */
+    _fail_over: function (_member) {
+
+      var healthy = _.filter(this._members, function (_m) {
+        return (_m !== _member && !_m.is_failed);
+      });
+
+      if (healthy.length <= 0) {
+        return;
+      }
+
+      var messages = _member.gateway._take_outbound_messages();
+
+      for (var i = 0, len = messages.length; i < len; ++i) {
+
+        var target = this._select_member(messages[i].to, _member);
+
+        /* Fresh start:
+            Attempts used up on the failed modem say nothing
+            about whether the message can be sent by another. */
+
+        messages[i].tx_attempts = 0;
+
+        try {
+          target.gateway._queue_outbound_message(messages[i]);
+        } catch (_e) {
+          _e.modem = target.name;
+          _e.scope = 'transmit';
+          this._emit_notification('error', _e, messages[i]);
+        }
+      }
+
+      this._log('info', 'modem.messages_moved', {
+        modem: _member.name, count: messages.length
+      });
+    },
+
+    /**
+     * @name _select_member:
+     *   Choose the member that should transmit a message to `_to`,
+     *   using the routing strategy. Failed members, and the member
+     *   `_exclude` (if provided), are only used as a last resort.
+     */
+    _select_member: function (_to, _exclude) {
+
+      var candidates = _.filter(this._members, function (_m) {
+        return (_m !== _exclude && !_m.is_failed);
+      });
+
+      if (candidates.length <= 0) {
+        candidates = _.without(this._members, _exclude);
+      }
+
+      if (candidates.length <= 0) {
+        candidates = this._members;
+      }
+
+      if (this._strategy == 'prefix') {
+        var routed = this._member_index[this._route_for(_to)];
+
+        if (routed && _.contains(candidates, routed)) {
+          return routed;
+        }
+      }
+
+      if (this._strategy == 'least_queued') {
+        return _.min(candidates, function (_m) {
+          return _m.gateway._outbound_queue.length;
+        });
+      }
+
+      return candidates[this._next_member++ % candidates.length];
+    },
+
+    /**
+     * @name _route_for:
+     *   Return the name of the modem mapped to the longest prefix
+     *   of `_to` in the `routes` option, or null if none match.
+     */
+    _route_for: function (_to) {
+
+      var rv = null, length = -1;
+
+      for (var prefix in this._routes) {
+        if (_to.indexOf(prefix) == 0 && prefix.length > length) {
+          rv = this._routes[prefix];
+          length = prefix.length;
+        }
+      }
+
+      return rv;
+    },
+
+    /**
+     * @name _register_single_event:
+     *   As in `main.js`, but acknowledgment event handlers are also
+     *   registered with every member's gateway. They're invoked with the
+     *   pool as `this`, and a `modem` property is added to each message.
+     */
+    _register_single_event: function (_event, _callback, _is_once) {
+
+      var self = this;
+
+      if (!_.isFunction(_callback)) {
+        throw new Error('Event callback must be a function');
+      }
+
+      if (!self._all_events[_event]) {
+        throw new Error('Invalid event specified');
+      }
+
+      if (!self._acknowledgment_events[_event]) {
+        var method = (_is_once ? 'once' : 'on');
+        events.EventEmitter.prototype[method].call(self, _event, _callback);
+        return self;
+      }
+
+      if (_is_once) {
+        throw new Error('Acknowledgment events cannot be handled once');
+      }
+
+      self._handlers[_event] = _callback;
+
+      _.each(self._members, function (_member) {
+        _member.gateway.on(_event, function (_x, _fn) {
+
+          if (_.isObject(_x)) {
+            _x.modem = _member.name;
+          }
+
+          return _callback.call(self, _x, _fn);
+        });
+      });
+
+      return self;
+    },
+
+    /**
+     * @name _unregister_single_event:
+     */
+    _unregister_single_event: function (_event, _callback) {
+
+      if (!this._all_events[_event]) {
+        throw new Error('Invalid event specified');
+      }
+
+      if (!this._acknowledgment_events[_event]) {
+        if (_callback) {
+          this.removeListener(_event, _callback);
+        } else {
+          this.removeAllListeners(_event);
+        }
+        return this;
+      }
+
+      if (!_callback || this._handlers[_event] === _callback) {
+
+        delete this._handlers[_event];
+
+        _.each(this._members, function (_member) {
+          _member.gateway.off(_event);
+        });
+      }
+
+      return this;
+    },
+
+    /**
+     * @name modem:
+     *   Return the gateway instance for the modem named `_name`.
+     */
+    modem: function (_name) {
+
+      var member = this._member_index[_name];
+      return (member ? member.gateway : null);
+    },
+
+    /**
+     * @name start:
+     *   Start sending/receiving messages on every modem.
+     */
+    start: function () {
+
+      _.each(this._members, function (_member) {
+        _member.gateway.start();
+      });
+
+      return this;
+    },
+
+    /**
+     * @name stop:
+     *   Stop sending/receiving messages on every modem. As with the
+     *   `stop` method in `main.js`, `_callback` is invoked (or, if it's
+     *   omitted, the returned promise resolves) once every modem's
+     *   in-progress queue run has finished.
+     */
+    stop: function (_callback) {
+
+      var self = this;
+
+      var stop_all = function (_fn) {
+        async.each(self._members, function (_member, _next_fn) {
+          _member.gateway.stop(function () {
+            _next_fn();
+          });
+        }, function () {
+          _fn.call(self);
+        });
+      };
+
+      if (_callback) {
+        stop_all(_callback);
+        return self;
+      }
+
+      return new Promise(function (_resolve) {
+        stop_all(function () {
+          _resolve();
+        });
+      });
+    },
+
+    /**
+     * @name send:
+     *   Route a message to one of the modems, and queue it there for
+     *   transmission. Arguments are the same as for the `send` method in
+     *   `main.js`, and `this` is returned. If phone number normalization is
+     *   enabled, the number that's routed is also the number that the modem
+     *   sends to.
+     */
+    send: function (_to, _message, _options, _transmit_callback) {
+
+      if (!_.isString(_to)) {
+        throw new Error('Destination must be supplied as a string');
+      }
+
+      var to = (
+        this._phone_numbers ? this._phone_numbers.normalize(_to) : _to
+      );
+
+      var member = this._select_member(to);
+
+      this._log('debug', 'message.routed', { modem: member.name });
+
+      member.gateway.send(to, _message, _options, _transmit_callback);
+      return this;
+    },
+
+    /**
+     * @name on:
+     *   Register event handlers for every modem in the pool. Arguments
+     *   are the same as for the `on` method in `main.js`. Notification
+     *   event listeners receive the modem's name as an extra argument.
+     */
+    on: function (_event, _callback) {
+
+      return this._register_events(_event, _callback, function (_e, _fn) {
+        this._register_single_event(_e, _fn);
+      });
+    },
+
+    /**
+     * @name addListener:
+     *   An alias for `on`, for compatibility with `EventEmitter`.
+     */
+    addListener: function (_event, _callback) {
+
+      return this.on(_event, _callback);
+    },
+
+    /**
+     * @name once:
+     */
+    once: function (_event, _callback) {
+
+      return this._register_events(_event, _callback, function (_e, _fn) {
+        this._register_single_event(_e, _fn, true);
+      });
+    },
+
+    /**
+     * @name off:
+     */
+    off: function (_event, _callback) {
+
+      return this._register_events(_event, _callback, function (_e, _fn) {
+        this._unregister_single_event(_e, _fn);
+      });
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend(
+    {}, events.EventEmitter.prototype, exports.prototype
+  );
+
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,121 @@
+
+var _ = require('underscore');
+
+/**
+ * @namespace rate-limiter:
+ *   Counts events in a sliding time window, independently for each of
+ *   any number of keys (e.g. a destination phone number). This is used
+ *   to cap the rate at which outbound messages are handed to the modem.
+ *   Each event has a weight (e.g. the number of SMS segments in a
+ *   message), which is what's counted; it defaults to one.
+ */
+exports.prototype = {
+
+    /**
+     * @name initialize:
+     *   The `_window` argument is the length of the sliding window,
+     *   in milliseconds; it defaults to one minute.
+     */
+    initialize: function (_window) {
+
+      this._window = (_.isNumber(_window) ? _window : 60000);
+      this._events = {};
+
+      return this;
+    },
+
+    /**
+     * @name count:
+     *   Return the total weight of the events recorded for `_key`
+     *   during the window that ends at `_now` (a number of milliseconds
+     *   since the epoch; defaults to the current time).
+     */
+    count: function (_key, _now) {
+
+      var events = this._prune(_key, _now);
+
+      return _.reduce(events, function (_sum, _event) {
+        return _sum + _event.weight;
+      }, 0);
+    },
+
+    /**
+     * @name allows:
+     *   Return true if one more event for `_key`, of weight `_weight`
+     *   (defaults to one), would stay within `_limit` per window. A limit
+     *   of zero means "no limit". An event that's heavier than the limit
+     *   is allowed only when the window is otherwise empty; without this,
+     *   it could never be allowed at all. The `_pending` argument, if
+     *   provided, is the weight of events that are about to happen, but
+     *   haven't been recorded yet; it's counted as if they had been.
+     */
+    allows: function (_key, _limit, _now, _weight, _pending) {
+
+      if (!_limit) {
+        return true;
+      }
+
+      var count = this.count(_key, _now) + (_pending || 0);
+      var weight = (_.isNumber(_weight) ? _weight : 1);
+
+      return (count <= 0 || count + weight <= _limit);
+    },
+
+    /**
+     * @name record:
+     *   Record a single event for `_key`, at time `_now`, with a
+     *   weight of `_weight` (defaults to one).
+     */
+    record: function (_key, _now, _weight) {
+
+      var now = (_.isNumber(_now) ? _now : Date.now());
+      var weight = (_.isNumber(_weight) ? _weight : 1);
+
+      if (!this._events[_key]) {
+        this._events[_key] = [];
+      }
+
+      this._events[_key].push({ time: now, weight: weight });
+    },
+
+    /**
+     * @name _prune:
+     *   Discard events for `_key` that have fallen out of the window,
+     *   and return the events that remain (or null if none remain).
+     */
+    _prune: function (_key, _now) {
+
+      var events = this._events[_key];
+      var now = (_.isNumber(_now) ? _now : Date.now());
+
+      if (!events) {
+        return null;
+      }
+
+      while (events.length > 0 && events[0].time <= now - this._window) {
+        events.shift();
+      }
+
+      if (events.length <= 0) {
+        delete this._events[_key];
+        return null;
+      }
+
+      return events;
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
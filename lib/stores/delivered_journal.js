@@ -0,0 +1,117 @@
+
+var _ = require('underscore'),
+    journal = require('./journal');
+
+/**
+ * @namespace delivered-journal:
+ *   A persistent ledger of received messages that have already been
+ *   delivered to the `receive` handler, but may still be on the modem;
+ *   this prevents a message from being delivered twice if it couldn't be
+ *   deleted. It's implemented as an append-only journal on local disk, in
+ *   which each line is a JSON object that records the addition or removal
+ *   of a single entry. The journal is replayed (and compacted) by `load`,
+ *   and compacted again whenever enough of its lines are obsolete; see
+ *   `journal.js`.
+ *
+ *   Any object with the same three methods may be supplied to `create`
+ *   (in `main.js`) as the `delivered_store` option. Each entry is an
+ *   object with a `fingerprint` (a string that identifies the message)
+ *   and a `time` (in milliseconds since the epoch). As for the outbound
+ *   store, all methods are synchronous, must not return until the change
+ *   is durable, and report failures by throwing an exception.
+ */
+exports.prototype = {
+
+    /**
+     * @name initialize:
+     *   The `_path` argument is the location of the journal file;
+     *   it is created if it doesn't already exist. The only valid option
+     *   is `compact_threshold`; see `initialize` in `journal.js`.
+     */
+    initialize: function (_path, _options) {
+
+      this._journal = journal.create(_path, {
+        replay: _.bind(this._replay_entry, this),
+        record: function (_entry) {
+          return { op: 'add', entry: _entry };
+        },
+        compact_threshold: (_options || {}).compact_threshold
+      });
+
+      return this;
+    },
+
+    /**
+     * @name load:
+     *   Replay the journal, and return an array of every entry that
+     *   has been added but not yet removed. The journal is then rewritten
+     *   to contain only those entries.
+     */
+    load: function () {
+
+      return this._journal.load();
+    },
+
+    /**
+     * @name add:
+     *   Record that the message identified by `_entry.fingerprint`
+     *   has been delivered.
+     */
+    add: function (_entry) {
+
+      this._append({ op: 'add', entry: _entry });
+    },
+
+    /**
+     * @name remove:
+     *   Forget the message identified by `_fingerprint`; it can no
+     *   longer be received again (e.g. because it has been deleted).
+     */
+    remove: function (_fingerprint) {
+
+      this._append({ op: 'remove', fingerprint: _fingerprint });
+    },
+
+    /**
+     * @name _replay_entry:
+     *   Apply the journal entry `_entry` to `_index`, an object that
+     *   maps fingerprints to entries. The `_order` array records the
+     *   order in which entries were added.
+     */
+    _replay_entry: function (_entry, _index, _order) {
+
+      switch (_entry.op) {
+        case 'add':
+          _order.push(_entry.entry.fingerprint);
+          _index[_entry.entry.fingerprint] = _entry.entry;
+          break;
+        case 'remove':
+          delete _index[_entry.fingerprint];
+          break;
+      }
+    },
+
+    /**
+     * @name _append:
+     *   Append a single entry to the journal, and flush it to disk.
+     */
+    _append: function (_entry) {
+
+      this._journal.append(_entry);
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,253 @@
+
+var fs = require('fs'),
+    _ = require('underscore');
+
+/**
+ * @namespace journal:
+ *   An append-only file on local disk, in which each line is a JSON
+ *   record that describes a single change to a set of items. This is the
+ *   storage used by the bundled stores (e.g. `outbound_journal.js`); each
+ *   store decides what its records mean, by supplying a `replay` function.
+ *
+ *   The current set of items is also kept in memory, so that the file
+ *   can be compacted -- atomically rewritten to contain a single record
+ *   for each item -- whenever it has accumulated enough records that
+ *   no longer matter, as well as when it's loaded. Without this, the file
+ *   of a long-running process would grow without bound.
+ */
+exports.prototype = {
+
+    /**
+     * @name _default_compact_threshold:
+     *   The number of obsolete records that are tolerated before the
+     *   journal is compacted; see `initialize`.
+     */
+    _default_compact_threshold: 1000,
+
+    /**
+     * @name initialize:
+     *   The `_path` argument is the location of the journal file; it
+     *   is created if it doesn't already exist. The `_options.replay`
+     *   function applies a record to `_index` (an object mapping keys to
+     *   items) and `_order` (an array of keys, in the order in which they
+     *   were added; it may contain keys that have since been removed, or
+     *   duplicates). The `_options.record` function returns a record that
+     *   adds `_item`; this is used to compact the journal. The file is
+     *   compacted once the number of obsolete records reaches
+     *   `_options.compact_threshold` (see `_default_compact_threshold`)
+     *   and exceeds the number of items, so that compaction's cost is
+     *   proportional to the number of records appended since the last.
+     */
+    initialize: function (_path, _options) {
+
+      var options = (_options || {});
+
+      if (!_.isString(_path)) {
+        throw new Error('Journal path must be supplied as a string');
+      }
+
+      if (!_.isFunction(options.replay) || !_.isFunction(options.record)) {
+        throw new Error('Journal requires replay and record functions');
+      }
+
+      this._path = _path;
+      this._replay = options.replay;
+      this._record = options.record;
+
+      this._compact_threshold = (
+        _.isNumber(options.compact_threshold) ?
+          options.compact_threshold : this._default_compact_threshold
+      );
+
+      this._index = {};
+      this._order = [];
+      this._records = 0;
+      this._is_loaded = false;
+
+      return this;
+    },
+
+    /**
+     * @name load:
+     *   Replay the journal, and return an array of every item that it
+     *   contains, in the order in which they were added. The journal is
+     *   then rewritten to contain only those items.
+     */
+    load: function () {
+
+      this._index = {};
+      this._order = [];
+
+      this._replay_file(this._index, this._order);
+      this._compact();
+      this._is_loaded = true;
+
+      return this.items();
+    },
+
+    /**
+     * @name read:
+     *   Replay the journal, and return an array of its items, as for
+     *   `load`, but without modifying the file or the items in memory.
+     *   This is safe while another process is appending to the journal.
+     */
+    read: function () {
+
+      var index = {}, order = [];
+
+      this._replay_file(index, order);
+
+      return _.compact(_.map(_.uniq(order), function (_key) {
+        return index[_key];
+      }));
+    },
+
+    /**
+     * @name _replay_file:
+     *   Read every record in the journal, and apply each to `_index`
+     *   and `_order` (see `initialize`), in order.
+     */
+    _replay_file: function (_index, _order) {
+
+      var lines;
+
+      try {
+        lines = fs.readFileSync(this._path, 'utf8').split('\n');
+      } catch (_e) {
+        if (_e.code != 'ENOENT') {
+          throw _e;
+        }
+        lines = [];
+      }
+
+      for (var i = 0, len = lines.length; i < len; ++i) {
+
+        var record;
+
+        if (!lines[i]) {
+          continue;
+        }
+
+        /* Incomplete records:
+            If we crashed part-way through an append, the final line
+            of the journal may be truncated. That change never finished
+            being recorded, and so was never acknowledged; ignore it. */
+
+        try {
+          record = JSON.parse(lines[i]);
+        } catch (_e) {
+          continue;
+        }
+
+        this._replay(record, _index, _order);
+      }
+    },
+
+    /**
+     * @name items:
+     *   Return an array of every item in the journal, in the order
+     *   in which they were added.
+     */
+    items: function () {
+
+      var index = this._index;
+
+      return _.compact(_.map(this._order, function (_key) {
+        return index[_key];
+      }));
+    },
+
+    /**
+     * @name append:
+     *   Append the record `_record` to the journal, and flush it to
+     *   disk. If the journal has been loaded, the record is also applied
+     *   to the items in memory, and the journal is compacted if enough of
+     *   its records are now obsolete.
+     */
+    append: function (_record) {
+
+      var fd = fs.openSync(this._path, 'a');
+
+      try {
+        fs.writeSync(fd, JSON.stringify(_record) + '\n');
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      this._records++;
+
+      if (!this._is_loaded) {
+        return;
+      }
+
+      this._replay(_record, this._index, this._order);
+
+      var live = _.size(this._index);
+      var obsolete = this._records - live;
+
+      if (obsolete < this._compact_threshold || obsolete <= live) {
+        return;
+      }
+
+      /* Runtime compaction:
+          The record has already been made durable, so a failure here
+          mustn't be reported as a failure to record it. The original
+          file is left intact, and we'll try again after the next append. */
+
+      try {
+        this._compact();
+      } catch (_e) {
+        /* Ignored; see above */
+      }
+    },
+
+    /**
+     * @name _compact:
+     *   Atomically replace the journal with one that adds each item,
+     *   and does nothing else. The new journal is written to a temporary
+     *   file, which is then renamed over the original.
+     */
+    _compact: function () {
+
+      var index = this._index;
+      var tmp_path = this._path + '.tmp';
+
+      var order = _.uniq(_.filter(this._order, function (_key) {
+        return _.has(index, _key);
+      }));
+
+      var fd = fs.openSync(tmp_path, 'w');
+
+      try {
+        for (var i = 0, len = order.length; i < len; ++i) {
+          fs.writeSync(
+            fd, JSON.stringify(this._record(index[order[i]])) + '\n'
+          );
+        }
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      fs.renameSync(tmp_path, this._path);
+
+      this._order = order;
+      this._records = order.length;
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,138 @@
+
+var _ = require('underscore'),
+    journal = require('./journal');
+
+/**
+ * @namespace outbound-journal:
+ *   A persistent store for the outbound message queue, implemented as
+ *   an append-only journal on local disk. Each line of the journal file
+ *   is a JSON object that records a single change to the queue: a message
+ *   was added, a message's transmission state changed, or a message was
+ *   removed. The journal is replayed (and then compacted) by `load`,
+ *   and compacted again whenever enough of its entries are obsolete;
+ *   see `journal.js`.
+ *
+ *   Any object with the same four methods may be supplied to `create`
+ *   (in `main.js`) as the `outbound_store` option. All methods are
+ *   synchronous, and must not return until the change is durable; this
+ *   allows `send` to guarantee that a message has been persisted before
+ *   it returns. Failures are reported by throwing an exception.
+ */
+exports.prototype = {
+
+    /**
+     * @name initialize:
+     *   The `_path` argument is the location of the journal file;
+     *   it is created if it doesn't already exist. The only valid option
+     *   is `compact_threshold`; see `initialize` in `journal.js`.
+     */
+    initialize: function (_path, _options) {
+
+      this._journal = journal.create(_path, {
+        replay: _.bind(this._replay_entry, this),
+        record: function (_message) {
+          return { op: 'add', message: _message };
+        },
+        compact_threshold: (_options || {}).compact_threshold
+      });
+
+      return this;
+    },
+
+    /**
+     * @name load:
+     *   Replay the journal, and return an array of every message that
+     *   has been added but not yet removed, in the order they were added.
+     *   The journal is then rewritten to contain only those messages.
+     */
+    load: function () {
+
+      return this._journal.load();
+    },
+
+    /**
+     * @name read:
+     *   Return the messages that `load` would, without rewriting the
+     *   journal; see `read` in `journal.js`. This isn't part of the store
+     *   interface, and is used to inspect the journal of another process.
+     */
+    read: function () {
+
+      return this._journal.read();
+    },
+
+    /**
+     * @name add:
+     *   Record the addition of `_message` to the outbound queue.
+     */
+    add: function (_message) {
+
+      this._append({ op: 'add', message: _message });
+    },
+
+    /**
+     * @name update:
+     *   Record a change in the transmission state of `_message`.
+     */
+    update: function (_message) {
+
+      this._append({ op: 'update', message: _message });
+    },
+
+    /**
+     * @name remove:
+     *   Record the removal of `_message` from the outbound queue.
+     */
+    remove: function (_message) {
+
+      this._append({ op: 'remove', queue_id: _message.queue_id });
+    },
+
+    /**
+     * @name _replay_entry:
+     *   Apply the journal entry `_entry` to `_index`, an object that
+     *   maps queue identifiers to messages. The `_order` array records
+     *   the order in which messages were first added.
+     */
+    _replay_entry: function (_entry, _index, _order) {
+
+      switch (_entry.op) {
+        case 'add':
+          _order.push(_entry.message.queue_id);
+          _index[_entry.message.queue_id] = _entry.message;
+          break;
+        case 'update':
+          if (_index[_entry.message.queue_id]) {
+            _index[_entry.message.queue_id] = _entry.message;
+          }
+          break;
+        case 'remove':
+          delete _index[_entry.queue_id];
+          break;
+      }
+    },
+
+    /**
+     * @name _append:
+     *   Append a single entry to the journal, and flush it to disk.
+     */
+    _append: function (_entry) {
+
+      this._journal.append(_entry);
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,203 @@
+
+var fs = require('fs'),
+    path = require('path'),
+    _ = require('underscore');
+
+/**
+ * @namespace segment-directory:
+ *   A persistent store for the segments of multi-part messages that are
+ *   awaiting reassembly, implemented as a directory on local disk. The
+ *   segments received so far for each message are kept in a single JSON
+ *   file, named after the message's identifier; every change replaces
+ *   that file atomically, so a crash never leaves a partial write behind.
+ *
+ *   Any object with the same methods may be supplied to `create` (in
+ *   `main.js`) as the `segment_store` option; this allows segments to be
+ *   kept in an application's own database. The required methods are
+ *   `add(_segment, _callback)`, `fetch(_id, _callback)` and
+ *   `release(_id, _callback)`; `list(_callback)` is optional, and allows
+ *   the reassembly timeout to apply to segments stored before a restart.
+ *   Each callback takes a node-style error argument, and must not be
+ *   invoked until the change is durable. Segments are plain objects;
+ *   their `timestamp` and `smsc_timestamp` properties may be returned
+ *   as strings, and are converted back to `moment` objects by the caller.
+ */
+exports.prototype = {
+
+    /**
+     * @name initialize:
+     *   The `_path` argument is the location of the directory; it is
+     *   created if it doesn't already exist.
+     */
+    initialize: function (_path) {
+
+      if (!_.isString(_path)) {
+        throw new Error('Segment directory must be supplied as a string');
+      }
+
+      try {
+        fs.mkdirSync(_path);
+      } catch (_e) {
+        if (_e.code != 'EEXIST') {
+          throw _e;
+        }
+      }
+
+      this._path = _path;
+      return this;
+    },
+
+    /**
+     * @name add:
+     *   Store `_segment`, alongside any other segments that share
+     *   its `id`. Duplicates are kept; the caller removes them.
+     */
+    add: function (_segment, _callback) {
+
+      var self = this;
+
+      self._defer(_callback, function () {
+        var segments = self._read(_segment.id);
+        segments.push(_segment);
+        self._write(_segment.id, segments);
+      });
+    },
+
+    /**
+     * @name fetch:
+     *   Yield an array of every segment stored for the message
+     *   identified by `_id`, or the empty array if there are none.
+     */
+    fetch: function (_id, _callback) {
+
+      var self = this;
+
+      self._defer(_callback, function () {
+        return self._read(_id);
+      });
+    },
+
+    /**
+     * @name release:
+     *   Remove every segment stored for the message identified by `_id`.
+     */
+    release: function (_id, _callback) {
+
+      var self = this;
+
+      self._defer(_callback, function () {
+        try {
+          fs.unlinkSync(self._file_for(_id));
+        } catch (_e) {
+          if (_e.code != 'ENOENT') {
+            throw _e;
+          }
+        }
+      });
+    },
+
+    /**
+     * @name list:
+     *   Yield an array of the identifiers of every message that
+     *   has at least one stored segment.
+     */
+    list: function (_callback) {
+
+      var self = this;
+
+      self._defer(_callback, function () {
+        return _.compact(_.map(fs.readdirSync(self._path), function (_f) {
+          var match = _f.match(/^(.+)\.json$/);
+          return (match ? decodeURIComponent(match[1]) : null);
+        }));
+      });
+    },
+
+    /**
+     * @name _defer:
+     *   Run the synchronous function `_fn`, then asynchronously invoke
+     *   `_callback` with either the exception `_fn` threw, or a null
+     *   error argument followed by the value that `_fn` returned.
+     */
+    _defer: function (_callback, _fn) {
+
+      var err = null, rv;
+
+      try {
+        rv = _fn();
+      } catch (_e) {
+        err = _e;
+      }
+
+      setImmediate(function () {
+        return (err ? _callback(err) : _callback(null, rv));
+      });
+    },
+
+    /**
+     * @name _file_for:
+     *   Return the path of the file that holds the segments of the
+     *   message identified by `_id`. Identifiers include the sender's
+     *   address, so they're escaped to produce a safe file name.
+     */
+    _file_for: function (_id) {
+
+      return path.join(this._path, encodeURIComponent(_id) + '.json');
+    },
+
+    /**
+     * @name _read:
+     */
+    _read: function (_id) {
+
+      var data;
+
+      try {
+        data = fs.readFileSync(this._file_for(_id), 'utf8');
+      } catch (_e) {
+        if (_e.code != 'ENOENT') {
+          throw _e;
+        }
+        return [];
+      }
+
+      return JSON.parse(data);
+    },
+
+    /**
+     * @name _write:
+     *   Atomically replace the stored segments for `_id` with the array
+     *   `_segments`. The new contents are written to a temporary file,
+     *   which is flushed to disk and then renamed over the original.
+     */
+    _write: function (_id, _segments) {
+
+      var file = this._file_for(_id);
+      var tmp_path = file + '.tmp';
+      var fd = fs.openSync(tmp_path, 'w');
+
+      try {
+        fs.writeSync(fd, JSON.stringify(_segments));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      fs.renameSync(tmp_path, file);
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,207 @@
+
+var _ = require('underscore');
+
+/**
+ * @name concatenation:
+ *   Return the decoded value of a concatenation element, or null if
+ *   its segment numbers are invalid. Section 9.2.3.24.1 requires that
+ *   the receiver ignore such an element.
+ */
+var concatenation = function (_reference, _bits, _total, _sequence) {
+
+  if (_total < 1 || _sequence < 1 || _sequence > _total) {
+    return null;
+  }
+
+  return {
+    reference: _reference, reference_bits: _bits,
+    total: _total, sequence: _sequence
+  };
+};
+
+/**
+ * @name decoders:
+ *   Maps the identifier of each information element we understand (see
+ *   3GPP TS 23.040, section 9.2.3.24) to an object with the element's
+ *   name, its required data length in octets, and a function that returns
+ *   the element's decoded value, given an array of the element's octets.
+ *   A decoder returns null if the element's content is invalid.
+ */
+var decoders = {
+
+  /* Concatenated short message, 8-bit reference */
+  0x00: {
+    name: 'concatenation', length: 3,
+    decode: function (_d) {
+      return concatenation(_d[0], 8, _d[1], _d[2]);
+    }
+  },
+
+  /* Special SMS message indication (e.g. voicemail waiting) */
+  0x01: {
+    name: 'special_message', length: 2,
+    decode: function (_d) {
+      var types = [ 'voicemail', 'fax', 'email', 'other' ];
+      return {
+        type: types[_d[0] & 0x03], store: !!(_d[0] & 0x80), count: _d[1]
+      };
+    }
+  },
+
+  /* Application port addressing, 8-bit ports */
+  0x04: {
+    name: 'ports', length: 2,
+    decode: function (_d) {
+      return { destination: _d[0], source: _d[1], port_bits: 8 };
+    }
+  },
+
+  /* Application port addressing, 16-bit ports */
+  0x05: {
+    name: 'ports', length: 4,
+    decode: function (_d) {
+      return {
+        destination: (_d[0] << 8) | _d[1],
+        source: (_d[2] << 8) | _d[3], port_bits: 16
+      };
+    }
+  },
+
+  /* Concatenated short message, 16-bit reference */
+  0x08: {
+    name: 'concatenation', length: 4,
+    decode: function (_d) {
+      return concatenation((_d[0] << 8) | _d[1], 16, _d[2], _d[3]);
+    }
+  },
+
+  /* National language single shift table */
+  0x24: {
+    name: 'single_shift', length: 1,
+    decode: function (_d) {
+      return { language: _d[0] };
+    }
+  },
+
+  /* National language locking shift table */
+  0x25: {
+    name: 'locking_shift', length: 1,
+    decode: function (_d) {
+      return { language: _d[0] };
+    }
+  }
+};
+
+/**
+ * @name to_octets:
+ *   Convert `_header` -- a string of hexadecimal digits, a `Buffer`,
+ *   or an array of numbers -- to an array of numbers. Throws if
+ *   `_header` isn't in any of these forms.
+ */
+var to_octets = function (_header) {
+
+  if (Buffer.isBuffer(_header)) {
+    return Array.prototype.slice.call(_header);
+  }
+
+  if (_.isArray(_header)) {
+    return _header;
+  }
+
+  if (!_.isString(_header) || !/^([0-9a-f]{2})+$/i.test(_header)) {
+    throw create_error(_header, 'not a string of hexadecimal octets');
+  }
+
+  return _.map(_header.match(/../g), function (_x) {
+    return parseInt(_x, 16);
+  });
+};
+
+/**
+ * @name to_hex:
+ */
+var to_hex = function (_octets) {
+
+  return _.map(_octets, function (_o) {
+    return (_o < 16 ? '0' : '') + _o.toString(16);
+  }).join('');
+};
+
+/**
+ * @name create_error:
+ */
+var create_error = function (_header, _reason) {
+
+  var rv = new Error('Invalid user data header: ' + _reason);
+
+  rv.code = 'INVALID_UDH';
+  rv.header = _header;
+
+  return rv;
+};
+
+/**
+ * @name parse:
+ *   Decode the User Data Header `_header` (including its leading length
+ *   octet), as a string of hexadecimal digits, a `Buffer`, or an array of
+ *   octets. Returns an object with an `elements` property -- an array of
+ *   every information element, each with `iei` (the identifier), `data`
+ *   (its content, in hexadecimal) and, if it's understood, `name` and
+ *   `value` properties. The value of each understood element is also
+ *   provided as a property of the returned object itself, named after the
+ *   element: `concatenation` (with `reference`, `reference_bits`, `total`
+ *   and `sequence`), `ports` (with `destination`, `source` and
+ *   `port_bits`), `special_message`, `single_shift` and `locking_shift`.
+ *   Malformed headers cause an exception with a `code` of `INVALID_UDH`.
+ */
+exports.parse = function (_header) {
+
+  var octets = to_octets(_header);
+
+  if (octets.length < 1 || octets[0] != octets.length - 1) {
+    throw create_error(_header, 'length octet does not match header');
+  }
+
+  var rv = { elements: [] };
+
+  for (var i = 1, len = octets.length; i < len; ) {
+
+    if (i + 2 > len) {
+      throw create_error(_header, 'truncated information element');
+    }
+
+    var iei = octets[i], length = octets[i + 1];
+    var data = octets.slice(i + 2, i + 2 + length);
+
+    if (data.length != length) {
+      throw create_error(_header, 'truncated information element');
+    }
+
+    var element = { iei: iei, data: to_hex(data) };
+    var decoder = decoders[iei];
+
+    /* Unknown or malformed elements:
+        These are kept in `elements`, but not decoded; a receiver
+        must ignore elements that it doesn't understand. */
+
+    var value = (
+      decoder && decoder.length == length ? decoder.decode(data) : null
+    );
+
+    if (value) {
+      element.name = decoder.name;
+      element.value = value;
+
+      if (!rv[decoder.name]) {
+        rv[decoder.name] = value;
+      }
+    }
+
+    rv.elements.push(element);
+    i += 2 + length;
+  }
+
+  return rv;
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,256 @@
+
+var http = require('http'),
+    https = require('https'),
+    _ = require('underscore'),
+    errors = require('./errors'),
+    logger = require('./logger');
+
+/**
+ * @namespace webhook:
+ *   Posts JSON payloads to a configured URL; a gateway instance (see
+ *   `main.js`) uses this to deliver inbound messages to a service that
+ *   isn't written in JavaScript, and (optionally) to report transmission
+ *   results and errors. Any 2xx response indicates success; any other
+ *   response, a timeout, or a connection error is a failure.
+ */
+exports.prototype = {
+
+    /**
+     * @name _module_name:
+     */
+    _module_name: 'node-gammu-json:webhook',
+
+    /**
+     * @name _log:
+     */
+    _log: logger.log,
+
+    /**
+     * @name initialize:
+     *   Valid options are `url` (required; `http` or `https`), `headers`
+     *   (an object containing extra request headers, e.g. for
+     *   authentication), `timeout` (in seconds; defaults to ten),
+     *   `retry_delay` (the number of seconds to wait after the first
+     *   failure; defaults to five, and doubles with each failure),
+     *   `max_retry_delay` (defaults to five minutes), `transmit` (a
+     *   boolean; if true, transmission results and errors are posted
+     *   too), `attempts` (the number of times each of these is attempted;
+     *   defaults to three), and `logger` or `debug` (see `from_options`
+     *   in `logger.js`).
+     */
+    initialize: function (_options) {
+
+      var options = (_options || {});
+      var url;
+
+      try {
+        url = new URL(options.url);
+      } catch (_e) {
+        throw new Error('Webhook URL must be a valid absolute URL');
+      }
+
+      if (url.protocol != 'http:' && url.protocol != 'https:') {
+        throw new Error('Webhook URL must use either http or https');
+      }
+
+      this._url = url;
+      this._headers = (options.headers || {});
+      this._is_transmit_enabled = !!options.transmit;
+
+      this._timeout = (
+        _.isNumber(options.timeout) ? options.timeout * 1000 : 10000
+      );
+
+      this._retry_delay = (
+        _.isNumber(options.retry_delay) ? options.retry_delay * 1000 : 5000
+      );
+
+      this._max_retry_delay = (
+        _.isNumber(options.max_retry_delay) ?
+          options.max_retry_delay * 1000 : 300000
+      );
+
+      this._attempts = (
+        _.isNumber(options.attempts) ? options.attempts : 3
+      );
+
+      this._backoff = {};
+      this._logger = logger.from_options(options);
+
+      return this;
+    },
+
+    /**
+     * @name is_transmit_enabled:
+     *   Return true if transmission results and errors should be posted.
+     */
+    is_transmit_enabled: function () {
+
+      return this._is_transmit_enabled;
+    },
+
+    /**
+     * @name deliver:
+     *   Post `_payload`, which belongs to the item identified by `_key`,
+     *   unless a previous failure for the same item means that it isn't
+     *   yet time to retry. Then, invoke `_callback` with a node-style
+     *   error argument; if the post was skipped, the error's `code` is
+     *   `WEBHOOK_BACKOFF`. The caller is responsible for retrying.
+     */
+    deliver: function (_key, _payload, _callback) {
+
+      var self = this;
+      var now = Date.now();
+      var backoff = self._backoff[_key];
+
+      self._prune_backoff(now);
+
+      if (backoff && backoff.retry_at > now) {
+        var e = new Error('Webhook delivery is waiting to be retried');
+        e.code = 'WEBHOOK_BACKOFF';
+        return setImmediate(function () {
+          _callback(e);
+        });
+      }
+
+      self.post(_payload, function (_err) {
+
+        if (!_err) {
+          delete self._backoff[_key];
+          return _callback();
+        }
+
+        var delay = (
+          backoff ?
+            Math.min(backoff.delay * 2, self._max_retry_delay) :
+            self._retry_delay
+        );
+
+        self._backoff[_key] = {
+          delay: delay, retry_at: Date.now() + delay, failed_at: Date.now()
+        };
+
+        return _callback(_err);
+      });
+    },
+
+    /**
+     * @name notify:
+     *   Post `_payload`, retrying with backoff up to the configured
+     *   number of attempts. This is used for notifications, which aren't
+     *   retried by anyone else; `_callback` is invoked with an error
+     *   argument once the payload is posted, or all attempts have failed.
+     */
+    notify: function (_payload, _callback) {
+
+      var self = this;
+      var attempt = 1, delay = self._retry_delay;
+
+      var try_post = function () {
+        self.post(_payload, function (_err) {
+
+          if (!_err || attempt >= self._attempts) {
+            return _callback(_err);
+          }
+
+          attempt++;
+          setTimeout(try_post, delay).unref();
+          delay = Math.min(delay * 2, self._max_retry_delay);
+        });
+      };
+
+      try_post();
+    },
+
+    /**
+     * @name post:
+     *   Post `_payload`, serialized as JSON, once. The `_callback`
+     *   argument is invoked with a node-style error argument; if the
+     *   endpoint responded with an unsuccessful status, the error has a
+     *   `code` of `WEBHOOK_FAILED`, and the status as `status_code`.
+     */
+    post: function (_payload, _callback) {
+
+      var self = this;
+      var is_finished = false;
+
+      var finish = function (_err) {
+        if (!is_finished) {
+          is_finished = true;
+          _callback(_err || null);
+        }
+      };
+
+      var body = JSON.stringify(_payload, function (_k, _v) {
+        return (_v instanceof Error ? errors.serialize(_v) : _v);
+      });
+
+      var transport = (self._url.protocol == 'https:' ? https : http);
+
+      var req = transport.request(self._url, {
+        method: 'POST',
+        headers: _.extend({
+          'Content-Type': 'application/json; charset=utf-8',
+          'Content-Length': Buffer.byteLength(body)
+        }, self._headers)
+      });
+
+      req.setTimeout(self._timeout, function () {
+        req.destroy(new Error('Webhook request timed out'));
+      });
+
+      req.on('error', finish);
+
+      req.on('response', function (_res) {
+
+        _res.resume();
+
+        if (_res.statusCode >= 200 && _res.statusCode < 300) {
+          return finish();
+        }
+
+        var e = new Error(
+          'Webhook endpoint responded with status ' + _res.statusCode
+        );
+
+        e.code = 'WEBHOOK_FAILED';
+        e.status_code = _res.statusCode;
+
+        self._log('warn', 'webhook.failed', { status_code: _res.statusCode });
+        finish(e);
+      });
+
+      req.end(body);
+    },
+
+    /**
+     * @name _prune_backoff:
+     *   Forget failures that are long past; the items they belong to
+     *   were presumably delivered some other way, or have disappeared.
+     */
+    _prune_backoff: function (_now) {
+
+      var cutoff = _now - this._max_retry_delay * 2;
+
+      for (var k in this._backoff) {
+        if (this._backoff[k].failed_at < cutoff) {
+          delete this._backoff[k];
+        }
+      }
+    }
+};
+
+/**
+ * @name create:
+ */
+exports.create = function (/* ... */) {
+
+  var klass = function (_arguments) {
+    return this.initialize.apply(this, _arguments);
+  };
+
+  klass.prototype = _.extend({}, exports.prototype);
+  return new klass(arguments);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
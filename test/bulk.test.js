@@ -0,0 +1,88 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    _ = require('underscore'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+describe('send_bulk', function () {
+
+  it('fills in the template for each recipient', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = helpers.create_gateway(sim);
+
+    instance.send_bulk([
+      '+15555550100',
+      { to: '+15555550101', substitutions: { name: 'Ann' } }
+    ], 'Hello {{ name }}', function (_err, _campaign) {
+
+      assert.ifError(_err);
+      assert.equal(_campaign.results[0].status, 'failed');
+      assert.match(_campaign.results[0].error.message, /`name`/);
+      assert.equal(_campaign.results[1].status, 'sent');
+      assert.deepEqual(_.pluck(sim.transmitted(), 'content'), [ 'Hello Ann' ]);
+
+      instance.stop(function () {
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+
+  it('reports an aggregate result', function (_t, _done) {
+
+    var recipients = [];
+
+    var sim = simulator.create({
+      send_failure: function (_to) {
+        return (_to == '+15555550102');
+      }
+    });
+
+    var instance = helpers.create_gateway(sim, {
+      max_transmit_attempts: 1, phone_numbers: true
+    });
+
+    var campaign = instance.send_bulk([
+      '+15555550100', '+15555550101', '+15555550102', 'not a number'
+    ], 'Hello');
+
+    campaign.on('recipient', function (_entry) {
+      recipients.push(_entry.index);
+    });
+
+    campaign.on('complete', function (_summary) {
+
+      assert.deepEqual(_summary, {
+        id: campaign.id, total: 4, pending: 0, succeeded: 2, failed: 2
+      });
+
+      assert.deepEqual(recipients.sort(), [ 0, 1, 2, 3 ]);
+      assert.equal(campaign.results[3].error.code, 'INVALID_PHONE_NUMBER');
+
+      instance.stop(function () {
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+
+  it('completes immediately with no recipients', function (_t, _done) {
+
+    var instance = helpers.create_gateway(simulator.create());
+
+    instance.send_bulk([], 'Hello').on('complete', function (_summary) {
+      assert.equal(_summary.total, 0);
+      _done();
+    });
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,206 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    fs = require('fs'),
+    _ = require('underscore'),
+    cli = require('../lib/cli'),
+    outbound_journal = require('../lib/stores/outbound_journal'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+/**
+ * @name run:
+ *   Run the command-line tool with the arguments `_argv`, using the
+ *   configuration `_config` in place of a configuration file. Then
+ *   invoke `_callback` with the exit status, and everything written to
+ *   `stdout` and `stderr`.
+ */
+var run = function (_argv, _config, _callback) {
+
+  var out = '', err = '';
+
+  var tool = cli.create({
+    stdout: { write: function (_s) { out += _s; } },
+    stderr: { write: function (_s) { err += _s; } }
+  });
+
+  tool._load_config = function () {
+    return _.extend({ interval: 0.01 }, _config);
+  };
+
+  tool.run(_argv, function (_status) {
+    _callback(_status, out, err);
+  });
+};
+
+describe('arguments', function () {
+
+  it('reports usage errors', function (_t, _done) {
+
+    run([ 'explode' ], {}, function (_status, _out, _err) {
+
+      assert.equal(_status, 2);
+      assert.match(_err, /Unknown command `explode`/);
+
+      run([ 'send', '+15555550100' ], {}, function (_status, _out, _err) {
+        assert.equal(_status, 2);
+        assert.match(_err, /Usage: send <to> <text>/);
+        _done();
+      });
+    });
+  });
+
+  it('prints the effective configuration', function (_t, _done) {
+
+    run([ 'config', '--json' ], {}, function (_status, _out) {
+      assert.equal(_status, 0);
+      assert.equal(JSON.parse(_out).transmit_batch_size, 64);
+      _done();
+    });
+  });
+});
+
+describe('list', function () {
+
+  it('leaves everything on the device', function (_t, _done) {
+
+    var sim = simulator.create();
+
+    /* Abandoned segment:
+        This is old enough to be timed out (and deleted) by the
+        configured reassembly timeout, which `list` must ignore. */
+
+    sim.inject('+15555550100', 'Hello');
+    sim.inject_segment('+15555550101', 'Part', 1, 2, {
+      reference: 4, timestamp: new Date(Date.now() - 60000)
+    });
+
+    run([ 'list', '--json' ], {
+      backend: sim, reassembly_timeout: 1
+    }, function (_status, _out) {
+
+      var messages = JSON.parse(_out);
+
+      assert.equal(_status, 0);
+      assert.equal(messages.length, 1);
+      assert.equal(messages[0].content, 'Hello');
+      assert.deepEqual(sim.stored(), [ 1, 2 ]);
+      _done();
+    });
+  });
+
+  it('deletes messages if asked to', function (_t, _done) {
+
+    var sim = simulator.create();
+
+    sim.inject('+15555550100', 'Hello');
+
+    run([ 'list', '--delete' ], { backend: sim }, function (_status, _out) {
+      assert.equal(_status, 0);
+      assert.match(_out, /\+15555550100.*: Hello\n$/);
+      assert.deepEqual(sim.stored(), []);
+      _done();
+    });
+  });
+});
+
+describe('send', function () {
+
+  var command_path = helpers.temporary_path('gammu-json');
+
+  /* Stand-in for gammu-json:
+      Reports that every message was sent, as the real command does,
+      without any information about the individual segments. */
+
+  fs.writeFileSync(
+    command_path,
+    '#!/bin/sh\necho \'[{"index":1,"result":"success"}]\'\n'
+  );
+
+  fs.chmodSync(command_path, '755');
+
+  it('reports the segments of a message sent with gammu-json',
+      function (_t, _done) {
+
+    run([ 'send', '+15555550100', 'Hello' ], {
+      backend: 'gammu-json', backend_options: { command: command_path }
+    }, function (_status, _out) {
+      assert.equal(_status, 0);
+      assert.match(_out, / to \+15555550100 \(1 segment\)/);
+      assert.doesNotMatch(_out, /undefined/);
+      _done();
+    });
+  });
+
+  it('gives up if the backend fails', function (_t, _done) {
+
+    run([ 'send', '--json', '+15555550100', 'Hello' ], {
+      backend: 'gammu-json',
+      backend_options: { command: helpers.temporary_path('missing') }
+    }, function (_status, _out) {
+      assert.equal(_status, 1);
+      assert.equal(JSON.parse(_out).error.code, 'SUBPROCESS_SPAWN_FAILED');
+      _done();
+    });
+  });
+});
+
+describe('daemon stores', function () {
+
+  var journal_path = helpers.temporary_path('cli-outbound.log');
+
+  /* Daemon's journal:
+      One message that's still queued, and one that was removed,
+      as the running daemon would have left them. */
+
+  var prepare_journal = function () {
+
+    var store = outbound_journal.create(journal_path);
+
+    fs.writeFileSync(journal_path, '');
+    store.add({ queue_id: 'q1', to: '+15555550199', content: 'Queued' });
+    store.add({ queue_id: 'q2', to: '+15555550199', content: 'Sent' });
+    store.remove({ queue_id: 'q2' });
+
+    return fs.readFileSync(journal_path, 'utf8');
+  };
+
+  it('are not used by a one-off send', function (_t, _done) {
+
+    var sim = simulator.create();
+    var before = prepare_journal();
+
+    run([ 'send', '+15555550100', 'Hello' ], {
+      backend: sim, outbound_journal: journal_path
+    }, function (_status) {
+      assert.equal(_status, 0);
+      assert.deepEqual(_.pluck(sim.transmitted(), 'to'), [ '+15555550100' ]);
+      assert.equal(fs.readFileSync(journal_path, 'utf8'), before);
+      _done();
+    });
+  });
+
+  it('are read, but not modified, by queue', function (_t, _done) {
+
+    var before = prepare_journal();
+
+    run([ 'queue', '--json' ], {
+      outbound_journal: journal_path
+    }, function (_status, _out) {
+
+      var state = JSON.parse(_out);
+
+      assert.equal(_status, 0);
+      assert.deepEqual(_.pluck(state.outbound, 'queue_id'), [ 'q1' ]);
+      assert.deepEqual(state.deletion, []);
+      assert.equal(fs.readFileSync(journal_path, 'utf8'), before);
+      _done();
+    });
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,93 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    fs = require('fs'),
+    config = require('../lib/config'),
+    gateway = require('../lib/main'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+describe('validate', function () {
+
+  it('supplies defaults for omitted options', function () {
+
+    var rv = config.validate({ interval: 2, max_segments: null });
+
+    assert.equal(rv.interval, 2);
+    assert.equal(rv.backend, 'gammu-json');
+    assert.equal(rv.transmit_batch_size, 64);
+    assert.equal(rv.inbound_history, 0);
+    assert.equal(rv.max_segments, undefined);
+    assert.equal(config.validate({ http_api: {} }).inbound_history, 100);
+  });
+
+  it('reports every problem at once', function () {
+
+    assert.throws(function () {
+      config.validate({ intreval: 5, interval: 0, priority_aging: 'x' });
+    }, function (_e) {
+      assert.equal(_e.code, 'INVALID_CONFIG');
+      assert.equal(_e.problems.length, 3);
+      assert.match(_e.message, /`intreval` .*did you mean `interval`/);
+      assert.match(_e.message, /`interval` must be a number greater than 0/);
+      assert.match(_e.message, /`priority_aging` must be a number/);
+      return true;
+    });
+  });
+
+  it('is applied by create', function () {
+
+    assert.throws(function () {
+      gateway.create({ transmit_batch_size: 1.5 });
+    }, { code: 'INVALID_CONFIG' });
+  });
+});
+
+describe('load', function () {
+
+  it('lets the environment override the file', function () {
+
+    var path = helpers.temporary_path('config.json');
+
+    fs.writeFileSync(path, JSON.stringify({
+      interval: 10, transliterate: false
+    }));
+
+    var rv = config.load(path, {
+      NODE_GAMMU_JSON_TRANSLITERATE: 'true',
+      NODE_GAMMU_JSON_HTTP_API: '{ "port": 9000 }',
+      OTHER: 'ignored'
+    });
+
+    assert.deepEqual(rv, {
+      interval: 10, transliterate: true, http_api: { port: 9000 }
+    });
+  });
+
+  it('rejects misnamed or malformed variables', function () {
+
+    assert.throws(function () {
+      config.load_environment({ NODE_GAMMU_JSON_INTERVL: '5' });
+    }, /`NODE_GAMMU_JSON_INTERVL` is not a valid option/);
+
+    assert.throws(function () {
+      config.load_environment({ NODE_GAMMU_JSON_INTERVAL: 'soon' });
+    }, /must be a number/);
+  });
+
+  it('refuses programmatic options in a file', function () {
+
+    var path = helpers.temporary_path('programmatic.json');
+
+    fs.writeFileSync(path, JSON.stringify({ outbound_store: {} }));
+
+    assert.throws(function () {
+      config.load_file(path);
+    }, /can only be supplied to `create` as an object/);
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,103 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    fs = require('fs'),
+    _ = require('underscore'),
+    delivered_journal = require('../lib/stores/delivered_journal'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+var journal_path = function (_name) {
+  return helpers.temporary_path('delivered-' + _name + '.log');
+};
+
+after_each(helpers.stop_all);
+
+describe('delivered journal', function () {
+
+  it('replays additions and removals', function () {
+
+    var file = journal_path('replay');
+    var store = delivered_journal.create(file);
+
+    store.load();
+    store.add({ fingerprint: 'a', time: 1 });
+    store.add({ fingerprint: 'b', time: 2 });
+    store.remove('a');
+
+    assert.deepEqual(delivered_journal.create(file).load(), [
+      { fingerprint: 'b', time: 2 }
+    ]);
+  });
+
+  it('compacts while running', function () {
+
+    var file = journal_path('runtime');
+
+    var store = delivered_journal.create(file, { compact_threshold: 10 });
+
+    store.load();
+
+    for (var i = 0; i < 200; ++i) {
+      store.add({ fingerprint: 'f' + i, time: i });
+      store.remove('f' + i);
+    }
+
+    var lines = _.compact(fs.readFileSync(file, 'utf8').split('\n'));
+
+    assert.ok(lines.length <= 25);
+    assert.deepEqual(delivered_journal.create(file).load(), []);
+  });
+});
+
+describe('gateway', function () {
+
+  it('delivers a message only once across restarts', function (_t, _done) {
+
+    var received = [];
+    var file = journal_path('restart');
+    var sim = simulator.create();
+
+    var receive = function (_message, _callback) {
+      received.push(_message.content);
+      _callback();
+    };
+
+    /* Undeletable message:
+        The first instance can't delete the message once it's been
+        delivered, so it's still on the modem after the restart. */
+
+    sim.delete = function (_locations, _callback) {
+      _callback(new Error('Modem is busy'));
+    };
+
+    var first = helpers.create_gateway(sim, { delivered_journal: file });
+
+    sim.inject('+15555550100', 'Hello');
+    first.on('receive', receive);
+
+    helpers.run_once(first, function () {
+
+      assert.deepEqual(received, [ 'Hello' ]);
+      assert.deepEqual(sim.stored(), [ 1 ]);
+
+      delete sim.delete;
+
+      var second = helpers.create_gateway(sim, { delivered_journal: file });
+
+      second.on('receive', receive);
+
+      helpers.run_until(second, function () {
+        return (sim.stored().length <= 0);
+      }, function () {
+        assert.deepEqual(received, [ 'Hello' ]);
+        assert.deepEqual(delivered_journal.create(file).load(), []);
+        _done();
+      });
+    });
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
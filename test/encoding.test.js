@@ -0,0 +1,154 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    encoding = require('../lib/encoding'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+/**
+ * @name repeat:
+ *   Return a string containing `_count` copies of `_text`.
+ */
+var repeat = function (_text, _count) {
+
+  return new Array(_count + 1).join(_text);
+};
+
+describe('analyze', function () {
+
+  it('uses GSM for GSM characters', function () {
+
+    var rv = encoding.analyze(repeat('a', 160));
+
+    assert.equal(rv.encoding, 'gsm');
+    assert.equal(rv.length, 160);
+    assert.equal(rv.segments, 1);
+    assert.equal(rv.remaining, 0);
+    assert.equal(encoding.analyze(repeat('a', 161)).segments, 2);
+  });
+
+  it('counts extension characters twice', function () {
+
+    var rv = encoding.analyze(repeat('€', 80));
+
+    assert.equal(rv.encoding, 'gsm');
+    assert.equal(rv.length, 160);
+    assert.equal(rv.segments, 1);
+    assert.equal(encoding.analyze(repeat('€', 81)).segments, 2);
+  });
+
+  it('uses UCS-2 for anything else', function () {
+
+    var rv = encoding.analyze('Hello ' + repeat('☺', 64));
+
+    assert.equal(rv.encoding, 'ucs2');
+    assert.equal(rv.length, 70);
+    assert.equal(rv.segments, 1);
+    assert.deepEqual(rv.non_gsm_characters, [ '☺' ]);
+    assert.equal(encoding.analyze(repeat('☺', 71)).segments, 2);
+  });
+
+  it('rejects anything but a string', function () {
+
+    assert.throws(function () {
+      encoding.analyze(null);
+    }, /must be supplied as a string/);
+  });
+});
+
+describe('split', function () {
+
+  it('never splits a character across segments', function () {
+
+    var emoji = '😀';
+    var parts = encoding.split('a' + repeat(emoji, 40));
+
+    assert.deepEqual(parts, [ 'a' + repeat(emoji, 33), repeat(emoji, 7) ]);
+    assert.equal(encoding.split('a' + repeat('€', 80)).length, 2);
+    assert.equal(encoding.split('a' + repeat('€', 80))[0].length, 77);
+  });
+});
+
+describe('transliterate', function () {
+
+  it('replaces characters that have GSM equivalents', function () {
+
+    var rv = encoding.transliterate('\u201cCaf\u00e9\u201d \u2014 na\u00efve');
+
+    assert.equal(rv.text, '"Café" - naive');
+    assert.deepEqual(rv.unmapped, []);
+    assert.deepEqual(rv.substitutions, [
+      { character: '\u201c', replacement: '"', count: 1 },
+      { character: '\u201d', replacement: '"', count: 1 },
+      { character: '\u2014', replacement: '-', count: 1 },
+      { character: '\u00ef', replacement: 'i', count: 1 }
+    ]);
+  });
+
+  it('keeps characters that have no equivalent', function () {
+
+    var rv = encoding.transliterate('Hi \u263a');
+
+    assert.equal(rv.text, 'Hi \u263a');
+    assert.deepEqual(rv.unmapped, [ '\u263a' ]);
+    assert.equal(encoding.analyze(rv.text).encoding, 'ucs2');
+  });
+});
+
+describe('gateway', function () {
+
+  it('records the analysis on the queued message', function () {
+
+    var instance = helpers.create_gateway(simulator.create());
+
+    instance.send('+15555550100', repeat('a', 200));
+
+    var queued = instance.outbound_queue()[0];
+
+    assert.equal(queued.encoding, 'gsm');
+    assert.equal(queued.segments, 2);
+  });
+
+  it('transliterates only if asked to', function () {
+
+    var instance = helpers.create_gateway(simulator.create(), {
+      transliterate: true
+    });
+
+    instance.send('+15555550100', 'It\u2019s');
+    instance.send('+15555550100', 'It\u2019s', { transliterate: false });
+
+    var queued = instance.outbound_queue();
+
+    assert.equal(queued[0].content, "It's");
+    assert.equal(queued[0].content_original, 'It\u2019s');
+    assert.equal(queued[0].encoding, 'gsm');
+    assert.equal(queued[0].substitutions.length, 1);
+    assert.equal(queued[1].content, 'It\u2019s');
+    assert.equal(queued[1].encoding, 'ucs2');
+  });
+
+  it('refuses messages that need too many segments', function () {
+
+    var instance = helpers.create_gateway(simulator.create(), {
+      max_segments: 1
+    });
+
+    assert.throws(function () {
+      instance.send('+15555550100', repeat('a', 161));
+    }, function (_e) {
+      assert.equal(_e.code, 'TOO_MANY_SEGMENTS');
+      assert.equal(_e.analysis.segments, 2);
+      return true;
+    });
+
+    instance.send('+15555550100', repeat('a', 161), { max_segments: 2 });
+    assert.equal(instance.outbound_queue().length, 1);
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
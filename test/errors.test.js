@@ -0,0 +1,38 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    assert = require('assert'),
+    gateway = require('../lib/main'),
+    errors = require('../lib/errors');
+
+describe('serialize', function () {
+
+  it('keeps the message, code, scope and other properties', function () {
+
+    var e = new Error('Message expired');
+
+    e.code = 'MESSAGE_EXPIRED';
+    e.scope = 'transmit';
+    e.parts_unsent = [ 2 ];
+
+    assert.deepEqual(errors.serialize(e), {
+      message: 'Message expired', code: 'MESSAGE_EXPIRED',
+      scope: 'transmit', parts_unsent: [ 2 ]
+    });
+  });
+
+  it('uses null for a missing code or scope', function () {
+
+    var rv = errors.serialize(new Error('Failed'));
+
+    assert.deepEqual(rv, { message: 'Failed', code: null, scope: null });
+    assert.equal(rv.stack, undefined);
+  });
+
+  it('is exported by the main module', function () {
+
+    assert.equal(gateway.serialize_error, errors.serialize);
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
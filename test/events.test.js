@@ -0,0 +1,102 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+describe('notification events', function () {
+
+  it('call every listener, in order', function (_t, _done) {
+
+    var calls = [];
+    var instance = helpers.create_gateway(simulator.create());
+
+    instance.on('transmit', function () { calls.push('first'); });
+    instance.on('transmit', function () { calls.push('second'); });
+    instance.once('transmit', function () { calls.push('once'); });
+
+    instance.send('+15555550100', 'One');
+    instance.send('+15555550101', 'Two');
+
+    helpers.run_until(instance, function () {
+      return (calls.length >= 5);
+    }, function () {
+      assert.deepEqual(calls, [ 'first', 'second', 'once', 'first', 'second' ]);
+      _done();
+    });
+  });
+
+  it('can be removed individually', function () {
+
+    var instance = helpers.create_gateway(simulator.create());
+    var listener = function () {};
+
+    instance.on('queue_run', listener);
+    instance.on('queue_run', function () {});
+    instance.off('queue_run', listener);
+    assert.equal(instance.listenerCount('queue_run'), 1);
+  });
+
+  it('accept an object mapping events to listeners', function () {
+
+    var instance = helpers.create_gateway(simulator.create());
+
+    instance.on({
+      transmit: function () {}, error: function () {}
+    });
+
+    assert.equal(instance.listenerCount('transmit'), 1);
+    assert.equal(instance.listenerCount('error'), 1);
+  });
+
+  it('reject unknown event names', function () {
+
+    var instance = helpers.create_gateway(simulator.create());
+
+    assert.throws(function () {
+      instance.on('recieve', function () {});
+    }, /Invalid event/);
+  });
+});
+
+describe('acknowledgment events', function () {
+
+  it('replace the previous handler', function (_t, _done) {
+
+    var calls = [];
+    var sim = simulator.create();
+    var instance = helpers.create_gateway(sim);
+
+    sim.inject('+15555550100', 'Hello');
+
+    instance.on('receive', function (_m, _fn) {
+      calls.push('first');
+      _fn();
+    });
+
+    instance.on('receive', function (_m, _fn) {
+      calls.push('second');
+      _fn();
+    });
+
+    helpers.run_once(instance, function () {
+      assert.deepEqual(calls, [ 'second' ]);
+      _done();
+    });
+  });
+
+  it('cannot be handled once', function () {
+
+    var instance = helpers.create_gateway(simulator.create());
+
+    assert.throws(function () {
+      instance.once('receive_segment', function () {});
+    }, /cannot be handled once/);
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,192 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    fs = require('fs'),
+    _ = require('underscore'),
+    metrics = require('../lib/metrics'),
+    gammu_json = require('../lib/backends/gammu_json'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+/**
+ * @name create_command:
+ *   Write a shell script named `_name`, whose body is `_script`, to
+ *   the temporary directory, and make it executable. Then return a
+ *   backend that runs it in place of `gammu-json`, with the options
+ *   `_options`.
+ */
+var create_command = function (_name, _script, _options) {
+
+  var path = helpers.temporary_path(_name);
+
+  fs.writeFileSync(path, '#!/bin/sh\n' + _script + '\n');
+  fs.chmodSync(path, '755');
+
+  return gammu_json.create(_.extend({ command: path }, _options));
+};
+
+describe('unsupported options', function () {
+
+  var backend = gammu_json.create({ command: '/nonexistent/gammu-json' });
+
+  it('refuses delivery reports without running', function (_t, _done) {
+
+    backend.send([ '+15555550100', 'Hello' ], {
+      delivery_reports: [ 1 ]
+    }, function (_err) {
+      assert.equal(_err.code, 'UNSUPPORTED_OPTION');
+      _done();
+    });
+  });
+
+  it('refuses partial sends without running', function (_t, _done) {
+
+    backend.send([ '+15555550100', 'Hello' ], {
+      partial: { 1: { parts: [ 2 ], udh: 7 } }
+    }, function (_err) {
+      assert.equal(_err.code, 'UNSUPPORTED_OPTION');
+      _done();
+    });
+  });
+
+  it('is refused by the gateway', function () {
+
+    var instance = helpers.create_gateway(backend);
+
+    assert.throws(function () {
+      instance.send('+15555550100', 'Hello', { delivery_report: true });
+    }, { code: 'UNSUPPORTED_OPTION' });
+  });
+});
+
+describe('subprocess', function () {
+
+  it('yields the parsed output', function (_t, _done) {
+
+    var registry = metrics.create();
+
+    var backend = create_command('json.sh', 'echo \'[ { "n": 1 } ]\'', {
+      metrics: registry
+    });
+
+    backend.retrieve(function (_err, _rv) {
+
+      var series = registry.snapshot()[backend._duration_metric].series;
+
+      assert.ifError(_err);
+      assert.deepEqual(_rv, [ { n: 1 } ]);
+      assert.deepEqual(series[0].labels, {
+        command: 'retrieve', result: 'success'
+      });
+      assert.equal(series[0].count, 1);
+      _done();
+    });
+  });
+
+  it('reports a non-zero exit status', function (_t, _done) {
+
+    var backend = create_command(
+      'fail.sh', 'echo "Modem not found" >&2; exit 3'
+    );
+
+    backend.retrieve(function (_err) {
+      assert.equal(_err.code, 'SUBPROCESS_FAILED');
+      assert.equal(_err.command, 'retrieve');
+      assert.equal(_err.exit_code, 3);
+      assert.equal(_err.signal, null);
+      assert.equal(_err.stderr, 'Modem not found\n');
+      _done();
+    });
+  });
+
+  it('reports invalid output', function (_t, _done) {
+
+    var backend = create_command('partial.sh', 'echo \'[ { "n": \'');
+
+    backend.delete([ 1 ], function (_err) {
+      assert.equal(_err.code, 'SUBPROCESS_INVALID_OUTPUT');
+      assert.equal(_err.command, 'delete');
+      assert.equal(_err.exit_code, 0);
+      _done();
+    });
+  });
+
+  it('reports a command that cannot be started', function (_t, _done) {
+
+    var backend = gammu_json.create({
+      command: helpers.temporary_path('missing.sh')
+    });
+
+    backend.retrieve(function (_err) {
+      assert.equal(_err.code, 'SUBPROCESS_SPAWN_FAILED');
+      assert.equal(_err.system_code, 'ENOENT');
+      _done();
+    });
+  });
+
+  it('terminates a command that times out', function (_t, _done) {
+
+    var backend = create_command('slow.sh', 'exec sleep 10', {
+      timeouts: { retrieve: 0.1 }, kill_delay: 0.1
+    });
+
+    backend.retrieve(function (_err) {
+      assert.equal(_err.code, 'SUBPROCESS_TIMEOUT');
+      assert.equal(_err.signal, 'SIGTERM');
+      _done();
+    });
+  });
+
+  it('kills a command that ignores termination', function (_t, _done) {
+
+    var backend = create_command('stubborn.sh', 'trap "" TERM; exec sleep 10', {
+      timeouts: { retrieve: 0.1 }, kill_delay: 0.1
+    });
+
+    backend.retrieve(function (_err) {
+      assert.equal(_err.code, 'SUBPROCESS_TIMEOUT');
+      assert.equal(_err.signal, 'SIGKILL');
+      _done();
+    });
+  });
+});
+
+describe('gateway', function () {
+
+  it('abandons messages once the command keeps failing', function (_t, _done) {
+
+    var errors = [];
+
+    var backend = gammu_json.create({
+      command: helpers.temporary_path('missing.sh')
+    });
+
+    var instance = helpers.create_gateway(backend, {
+      receive: false, max_transmit_attempts: 2
+    });
+
+    instance.on('error', function (_err) {
+      errors.push(_err);
+    });
+
+    instance.send('+15555550100', 'Hello', function (_err, _m) {
+
+      assert.match(_err.message, /no retries left/);
+      assert.equal(_err.cause.code, 'SUBPROCESS_SPAWN_FAILED');
+      assert.equal(_m.tx_attempts, 2);
+
+      instance.stop(function () {
+        assert.deepEqual(instance.outbound_queue(), []);
+        assert.equal(errors[0].code, 'SUBPROCESS_SPAWN_FAILED');
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
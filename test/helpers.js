@@ -0,0 +1,129 @@
+
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    _ = require('underscore'),
+    gateway = require('../lib/main');
+
+/**
+ * @namespace helpers:
+ *   Utilities shared by the tests, which drive a gateway instance
+ *   against the simulated modem in `backends/simulator.js`. Test files
+ *   are named `*.test.js`; this one contains no tests of its own.
+ */
+
+/**
+ * @name instances:
+ *   Every gateway or pool created by `create_gateway` or `create_pool`
+ *   that hasn't yet been stopped by `stop_all`.
+ */
+var instances = [];
+
+/**
+ * @name directory:
+ *   The temporary directory used by `temporary_path`, or null if it
+ *   hasn't yet been created. It's removed when the test process exits.
+ */
+var directory = null;
+
+/**
+ * @name temporary_path:
+ *   Return a path, named after `_name`, at which a test may create
+ *   files or directories (e.g. a journal). Nothing exists there yet.
+ */
+exports.temporary_path = function (_name) {
+
+  if (!directory) {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'node-gammu-json-'));
+
+    process.on('exit', function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+  }
+
+  return path.join(directory, _name);
+};
+
+/**
+ * @name create_gateway:
+ *   Return a gateway instance that uses the simulated modem `_sim`,
+ *   and polls it frequently, with any other options in `_options`.
+ */
+exports.create_gateway = function (_sim, _options) {
+
+  var rv = gateway.create(
+    _.extend({ backend: _sim, interval: 0.01 }, _options)
+  );
+
+  instances.push(rv);
+  return rv;
+};
+
+/**
+ * @name create_pool:
+ *   Return a pool of modems (see `pool.js`) created with `_options`;
+ *   each modem polls frequently, unless its options say otherwise.
+ */
+exports.create_pool = function (_options) {
+
+  var rv = gateway.create_pool(_.extend({}, _options, {
+    modems: _.map(_options.modems, function (_modem) {
+      return _.extend({ interval: 0.01 }, _modem);
+    })
+  }));
+
+  instances.push(rv);
+  return rv;
+};
+
+/**
+ * @name stop_all:
+ *   Stop every instance created by this module, and return a promise
+ *   that resolves once they've stopped. Test files use this as their
+ *   `afterEach` hook, so that a failed assertion can't leave an instance
+ *   polling forever, and the test process running.
+ */
+exports.stop_all = function () {
+
+  var stopping = _.map(instances, function (_instance) {
+    return _instance.stop();
+  });
+
+  instances = [];
+  return Promise.all(stopping);
+};
+
+/**
+ * @name run_until:
+ *   Start `_instance`, and wait for the end of the first queue run
+ *   after which `_predicate` returns true; then stop the instance, and
+ *   invoke `_callback` with that run's `queue_run` argument.
+ */
+exports.run_until = function (_instance, _predicate, _callback) {
+
+  var handler = function (_run) {
+
+    if (!_predicate(_run)) {
+      return;
+    }
+
+    _instance.off('queue_run', handler);
+    _instance.stop(function () {
+      _callback(_run);
+    });
+  };
+
+  _instance.on('queue_run', handler);
+  _instance.start();
+};
+
+/**
+ * @name run_once:
+ *   Run `_instance` for a single queue run; see `run_until`.
+ */
+exports.run_once = function (_instance, _callback) {
+
+  exports.run_until(_instance, function () { return true; }, _callback);
+};
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,261 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    http = require('http'),
+    _ = require('underscore'),
+    http_api = require('../lib/http_api'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+/**
+ * @name servers:
+ *   Every HTTP API created by `create_api` that hasn't yet been closed.
+ */
+var servers = [];
+
+/**
+ * @name create_api:
+ *   Create an HTTP API for a new gateway instance, with the options
+ *   `_options`, and start it on an unused port. Then invoke `_callback`
+ *   with the API and its gateway instance.
+ */
+var create_api = function (_options, _callback) {
+
+  var instance = helpers.create_gateway(simulator.create());
+  var api = http_api.create(instance, _.extend({ port: 0 }, _options));
+
+  servers.push(api);
+
+  api.listen(function (_err) {
+    assert.ifError(_err);
+    _callback(api, instance);
+  });
+};
+
+/**
+ * @name request:
+ *   Make an HTTP request to `_api`, then invoke `_callback` with the
+ *   response's status code and (parsed, if it's JSON) body. The `_body`
+ *   argument, if provided, is sent as-is if it's a string; otherwise,
+ *   it's sent as JSON.
+ */
+var request = function (_api, _method, _path, _body, _headers, _callback) {
+
+  var req = http.request({
+    host: '127.0.0.1', port: _api.address().port,
+    method: _method, path: _path, headers: (_headers || {})
+  }, function (_res) {
+
+    var data = '';
+
+    _res.on('data', function (_chunk) {
+      data += _chunk;
+    });
+
+    _res.on('end', function () {
+      var is_json = /json/.test(_res.headers['content-type']);
+      _callback(_res.statusCode, (is_json ? JSON.parse(data) : data));
+    });
+  });
+
+  if (_body != null) {
+    req.write(_.isString(_body) ? _body : JSON.stringify(_body));
+  }
+
+  req.end();
+};
+
+after_each(function () {
+
+  var closing = _.map(servers, function (_api) {
+    return new Promise(function (_resolve) {
+      _api.close(_resolve);
+    });
+  });
+
+  servers = [];
+  return Promise.all(closing.concat([ helpers.stop_all() ]));
+});
+
+describe('messages', function () {
+
+  it('queues a message and reports its status', function (_t, _done) {
+
+    create_api({}, function (_api) {
+
+      var body = { to: '+15555550100', content: 'Hello', queue_id: 'm1' };
+
+      request(_api, 'POST', '/messages', body, null, function (_s, _rv) {
+
+        assert.equal(_s, 202);
+        assert.equal(_rv.queue_id, 'm1');
+        assert.equal(_rv.status, 'queued');
+
+        request(_api, 'GET', '/messages/m1', null, null, function (_s, _rv) {
+
+          assert.equal(_s, 200);
+          assert.equal(_rv.queue_id, 'm1');
+
+          request(_api, 'GET', '/queues/outbound', null, null,
+            function (_s, _rv) {
+              assert.equal(_s, 200);
+              assert.equal(_rv.messages.length, 1);
+              assert.equal(_rv.messages[0].to, '+15555550100');
+              _done();
+            }
+          );
+        });
+      });
+    });
+  });
+
+  it('refuses a duplicate identifier', function (_t, _done) {
+
+    create_api({}, function (_api) {
+
+      var body = { to: '+15555550100', content: 'Hello', queue_id: 'm1' };
+
+      request(_api, 'POST', '/messages', body, null, function () {
+        request(_api, 'POST', '/messages', body, null, function (_s, _rv) {
+          assert.equal(_s, 409);
+          assert.match(_rv.error.message, /already exists/);
+          _done();
+        });
+      });
+    });
+  });
+
+  it('rejects an invalid message', function (_t, _done) {
+
+    create_api({}, function (_api) {
+
+      var body = { to: '+15555550100', content: 'Hello', priority: 'urgent' };
+
+      request(_api, 'POST', '/messages', body, null, function (_s, _rv) {
+        assert.equal(_s, 400);
+        assert.equal(_rv.error.code, 'INVALID_ARGUMENT');
+        _done();
+      });
+    });
+  });
+
+  it('reports a failure to queue as a server error', function (_t, _done) {
+
+    var instance = helpers.create_gateway(simulator.create(), {
+      outbound_store: {
+        load: function () { return []; },
+        add: function () { throw new Error('Disk full'); },
+        update: function () {},
+        remove: function () {}
+      }
+    });
+
+    var api = http_api.create(instance, { port: 0 });
+
+    servers.push(api);
+
+    api.listen(function () {
+
+      var body = { to: '+15555550100', content: 'Hello' };
+
+      request(api, 'POST', '/messages', body, null, function (_s, _rv) {
+        assert.equal(_s, 500);
+        assert.equal(_rv.error.scope, 'internal');
+        assert.equal(_rv.error.message, 'Disk full');
+        _done();
+      });
+    });
+  });
+
+  it('reports an unknown message', function (_t, _done) {
+
+    create_api({}, function (_api) {
+      request(_api, 'GET', '/messages/none', null, null, function (_s, _rv) {
+        assert.equal(_s, 404);
+        assert.equal(_rv.error.scope, 'not_found');
+        _done();
+      });
+    });
+  });
+});
+
+describe('malformed requests', function () {
+
+  it('rejects a body that is not JSON', function (_t, _done) {
+
+    create_api({}, function (_api) {
+      request(_api, 'POST', '/messages', '{', null, function (_s, _rv) {
+        assert.equal(_s, 400);
+        assert.match(_rv.error.message, /valid JSON/);
+        _done();
+      });
+    });
+  });
+
+  it('rejects a bad URL, and keeps serving', function (_t, _done) {
+
+    create_api({}, function (_api) {
+      request(_api, 'GET', '//', null, null, function (_s) {
+
+        assert.equal(_s, 400);
+
+        request(_api, 'GET', '/queues/deletion', null, null,
+          function (_s, _rv) {
+            assert.equal(_s, 200);
+            assert.deepEqual(_rv, { locations: [] });
+            _done();
+          }
+        );
+      });
+    });
+  });
+
+  it('distinguishes unknown paths from methods', function (_t, _done) {
+
+    create_api({}, function (_api) {
+      request(_api, 'GET', '/nowhere', null, null, function (_s) {
+
+        assert.equal(_s, 404);
+
+        request(_api, 'DELETE', '/inbound', null, null, function (_s) {
+          assert.equal(_s, 405);
+          _done();
+        });
+      });
+    });
+  });
+
+  it('rejects an invalid limit', function (_t, _done) {
+
+    create_api({}, function (_api) {
+      request(_api, 'GET', '/inbound?limit=x', null, null, function (_s) {
+        assert.equal(_s, 400);
+        _done();
+      });
+    });
+  });
+});
+
+describe('authorization', function () {
+
+  it('requires the token, if one is set', function (_t, _done) {
+
+    create_api({ token: 'secret' }, function (_api) {
+      request(_api, 'GET', '/inbound', null, null, function (_s) {
+
+        assert.equal(_s, 401);
+
+        var headers = { Authorization: 'Bearer secret' };
+
+        request(_api, 'GET', '/inbound', null, headers, function (_s) {
+          assert.equal(_s, 200);
+          _done();
+        });
+      });
+    });
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,195 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    _ = require('underscore'),
+    logger = require('../lib/logger'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+/**
+ * @name capture:
+ *   Return a logger with the options `_options`, which writes to a
+ *   stream that appends each line to the returned object's `lines`.
+ */
+var capture = function (_options) {
+
+  var rv = { lines: [] };
+
+  rv.logger = logger.create(_.extend({
+    stream: {
+      write: function (_s) { rv.lines.push(_s); }
+    }
+  }, _options));
+
+  return rv;
+};
+
+describe('levels', function () {
+
+  it('discards records below the configured level', function () {
+
+    var c = capture({ level: 'warn' });
+
+    assert.equal(c.logger.is_enabled('info'), false);
+    assert.equal(c.logger.is_enabled('error'), true);
+
+    c.logger.write('info', 'test', 'ignored');
+    c.logger.write('error', 'test', 'kept');
+
+    assert.equal(c.lines.length, 1);
+    assert.equal(JSON.parse(c.lines[0]).event, 'kept');
+    assert.equal(logger.create({ level: 'none' }).is_enabled('error'), false);
+  });
+
+  it('rejects an unknown level or format', function () {
+
+    assert.throws(function () {
+      logger.create({ level: 'verbose' });
+    }, /Unknown log level `verbose`/);
+
+    assert.throws(function () {
+      logger.create({ format: 'xml' });
+    }, /Unknown log format `xml`/);
+  });
+});
+
+describe('formats', function () {
+
+  it('writes one JSON object per line', function () {
+
+    var c = capture({ redact: false });
+
+    c.logger.write('info', 'test', 'sent', { to: '+15555550100', n: 1 });
+
+    var record = JSON.parse(c.lines[0]);
+
+    assert.match(c.lines[0], /\n$/);
+    assert.equal(record.level, 'info');
+    assert.equal(record.module, 'test');
+    assert.equal(record.to, '+15555550100');
+    assert.equal(record.n, 1);
+    assert.ok(!isNaN(Date.parse(record.time)));
+  });
+
+  it('writes text, with fields as name=value pairs', function () {
+
+    var c = capture({ format: 'text', redact: false });
+
+    c.logger.write('warn', 'test', 'sent', { to: '+15555550100', n: 1 });
+
+    assert.match(
+      c.lines[0], / WARN test: sent to="\+15555550100" n=1\n$/
+    );
+  });
+
+  it('passes records to a sink instead', function () {
+
+    var records = [];
+
+    var instance = logger.create({
+      sink: { log: function (_r) { records.push(_r); } }
+    });
+
+    instance.write('info', 'test', 'sent');
+
+    assert.equal(records.length, 1);
+    assert.equal(records[0].event, 'sent');
+
+    assert.throws(function () {
+      logger.create({ sink: {} });
+    }, /must implement a log method/);
+  });
+});
+
+describe('redaction', function () {
+
+  it('masks phone numbers and content', function () {
+
+    var instance = logger.create();
+
+    assert.deepEqual(instance.redact({
+      message: { from: '+15555550100', content: 'Hello' },
+      error: 'No route to 15555550199 (code 42)'
+    }), {
+      message: { from: '+********100', content: '[redacted: 5 characters]' },
+      error: 'No route to ********199 (code 42)'
+    });
+  });
+
+  it('can be enabled for each kind separately', function () {
+
+    var instance = logger.create({ redact: { content: false } });
+
+    assert.deepEqual(instance.redact({
+      to: '+15555550100', content: 'Hello'
+    }), {
+      to: '+********100', content: 'Hello'
+    });
+  });
+
+  it('converts errors, and bounds nesting', function () {
+
+    var instance = logger.create();
+    var nested = { a: { b: { c: { d: { e: { f: { g: 1 } } } } } } };
+    var rv = instance.redact({ error: new Error('Failed'), nested: nested });
+
+    assert.equal(rv.error.message, 'Failed');
+    assert.equal(rv.nested.a.b.c.d.e, '[nested too deeply]');
+  });
+});
+
+describe('from_options', function () {
+
+  it('is silent unless asked otherwise', function () {
+
+    var sink = { log: function () {} };
+
+    assert.equal(logger.from_options({})._level, 'none');
+    assert.equal(logger.from_options({ debug: true })._level, 'debug');
+    assert.equal(logger.from_options({ logger: sink })._level, 'info');
+
+    assert.equal(logger.from_options({
+      logger: sink, log_level: 'error'
+    })._level, 'error');
+  });
+
+  it('shares an existing logger', function () {
+
+    var instance = logger.create();
+
+    assert.strictEqual(logger.from_options({ logger: instance }), instance);
+  });
+});
+
+describe('gateway', function () {
+
+  it('redacts the messages it logs', function (_t, _done) {
+
+    var records = [];
+    var sim = simulator.create();
+
+    var instance = helpers.create_gateway(sim, {
+      log_level: 'debug',
+      logger: { log: function (_r) { records.push(_r); } }
+    });
+
+    sim.inject('+15555550100', 'Hello');
+
+    helpers.run_once(instance, function () {
+
+      var record = _.findWhere(records, { event: 'receive.message' });
+
+      assert.equal(record.module, 'node-gammu-json');
+      assert.equal(record.message.from, '+********100');
+      assert.equal(record.message.content, '[redacted: 5 characters]');
+      assert.ok(!/15555550100|Hello/.test(JSON.stringify(records)));
+      _done();
+    });
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
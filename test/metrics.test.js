@@ -0,0 +1,114 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    _ = require('underscore'),
+    metrics = require('../lib/metrics'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+/**
+ * @name value_of:
+ *   Return the value of the series of metric `_name` in `_snapshot`
+ *   that has exactly the labels `_labels`, or undefined if none does.
+ */
+var value_of = function (_snapshot, _name, _labels) {
+
+  var series = _.find(_snapshot[_name].series, function (_s) {
+    return _.isEqual(_s.labels, _labels || {});
+  });
+
+  return (series ? series.value : undefined);
+};
+
+describe('registry', function () {
+
+  it('renders counters and gauges', function () {
+
+    var registry = metrics.create();
+
+    registry.counter('jobs_total', 'Jobs done');
+    registry.gauge('depth', 'Queue depth', function () { return 3; });
+
+    registry.increment('jobs_total', { kind: 'a "quoted"\nvalue' });
+    registry.increment('jobs_total', { kind: 'b' }, 2);
+
+    assert.equal(registry.render(), [
+      '# HELP jobs_total Jobs done',
+      '# TYPE jobs_total counter',
+      'jobs_total{kind="a \\"quoted\\"\\nvalue"} 1',
+      'jobs_total{kind="b"} 2',
+      '# HELP depth Queue depth',
+      '# TYPE depth gauge',
+      'depth 3'
+    ].join('\n') + '\n');
+  });
+
+  it('counts histogram observations cumulatively', function () {
+
+    var registry = metrics.create();
+
+    registry.histogram('latency_seconds', 'Latency', [ 1, 5 ]);
+    registry.observe('latency_seconds', {}, 0.5);
+    registry.observe('latency_seconds', {}, 2);
+    registry.observe('latency_seconds', {}, 10);
+
+    var series = registry.snapshot().latency_seconds.series[0];
+
+    assert.deepEqual(series.buckets, { 1: 1, 5: 2 });
+    assert.equal(series.count, 3);
+    assert.equal(series.sum, 12.5);
+    assert.match(registry.render(), /latency_seconds_bucket\{le="\+Inf"\} 3/);
+  });
+
+  it('refuses to redefine a metric as another type', function () {
+
+    var registry = metrics.create();
+
+    registry.counter('x_total');
+    registry.counter('x_total');
+
+    assert.throws(function () {
+      registry.gauge('x_total');
+    }, /already defined/);
+
+    assert.throws(function () {
+      registry.set('x_total', {}, 1);
+    }, /No gauge named/);
+  });
+});
+
+describe('gateway', function () {
+
+  it('counts transmissions and retries', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = helpers.create_gateway(sim);
+    var prefix = 'node_gammu_json_';
+
+    sim.fail_next_sends(1);
+    instance.send('+15555550100', 'Hello');
+
+    var before = instance.metrics().snapshot();
+
+    assert.equal(value_of(before, prefix + 'outbound_queue_messages'), 1);
+
+    helpers.run_until(instance, function () {
+      return (sim.transmitted().length > 0);
+    }, function () {
+
+      var after = instance.metrics().snapshot();
+
+      assert.equal(value_of(after, prefix + 'transmitted_total'), 1);
+      assert.equal(value_of(after, prefix + 'transmit_retries_total'), 1);
+      assert.equal(value_of(after, prefix + 'outbound_queue_messages'), 0);
+      assert.ok(after[prefix + 'queue_run_duration_seconds'].series.length);
+      _done();
+    });
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,118 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    fs = require('fs'),
+    _ = require('underscore'),
+    outbound_journal = require('../lib/stores/outbound_journal'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+var journal_path = function (_name) {
+  return helpers.temporary_path('outbound-' + _name + '.log');
+};
+
+var line_count = function (_path) {
+  return _.compact(fs.readFileSync(_path, 'utf8').split('\n')).length;
+};
+
+after_each(helpers.stop_all);
+
+describe('outbound journal', function () {
+
+  it('replays additions, updates and removals', function () {
+
+    var file = journal_path('replay');
+    var store = outbound_journal.create(file);
+
+    store.load();
+    store.add({ queue_id: 'a', tx_attempts: 0 });
+    store.add({ queue_id: 'b', tx_attempts: 0 });
+    store.update({ queue_id: 'a', tx_attempts: 1 });
+    store.remove({ queue_id: 'b' });
+
+    assert.deepEqual(outbound_journal.create(file).load(), [
+      { queue_id: 'a', tx_attempts: 1 }
+    ]);
+  });
+
+  it('ignores a truncated final entry', function () {
+
+    var file = journal_path('truncated');
+
+    fs.writeFileSync(file,
+      JSON.stringify({ op: 'add', message: { queue_id: 'a' } }) +
+        '\n{"op":"add","mess'
+    );
+
+    assert.deepEqual(
+      outbound_journal.create(file).load(), [ { queue_id: 'a' } ]
+    );
+  });
+
+  it('compacts on load, but not on read', function () {
+
+    var file = journal_path('load');
+    var store = outbound_journal.create(file);
+
+    store.add({ queue_id: 'a' });
+    store.add({ queue_id: 'b' });
+    store.remove({ queue_id: 'a' });
+
+    assert.deepEqual(store.read(), [ { queue_id: 'b' } ]);
+    assert.equal(line_count(file), 3);
+
+    assert.deepEqual(store.load(), [ { queue_id: 'b' } ]);
+    assert.equal(line_count(file), 1);
+  });
+
+  it('compacts while running', function () {
+
+    var file = journal_path('runtime');
+
+    var store = outbound_journal.create(file, { compact_threshold: 10 });
+
+    store.load();
+
+    for (var i = 0; i < 200; ++i) {
+      store.add({ queue_id: 'm' + i });
+      store.update({ queue_id: 'm' + i, tx_attempts: 1 });
+      store.remove({ queue_id: 'm' + i });
+    }
+
+    store.add({ queue_id: 'last' });
+
+    assert.ok(line_count(file) <= 25);
+    assert.deepEqual(
+      outbound_journal.create(file).read(), [ { queue_id: 'last' } ]
+    );
+  });
+});
+
+describe('gateway', function () {
+
+  it('sends messages queued before a restart', function (_t, _done) {
+
+    var file = journal_path('restart');
+    var first = helpers.create_gateway(simulator.create(), {
+      outbound_journal: file
+    });
+
+    first.send('+15555550100', 'Hello');
+    first.stop();
+
+    var sim = simulator.create();
+    var second = helpers.create_gateway(sim, { outbound_journal: file });
+
+    helpers.run_until(second, function () {
+      return (sim.transmitted().length > 0);
+    }, function () {
+      assert.equal(sim.transmitted()[0].to, '+15555550100');
+      assert.deepEqual(outbound_journal.create(file).read(), []);
+      _done();
+    });
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
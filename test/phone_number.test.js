@@ -0,0 +1,145 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    phone_number = require('../lib/phone_number'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+describe('normalize', function () {
+
+  var numbers = phone_number.create({ country_code: '254' });
+
+  it('converts national and international forms to E.164', function () {
+    assert.equal(numbers.normalize('0712 345 678'), '+254712345678');
+    assert.equal(numbers.normalize('254712345678'), '+254712345678');
+    assert.equal(numbers.normalize('00254712345678'), '+254712345678');
+    assert.equal(numbers.normalize('+254 (712) 345-678'), '+254712345678');
+    assert.equal(numbers.normalize('712345678'), '+254712345678');
+  });
+
+  it('rejects values that are not phone numbers', function () {
+    assert.throws(function () {
+      numbers.normalize('+2547123abc');
+    }, { code: 'INVALID_PHONE_NUMBER' });
+    assert.throws(function () {
+      numbers.normalize('+1234');
+    }, { code: 'INVALID_PHONE_NUMBER' });
+    assert.throws(function () {
+      numbers.normalize(null);
+    }, { code: 'INVALID_PHONE_NUMBER' });
+  });
+
+  it('passes short codes through only if allowed', function () {
+    assert.throws(function () {
+      numbers.normalize('12345');
+    }, { code: 'INVALID_PHONE_NUMBER' });
+    assert.equal(
+      phone_number.create({ allow_short_codes: true }).normalize('12345'),
+        '12345'
+    );
+  });
+
+  it('needs a country code for numbers in national form', function () {
+
+    var numbers = phone_number.create();
+
+    assert.throws(function () {
+      numbers.normalize('0712345678');
+    }, /no default country code/);
+    assert.throws(function () {
+      numbers.normalize('712345678');
+    }, /no default country code/);
+    assert.equal(numbers.normalize('00254712345678'), '+254712345678');
+  });
+});
+
+describe('gateway', function () {
+
+  var options = { phone_numbers: { country_code: '254' } };
+
+  it('sends to the normalized number', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = helpers.create_gateway(sim, options);
+
+    instance.send('0712345678', 'Hello', function (_err, _m) {
+
+      assert.ifError(_err);
+      assert.equal(_m.to, '+254712345678');
+      assert.equal(_m.to_original, '0712345678');
+      assert.equal(sim.transmitted()[0].to, '+254712345678');
+
+      instance.stop(function () {
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+
+  it('throws for an invalid destination', function () {
+
+    var instance = helpers.create_gateway(simulator.create(), options);
+
+    assert.throws(function () {
+      instance.send('not a number', 'Hello');
+    }, { code: 'INVALID_PHONE_NUMBER' });
+  });
+
+  it('normalizes the sender of received messages', function (_t, _done) {
+
+    var received = [];
+    var sim = simulator.create();
+    var instance = helpers.create_gateway(sim, options);
+
+    sim.inject('0712345678', 'Hello');
+
+    instance.on('receive', function (_message, _callback) {
+      received.push(_message);
+      _callback();
+    });
+
+    helpers.run_once(instance, function () {
+      assert.equal(received[0].from, '+254712345678');
+      assert.equal(received[0].from_original, '0712345678');
+      _done();
+    });
+  });
+});
+
+describe('pool', function () {
+
+  it('routes and sends to the same normalized number', function (_t, _done) {
+
+    var sims = [ simulator.create(), simulator.create() ];
+
+    var pool = helpers.create_pool({
+      strategy: 'prefix', routes: { '+2547': 'b' },
+      phone_numbers: { country_code: '254' },
+      modems: [
+        { name: 'a', backend: sims[0] },
+        { name: 'b', backend: sims[1] }
+      ]
+    });
+
+    pool.send('0712345678', 'Hello', function (_err, _m) {
+
+      assert.ifError(_err);
+      assert.equal(_m.to, '+254712345678');
+      assert.equal(sims[0].transmitted().length, 0);
+      assert.equal(sims[1].transmitted()[0].to, '+254712345678');
+
+      pool.stop(function () {
+        _done();
+      });
+    });
+
+    pool.start();
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
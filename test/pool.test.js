@@ -0,0 +1,145 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    _ = require('underscore'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+/**
+ * @name create_pool:
+ *   Return a pool of simulated modems named `a`, `b`, and so on, one
+ *   for each simulator in `_sims`, with any other options in `_options`.
+ */
+var create_pool = function (_sims, _options) {
+
+  return helpers.create_pool(_.extend({
+    modems: _.map(_sims, function (_sim, _i) {
+      return { name: String.fromCharCode(97 + _i), backend: _sim };
+    })
+  }, _options));
+};
+
+describe('routing', function () {
+
+  it('uses each modem in turn by default', function (_t, _done) {
+
+    var sims = [ simulator.create(), simulator.create() ];
+    var pool = create_pool(sims);
+    var modems = [];
+
+    pool.on('transmit', function (_message, _result, _modem) {
+
+      modems.push(_modem);
+
+      if (modems.length < 3) {
+        return;
+      }
+
+      pool.stop(function () {
+        assert.deepEqual(modems.sort(), [ 'a', 'a', 'b' ]);
+        assert.equal(sims[0].transmitted().length, 2);
+        assert.equal(sims[1].transmitted().length, 1);
+        _done();
+      });
+    });
+
+    pool.send('+15555550100', 'One');
+    pool.send('+15555550101', 'Two');
+    pool.send('+15555550102', 'Three');
+
+    pool.start();
+  });
+
+  it('uses the longest matching prefix', function (_t, _done) {
+
+    var sims = [ simulator.create(), simulator.create() ];
+
+    var pool = create_pool(sims, {
+      strategy: 'prefix', routes: { '+1': 'a', '+1555': 'b' }
+    });
+
+    pool.send('+15555550100', 'Hello', function (_err) {
+
+      assert.ifError(_err);
+      assert.equal(sims[0].transmitted().length, 0);
+      assert.equal(sims[1].transmitted().length, 1);
+
+      pool.stop(function () {
+        _done();
+      });
+    });
+
+    pool.start();
+  });
+
+  it('refuses routes to unknown modems', function () {
+
+    assert.throws(function () {
+      create_pool([ simulator.create() ], {
+        strategy: 'prefix', routes: { '+1': 'z' }
+      });
+    }, /unknown modem/);
+  });
+});
+
+describe('failover', function () {
+
+  it('moves queued messages off a failed modem', function (_t, _done) {
+
+    var sims = [ simulator.create(), simulator.create() ];
+    var pool = create_pool(sims, { failover_threshold: 1 });
+
+    /* Broken modem:
+        The first modem fails every operation, and so produces
+        an error on every queue run, until the pool gives up on it. */
+
+    sims[0].retrieve = sims[0].send = function () {
+      _.last(arguments)(new Error('Modem is unavailable'));
+    };
+
+    pool.on('error', function () {});
+
+    pool.send('+15555550100', 'Hello', function (_err) {
+
+      assert.ifError(_err);
+      assert.equal(sims[1].transmitted()[0].to, '+15555550100');
+
+      pool.stop(function () {
+        _done();
+      });
+    });
+
+    pool.start();
+  });
+
+  it('moves messages before they run out of attempts', function (_t, _done) {
+
+    var sims = [ simulator.create(), simulator.create() ];
+    var pool = create_pool(sims);
+
+    sims[0].send = function () {
+      _.last(arguments)(new Error('Modem is unavailable'));
+    };
+
+    pool.on('error', function () {});
+
+    pool.send('+15555550100', 'Hello', function (_err, _m) {
+
+      assert.ifError(_err);
+      assert.equal(sims[1].transmitted().length, 1);
+      assert.equal(_m.tx_attempts, 0);
+
+      pool.stop(function () {
+        _done();
+      });
+    });
+
+    pool.start();
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,69 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    _ = require('underscore'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+/**
+ * @name run_until_sent:
+ *   Run `_instance` until `_sim` has transmitted `_count` messages,
+ *   then invoke `_callback` with their contents, in transmission order.
+ */
+var run_until_sent = function (_instance, _sim, _count, _callback) {
+
+  helpers.run_until(_instance, function () {
+    return (_sim.transmitted().length >= _count);
+  }, function () {
+    _callback(_.pluck(_sim.transmitted(), 'content'));
+  });
+};
+
+describe('priority lanes', function () {
+
+  it('send higher priorities first', function (_t, _done) {
+
+    var sim = simulator.create();
+
+    var instance = helpers.create_gateway(sim, {
+      transmit_batch_size: 1
+    });
+
+    instance.send('+15555550100', 'Low 1', { priority: 'low' });
+    instance.send('+15555550100', 'Normal');
+    instance.send('+15555550100', 'High', { priority: 'high' });
+    instance.send('+15555550100', 'Low 2', { priority: 'low' });
+
+    run_until_sent(instance, sim, 4, function (_sent) {
+      assert.deepEqual(_sent, [ 'High', 'Normal', 'Low 1', 'Low 2' ]);
+      _done();
+    });
+  });
+
+  it('promote messages that have waited', function (_t, _done) {
+
+    var sim = simulator.create();
+
+    var instance = helpers.create_gateway(sim, {
+      transmit_batch_size: 1, priority_aging: 0.05
+    });
+
+    instance.send('+15555550100', 'Low', { priority: 'low' });
+
+    setTimeout(function () {
+
+      instance.send('+15555550100', 'High', { priority: 'high' });
+
+      run_until_sent(instance, sim, 2, function (_sent) {
+        assert.deepEqual(_sent, [ 'Low', 'High' ]);
+        _done();
+      });
+    }, 200);
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,104 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+describe('send_async', function () {
+
+  it('rejects once no retries are left', function (_t, _done) {
+
+    var sim = simulator.create();
+
+    var instance = helpers.create_gateway(sim, {
+      max_transmit_attempts: 1
+    });
+
+    sim.fail_next_sends(1);
+
+    instance.send_async('+15555550100', 'Hello').then(function () {
+      _done(new Error('Send unexpectedly succeeded'));
+    }, function (_err) {
+      assert.equal(_err.scope, 'transmit');
+      assert.equal(sim.transmitted().length, 0);
+      instance.stop().then(function () {
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+
+  it('rejects a message that cannot be queued', function () {
+
+    var instance = helpers.create_gateway(simulator.create());
+
+    return assert.rejects(
+      instance.send_async('+15555550100', 42), /must be supplied as a string/
+    );
+  });
+
+  it('leaves send returning the instance', function () {
+
+    var instance = helpers.create_gateway(simulator.create());
+
+    assert.strictEqual(instance.send('+15555550100', 'Hello'), instance);
+    assert.strictEqual(
+      instance.send('+15555550100', 'Hello', function () {}), instance
+    );
+  });
+});
+
+describe('receive handlers', function () {
+
+  it('delete a message once their promise resolves', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = helpers.create_gateway(sim);
+
+    sim.inject('+15555550100', 'Hello');
+
+    instance.on('receive', function () {
+      return Promise.resolve();
+    });
+
+    helpers.run_once(instance, function () {
+      assert.deepEqual(sim.stored(), []);
+      _done();
+    });
+  });
+
+  it('keep a message if their promise rejects', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = helpers.create_gateway(sim);
+
+    sim.inject('+15555550100', 'Hello');
+
+    instance.on('receive', function () {
+      return Promise.reject(new Error('Rejected'));
+    });
+
+    helpers.run_once(instance, function () {
+      assert.deepEqual(sim.stored(), [ 1 ]);
+      _done();
+    });
+  });
+});
+
+describe('stop', function () {
+
+  it('returns a promise without a callback', function () {
+
+    var instance = helpers.create_gateway(simulator.create());
+
+    instance.start();
+    return instance.stop();
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
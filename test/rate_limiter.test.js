@@ -0,0 +1,122 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    _ = require('underscore'),
+    rate_limiter = require('../lib/rate_limiter'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+describe('rate limiter', function () {
+
+  it('counts events within the window', function () {
+
+    var limiter = rate_limiter.create(1000);
+
+    limiter.record('a', 0);
+    limiter.record('a', 500);
+    limiter.record('b', 500);
+
+    assert.equal(limiter.count('a', 500), 2);
+    assert.equal(limiter.count('a', 1000), 1);
+    assert.equal(limiter.count('a', 1500), 0);
+    assert.equal(limiter.count('b', 1000), 1);
+  });
+
+  it('counts the weight of each event', function () {
+
+    var limiter = rate_limiter.create(1000);
+
+    limiter.record('a', 0, 3);
+    limiter.record('a', 100);
+
+    assert.equal(limiter.count('a', 100), 4);
+    assert.ok(limiter.allows('a', 6, 100, 2));
+    assert.ok(!limiter.allows('a', 6, 100, 3));
+    assert.ok(limiter.allows('a', 0, 100, 100));
+  });
+
+  it('allows a heavy event only in an empty window', function () {
+
+    var limiter = rate_limiter.create(1000);
+
+    assert.ok(limiter.allows('a', 2, 0, 5));
+    limiter.record('a', 0, 5);
+    assert.ok(!limiter.allows('a', 2, 500, 1));
+    assert.ok(limiter.allows('a', 2, 1000, 1));
+  });
+
+  it('counts pending events as if they were recorded', function () {
+
+    var limiter = rate_limiter.create(1000);
+
+    limiter.record('a', 0, 1);
+
+    assert.ok(limiter.allows('a', 3, 0, 1, 1));
+    assert.ok(!limiter.allows('a', 3, 0, 2, 1));
+    assert.ok(!rate_limiter.create().allows('a', 2, 0, 5, 1));
+  });
+});
+
+describe('gateway', function () {
+
+  it('counts each segment against the limit', function (_t, _done) {
+
+    var sim = simulator.create();
+    var long_text = new Array(201).join('a'); /* Two segments */
+
+    var instance = helpers.create_gateway(sim, {
+      rate_limits: { per_modem: 3 }
+    });
+
+    instance.send('+15555550100', long_text);
+    instance.send('+15555550101', long_text);
+
+    helpers.run_once(instance, function () {
+      assert.equal(sim.transmitted().length, 1);
+      assert.equal(sim.transmitted()[0].to, '+15555550100');
+      _done();
+    });
+  });
+
+  it('counts only the segments that were sent', function (_t, _done) {
+
+    var runs = 0;
+    var sim = simulator.create();
+    var send = sim.send;
+
+    var instance = helpers.create_gateway(sim, {
+      rate_limits: { per_modem: 1 }, max_transmit_attempts: 3
+    });
+
+    /* Failures:
+        The first attempt is rejected by the modem, and the
+        second fails outright; neither uses up the limit. */
+
+    sim.fail_next_sends(1);
+
+    sim.send = function () {
+      if (runs == 1) {
+        return _.last(arguments)(new Error('Modem is unavailable'));
+      }
+      return send.apply(this, arguments);
+    };
+
+    instance.on('error', function () {});
+    instance.send('+15555550100', 'Hello');
+    instance.send('+15555550101', 'Hello');
+
+    helpers.run_until(instance, function () {
+      return (++runs >= 4);
+    }, function () {
+      assert.equal(sim.transmitted().length, 1);
+      assert.equal(sim.transmitted()[0].to, '+15555550100');
+      _done();
+    });
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,156 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    segment_directory = require('../lib/stores/segment_directory'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+/**
+ * @name minutes_ago:
+ *   Return a `Date` that is `_minutes` minutes in the past.
+ */
+var minutes_ago = function (_minutes) {
+
+  return new Date(Date.now() - _minutes * 60000);
+};
+
+describe('reassembly timeout', function () {
+
+  it('abandons an incomplete message', function (_t, _done) {
+
+    var timed_out = [];
+    var sim = simulator.create();
+
+    var instance = helpers.create_gateway(sim, {
+      reassembly_timeout: 60
+    });
+
+    sim.inject_segment('+15555550100', 'Hello ', 1, 3, {
+      reference: 5, timestamp: minutes_ago(5)
+    });
+
+    sim.inject_segment('+15555550100', '!', 3, 3, {
+      reference: 5, timestamp: minutes_ago(4)
+    });
+
+    instance.on('receive', function (_message, _callback) {
+      _callback(new Error('Unexpected message'));
+    });
+
+    instance.on('reassembly_timeout', function (_message, _missing) {
+      timed_out.push({ message: _message, missing: _missing });
+    });
+
+    helpers.run_until(instance, function () {
+      return (timed_out.length > 0 && sim.stored().length <= 0);
+    }, function () {
+      assert.equal(timed_out.length, 1);
+      assert.deepEqual(timed_out[0].missing, [ 2 ]);
+      assert.deepEqual(timed_out[0].message.missing_segments, [ 2 ]);
+      assert.equal(timed_out[0].message.from, '+15555550100');
+      _done();
+    });
+  });
+
+  it('waits for a message that is still recent', function (_t, _done) {
+
+    var timed_out = [];
+    var sim = simulator.create();
+
+    var instance = helpers.create_gateway(sim, {
+      reassembly_timeout: 60
+    });
+
+    sim.inject_segment('+15555550100', 'Hello ', 1, 2, { reference: 5 });
+
+    instance.on('reassembly_timeout', function (_message) {
+      timed_out.push(_message);
+    });
+
+    helpers.run_once(instance, function () {
+      assert.equal(timed_out.length, 0);
+      assert.deepEqual(sim.stored(), [ 1 ]);
+      _done();
+    });
+  });
+});
+
+describe('segment directory', function () {
+
+  it('stores, lists and releases segments', function (_t, _done) {
+
+    var store = segment_directory.create(
+      helpers.temporary_path('segments-unit')
+    );
+
+    store.add({ id: '+1/5', segment: 1 }, function (_err) {
+
+      assert.ifError(_err);
+
+      store.add({ id: '+1/5', segment: 2 }, function () {
+        store.list(function (_err, _ids) {
+
+          assert.deepEqual(_ids, [ '+1/5' ]);
+
+          store.fetch('+1/5', function (_err, _segments) {
+
+            assert.deepEqual(_segments, [
+              { id: '+1/5', segment: 1 }, { id: '+1/5', segment: 2 }
+            ]);
+
+            store.release('+1/5', function () {
+              store.list(function (_err, _ids) {
+                assert.deepEqual(_ids, []);
+                _done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('reassembles across a restart', function (_t, _done) {
+
+    var received = [];
+    var sim = simulator.create();
+    var path = helpers.temporary_path('segments-restart');
+
+    var first = helpers.create_gateway(sim, { segment_directory: path });
+
+    sim.inject_segment('+15555550100', 'Hello ', 1, 2, { reference: 8 });
+
+    helpers.run_once(first, function () {
+
+      /* Stored segment:
+          It's now held in the directory, and not on the modem. */
+
+      assert.deepEqual(sim.stored(), []);
+
+      var second = helpers.create_gateway(sim, { segment_directory: path });
+
+      sim.inject_segment('+15555550100', 'world', 2, 2, { reference: 8 });
+
+      second.on('receive', function (_message, _callback) {
+        received.push(_message.content);
+        _callback();
+      });
+
+      helpers.run_once(second, function () {
+        assert.deepEqual(received, [ 'Hello world' ]);
+        assert.deepEqual(sim.stored(), []);
+
+        segment_directory.create(path).list(function (_err, _ids) {
+          assert.deepEqual(_ids, []);
+          _done();
+        });
+      });
+    });
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
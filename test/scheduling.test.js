@@ -0,0 +1,106 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+describe('scheduled sends', function () {
+
+  it('hold a message until its send time', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = helpers.create_gateway(sim);
+    var send_at = Date.now() + 200;
+
+    instance.send('+15555550100', 'Later', { send_at: send_at });
+    instance.send('+15555550101', 'Now');
+
+    helpers.run_until(instance, function () {
+      return (sim.transmitted().length >= 2);
+    }, function () {
+      var sent = sim.transmitted();
+      assert.equal(sent[0].content, 'Now');
+      assert.equal(sent[1].content, 'Later');
+      assert.ok(sent[1].timestamp.getTime() >= send_at);
+      _done();
+    });
+  });
+
+  it('are not reported as rate limited', function (_t, _done) {
+
+    var events = [];
+    var sim = simulator.create();
+
+    var instance = helpers.create_gateway(sim, {
+      log_level: 'debug',
+      logger: { log: function (_r) { events.push(_r.event); } }
+    });
+
+    instance.send('+15555550100', 'Later', { send_at: Date.now() + 60000 });
+
+    helpers.run_once(instance, function () {
+      assert.ok(events.indexOf('transmit.nothing_due') >= 0);
+      assert.equal(events.indexOf('transmit.rate_limited'), -1);
+      _done();
+    });
+  });
+
+  it('reject an invalid send time', function () {
+
+    var instance = helpers.create_gateway(simulator.create());
+
+    assert.throws(function () {
+      instance.send('+15555550100', 'Hello', { send_at: 'tomorrow' });
+    }, /must be a valid time/);
+  });
+});
+
+describe('expiry', function () {
+
+  it('discards a message that is not sent in time', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = helpers.create_gateway(sim);
+
+    instance.send('+15555550100', 'Hello', {
+      send_at: Date.now() + 500, validity: 0.05
+    }, function (_err) {
+
+      assert.equal(_err.code, 'MESSAGE_EXPIRED');
+
+      instance.stop(function () {
+        assert.equal(sim.transmitted().length, 0);
+        assert.deepEqual(instance.outbound_queue(), []);
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+
+  it('sends a message that is not yet expired', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = helpers.create_gateway(sim);
+
+    instance.send('+15555550100', 'Hello', {
+      expires_at: new Date(Date.now() + 60000)
+    }, function (_err) {
+
+      assert.ifError(_err);
+      assert.equal(sim.transmitted().length, 1);
+
+      instance.stop(function () {
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,458 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    _ = require('underscore'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+var create_gateway = helpers.create_gateway,
+    run_once = helpers.run_once;
+
+after_each(helpers.stop_all);
+
+describe('receive', function () {
+
+  it('delivers a single-part message, then deletes it', function (_t, _done) {
+
+    var received = [];
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+
+    sim.inject('+15555550100', 'Hello');
+
+    instance.on('receive', function (_message, _callback) {
+      received.push(_message);
+      _callback();
+    });
+
+    run_once(instance, function (_run) {
+      assert.deepEqual(_run.errors, []);
+      assert.equal(received.length, 1);
+      assert.equal(received[0].from, '+15555550100');
+      assert.equal(received[0].content, 'Hello');
+      assert.deepEqual(sim.stored(), []);
+      _done();
+    });
+  });
+
+  it('leaves a rejected message on the device', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+
+    sim.inject('+15555550100', 'Hello');
+
+    instance.on('receive', function (_message, _callback) {
+      _callback(new Error('Rejected'));
+    });
+
+    run_once(instance, function () {
+      assert.deepEqual(sim.stored(), [ 1 ]);
+      _done();
+    });
+  });
+
+  it('reassembles segments that arrive out of order', function (_t, _done) {
+
+    var received = [];
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+
+    sim.inject_segment('+15555550100', 'world', 2, 2, { reference: 7 });
+    sim.inject_segment('+15555550100', 'Hello ', 1, 2, { reference: 7 });
+
+    instance.on('receive', function (_message, _callback) {
+      received.push(_message);
+      _callback();
+    });
+
+    run_once(instance, function () {
+      assert.equal(received.length, 1);
+      assert.equal(received[0].content, 'Hello world');
+      assert.equal(received[0].total_segments, 2);
+      assert.deepEqual(sim.stored(), []);
+      _done();
+    });
+  });
+
+  it('waits for every segment before delivering', function (_t, _done) {
+
+    var received = [];
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+    var content = new Array(201).join('x');
+
+    sim.inject('+15555550100', content, { reference: 9, omit: [ 2 ] });
+
+    instance.on('receive', function (_message, _callback) {
+      received.push(_message);
+      _callback();
+    });
+
+    run_once(instance, function () {
+
+      assert.equal(received.length, 0);
+      assert.deepEqual(sim.stored(), [ 1 ]);
+
+      sim.inject_segment(
+        '+15555550100', content.substr(153), 2, 2, { reference: 9 }
+      );
+
+      run_once(instance, function () {
+        assert.equal(received.length, 1);
+        assert.equal(received[0].content, content);
+        assert.deepEqual(sim.stored(), []);
+        _done();
+      });
+    });
+  });
+
+  it('keeps messages from different senders apart', function (_t, _done) {
+
+    var received = [];
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+
+    sim.inject_segment('+15555550100', 'A1', 1, 2, { reference: 3 });
+    sim.inject_segment('+15555550101', 'B2', 2, 2, { reference: 3 });
+    sim.inject_segment('+15555550101', 'B1', 1, 2, { reference: 3 });
+    sim.inject_segment('+15555550100', 'A2', 2, 2, { reference: 3 });
+
+    instance.on('receive', function (_message, _callback) {
+      received.push(_message.from + ':' + _message.content);
+      _callback();
+    });
+
+    run_once(instance, function () {
+      assert.deepEqual(
+        received.sort(), [ '+15555550100:A1A2', '+15555550101:B1B2' ]
+      );
+      _done();
+    });
+  });
+});
+
+describe('transmit', function () {
+
+  it('sends a message and reports the result', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+    var transmitted = [];
+
+    instance.on('transmit', function (_message, _result) {
+      transmitted.push(_result);
+    });
+
+    instance.send('+15555550100', 'Hello', function (_err, _m, _result) {
+
+      assert.ifError(_err);
+      assert.equal(_result.result, 'success');
+      assert.equal(_result.parts_sent, 1);
+
+      var sent = sim.transmitted();
+
+      assert.equal(sent.length, 1);
+      assert.equal(sent[0].to, '+15555550100');
+      assert.equal(sent[0].content, 'Hello');
+
+      instance.stop(function () {
+        assert.equal(transmitted.length, 1);
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+
+  it('sends every segment of a long message', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+    var content = new Array(301).join('y');
+
+    instance.send('+15555550100', content, function (_err, _m, _result) {
+
+      assert.ifError(_err);
+      assert.equal(_result.parts_total, 2);
+      assert.equal(_result.parts_sent, 2);
+      assert.deepEqual(sim.transmitted()[0].parts, [ 1, 2 ]);
+
+      instance.stop(function () {
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+});
+
+describe('retry', function () {
+
+  it('retries a failed transmission', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+
+    sim.fail_next_sends(1);
+
+    instance.send('+15555550100', 'Hello', function (_err, _m, _result) {
+
+      assert.ifError(_err);
+      assert.equal(_result.result, 'success');
+      assert.equal(_m.tx_attempts, 2);
+      assert.equal(sim.transmitted().length, 1);
+
+      instance.stop(function () {
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+
+  it('gives up once attempts run out', function (_t, _done) {
+
+    var sim = simulator.create();
+    var errors = [];
+    var instance = create_gateway(sim, { max_transmit_attempts: 3 });
+
+    sim.fail_next_sends(5);
+
+    instance.on('error', function (_err) {
+      errors.push(_err);
+    });
+
+    instance.send('+15555550100', 'Hello', function (_err, _m) {
+
+      assert.ok(_err);
+      assert.match(_err.message, /no retries left/);
+      assert.equal(_err.scope, 'transmit');
+      assert.equal(_m.tx_attempts, 3);
+      assert.equal(sim.transmitted().length, 0);
+
+      instance.stop(function () {
+        assert.equal(errors.length, 1);
+        assert.deepEqual(instance.outbound_queue(), []);
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+});
+
+describe('partial retry', function () {
+
+  var content = new Array(301).join('p'); /* Two segments */
+
+  it('resends only the failed segment', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+
+    sim.fail_next_segments(1);
+
+    instance.send('+15555550100', content, function (_err, _m, _result) {
+
+      var sent = sim.transmitted();
+
+      assert.ifError(_err);
+      assert.equal(_result.result, 'success');
+      assert.equal(sent.length, 2);
+      assert.deepEqual(sent[0].parts, [ 2 ]);
+      assert.deepEqual(sent[1].parts, [ 1 ]);
+      assert.equal(sent[1].udh, sent[0].udh);
+
+      instance.stop(function () {
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+
+  it('resends everything without backend support', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+
+    sim.capabilities = { delivery_reports: true, partial_send: false };
+    sim.fail_next_segments(1);
+
+    instance.send('+15555550100', content, function (_err, _m, _result) {
+
+      var sent = sim.transmitted();
+
+      assert.ifError(_err);
+      assert.equal(_result.parts_sent, 2);
+      assert.equal(sent.length, 2);
+      assert.deepEqual(sent[1].parts, [ 1, 2 ]);
+      assert.notEqual(sent[1].udh, sent[0].udh);
+
+      instance.stop(function () {
+        _done();
+      });
+    });
+
+    instance.start();
+  });
+});
+
+describe('delivery reports', function () {
+
+  it('reports a delivered message', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+    var reports = [];
+
+    instance.on('delivery_report', function (_message, _report) {
+      reports.push(_report);
+    });
+
+    instance.send('+15555550100', 'Hello', {
+      delivery_report: true,
+      delivery_callback: function (_err, _message, _report) {
+
+        assert.ifError(_err);
+        assert.equal(_report.status, 'delivered');
+        assert.equal(_report.to, '+15555550100');
+
+        instance.stop(function () {
+          assert.equal(reports.length, 1);
+          assert.deepEqual(sim.stored(), []);
+          _done();
+        });
+      }
+    });
+
+    instance.start();
+  });
+
+  it('reports a failure for a multi-part message', function (_t, _done) {
+
+    var sim = simulator.create({
+      delivery_status: function () { return 'failed'; }
+    });
+
+    var instance = create_gateway(sim);
+
+    instance.send('+15555550100', new Array(301).join('z'), {
+      delivery_report: true,
+      delivery_callback: function (_err, _message, _report) {
+
+        assert.ok(_err);
+        assert.equal(_err.status, 'failed');
+        assert.equal(_report.references.length, 2);
+        assert.equal(_.size(_report.parts), 2);
+
+        instance.stop(function () {
+          _done();
+        });
+      }
+    });
+
+    instance.start();
+  });
+
+  it('ignores a report from another recipient', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+
+    /* Reports:
+        Store a report for the same reference from a different number,
+        ahead of the real one; it mustn't be matched to our message. */
+
+    sim._store_status_reports = function (_to, _content, _parts) {
+      this.inject_status_report('+15555550199', _parts[0].reference, 'failed');
+      this.inject_status_report(_to, _parts[0].reference, 'delivered');
+    };
+
+    instance.send('+15555550100', 'Hello', {
+      delivery_report: true,
+      delivery_callback: function (_err, _message, _report) {
+
+        assert.ifError(_err);
+        assert.equal(_report.status, 'delivered');
+
+        instance.stop(function () {
+          assert.deepEqual(sim.stored(), []);
+          _done();
+        });
+      }
+    });
+
+    instance.start();
+  });
+
+  it('gives up on a report that never arrives', function (_t, _done) {
+
+    var sim = simulator.create();
+
+    var instance = create_gateway(sim, {
+      delivery_report_timeout: 0.05
+    });
+
+    sim._store_status_reports = function () {};
+
+    instance.send('+15555550100', 'Hello', {
+      delivery_report: true,
+      delivery_callback: function (_err, _message, _report) {
+
+        assert.ok(_err);
+        assert.equal(_report.status, 'unknown');
+
+        instance.stop(function () {
+          _done();
+        });
+      }
+    });
+
+    instance.start();
+  });
+
+  it('reports an unknown status without references', function (_t, _done) {
+
+    var sim = simulator.create();
+    var instance = create_gateway(sim);
+    var send = sim.send;
+
+    /* No references:
+        The backend reports the message as sent, but says nothing
+        about the references that its reports would carry. */
+
+    sim._store_status_reports = function () {};
+
+    sim.send = function (_args, _options, _callback) {
+      send.call(this, _args, _options, function (_err, _results) {
+        _.each(_results, function (_r) {
+          _.each(_r.parts, function (_part) { delete _part.reference; });
+        });
+        _callback(_err, _results);
+      });
+    };
+
+    instance.send('+15555550100', 'Hello', {
+      delivery_report: true,
+      delivery_callback: function (_err, _message, _report) {
+
+        assert.equal(_report.status, 'unknown');
+        assert.deepEqual(_report.references, []);
+
+        instance.stop(function () {
+          var status = instance.message_status(_message.queue_id);
+          assert.equal(status.status, 'unknown');
+          _done();
+        });
+      }
+    });
+
+    instance.start();
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,94 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    udh = require('../lib/udh'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+after_each(helpers.stop_all);
+
+describe('parse', function () {
+
+  it('decodes an 8-bit concatenation element', function () {
+
+    var rv = udh.parse('050003ab0201');
+
+    assert.deepEqual(rv.concatenation, {
+      reference: 0xab, reference_bits: 8, total: 2, sequence: 1
+    });
+
+    assert.deepEqual(rv.elements, [
+      { iei: 0, data: 'ab0201', name: 'concatenation',
+        value: rv.concatenation }
+    ]);
+  });
+
+  it('decodes 16-bit references and ports', function () {
+
+    var rv = udh.parse([ 0x0c, 0x08, 0x04, 0x12, 0x34, 0x03, 0x02,
+      0x05, 0x04, 0x0b, 0x84, 0x23, 0xf0 ]);
+
+    assert.equal(rv.concatenation.reference, 0x1234);
+    assert.equal(rv.concatenation.reference_bits, 16);
+    assert.deepEqual(rv.ports, {
+      destination: 2948, source: 9200, port_bits: 16
+    });
+  });
+
+  it('keeps elements that it cannot decode', function () {
+
+    var rv = udh.parse(Buffer.from('097002abcd0003ab0300', 'hex'));
+
+    assert.equal(rv.elements.length, 2);
+    assert.equal(rv.elements[0].iei, 0x70);
+    assert.equal(rv.elements[0].name, undefined);
+    assert.equal(rv.elements[1].value, undefined);
+    assert.equal(rv.concatenation, undefined);
+  });
+
+  it('rejects a malformed header', function () {
+
+    assert.throws(function () {
+      udh.parse('060003ab0201');
+    }, { code: 'INVALID_UDH' });
+
+    assert.throws(function () {
+      udh.parse('0300050102');
+    }, { code: 'INVALID_UDH' });
+  });
+});
+
+describe('gateway', function () {
+
+  it('reassembles using the header', function (_t, _done) {
+
+    var received = [];
+    var sim = simulator.create();
+    var instance = helpers.create_gateway(sim);
+
+    sim.inject_segment('+15555550100', 'world', 2, 2, {
+      udh: '050003ab0202'
+    });
+
+    sim.inject_segment('+15555550100', 'Hello ', 1, 2, {
+      udh: '050003ab0201'
+    });
+
+    instance.on('receive', function (_message, _callback) {
+      received.push(_message);
+      _callback();
+    });
+
+    helpers.run_once(instance, function () {
+      assert.equal(received.length, 1);
+      assert.equal(received[0].content, 'Hello world');
+      assert.equal(received[0].concatenation.reference, 0xab);
+      assert.deepEqual(sim.stored(), []);
+      _done();
+    });
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */
@@ -0,0 +1,174 @@
+
+var describe = require('node:test').describe,
+    it = require('node:test').it,
+    after_each = require('node:test').afterEach,
+    assert = require('assert'),
+    http = require('http'),
+    _ = require('underscore'),
+    webhook = require('../lib/webhook'),
+    simulator = require('../lib/backends/simulator'),
+    helpers = require('./helpers');
+
+/**
+ * @name endpoints:
+ *   Every endpoint created by `create_endpoint` that hasn't yet been
+ *   closed.
+ */
+var endpoints = [];
+
+/**
+ * @name create_endpoint:
+ *   Start an HTTP server that records the parsed body of each request
+ *   in its `requests` array, and responds with the status returned by
+ *   `_status_fn` (called with the body). Then invoke `_callback` with
+ *   the server and its URL.
+ */
+var create_endpoint = function (_status_fn, _callback) {
+
+  var server = http.createServer(function (_req, _res) {
+
+    var data = '';
+
+    _req.on('data', function (_chunk) {
+      data += _chunk;
+    });
+
+    _req.on('end', function () {
+      var body = JSON.parse(data);
+      server.requests.push(body);
+      _res.writeHead(_status_fn(body));
+      _res.end();
+    });
+  });
+
+  server.requests = [];
+  endpoints.push(server);
+
+  server.listen(0, '127.0.0.1', function () {
+    _callback(server, 'http://127.0.0.1:' + server.address().port + '/');
+  });
+};
+
+after_each(function () {
+
+  var closing = _.map(endpoints, function (_server) {
+    return new Promise(function (_resolve) {
+      _server.close(_resolve);
+      _server.closeAllConnections();
+    });
+  });
+
+  endpoints = [];
+  return Promise.all([ helpers.stop_all() ].concat(closing));
+});
+
+describe('webhook', function () {
+
+  it('rejects URLs it cannot post to', function () {
+
+    assert.throws(function () {
+      webhook.create({ url: 'ftp://example.com/' });
+    }, /either http or https/);
+
+    assert.throws(function () {
+      webhook.create({ url: '/relative' });
+    }, /valid absolute URL/);
+  });
+
+  it('backs off after a failure', function (_t, _done) {
+
+    create_endpoint(function () { return 500; }, function (_server, _url) {
+
+      var hook = webhook.create({ url: _url, retry_delay: 60 });
+
+      hook.deliver('a', { n: 1 }, function (_err) {
+
+        assert.equal(_err.code, 'WEBHOOK_FAILED');
+        assert.equal(_err.status_code, 500);
+
+        hook.deliver('a', { n: 2 }, function (_err) {
+          assert.equal(_err.code, 'WEBHOOK_BACKOFF');
+          assert.equal(_server.requests.length, 1);
+          _done();
+        });
+      });
+    });
+  });
+});
+
+describe('gateway', function () {
+
+  it('posts received messages, then deletes them', function (_t, _done) {
+
+    create_endpoint(function () { return 204; }, function (_server, _url) {
+
+      var sim = simulator.create();
+
+      var instance = helpers.create_gateway(sim, {
+        webhook: { url: _url }
+      });
+
+      sim.inject('+15555550100', 'Hello');
+
+      helpers.run_once(instance, function () {
+        assert.equal(_server.requests.length, 1);
+        assert.equal(_server.requests[0].event, 'receive');
+        assert.equal(_server.requests[0].message.content, 'Hello');
+        assert.deepEqual(sim.stored(), []);
+        _done();
+      });
+    });
+  });
+
+  it('keeps a message that could not be posted', function (_t, _done) {
+
+    create_endpoint(function () { return 503; }, function (_server, _url) {
+
+      var errors = [], runs = 0;
+      var sim = simulator.create();
+
+      var instance = helpers.create_gateway(sim, {
+        webhook: { url: _url, retry_delay: 60 }
+      });
+
+      sim.inject('+15555550100', 'Hello');
+
+      instance.on('error', function (_err) {
+        errors.push(_err);
+      });
+
+      helpers.run_until(instance, function () {
+        return (++runs >= 3);
+      }, function () {
+        assert.equal(_server.requests.length, 1);
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].code, 'WEBHOOK_FAILED');
+        assert.deepEqual(sim.stored(), [ 1 ]);
+        _done();
+      });
+    });
+  });
+
+  it('posts transmission results if asked to', function (_t, _done) {
+
+    create_endpoint(function () { return 200; }, function (_server, _url) {
+
+      var sim = simulator.create();
+
+      var instance = helpers.create_gateway(sim, {
+        webhook: { url: _url, transmit: true }
+      });
+
+      instance.send('+15555550100', 'Hello');
+
+      helpers.run_until(instance, function () {
+        return (_server.requests.length > 0);
+      }, function () {
+        assert.equal(_server.requests[0].event, 'transmit');
+        _done();
+      });
+    });
+  });
+});
+
+/* vim: set ai ts=8 sts=2 sw=2 expandtab: */